@@ -0,0 +1,170 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, collection, query, where, getDocs } from 'firebase/firestore';
+
+/**
+ * Security rules against the Firestore emulator. Run with `npm run test:rules`, which
+ * starts the emulator (Firebase CLI) and sets FIRESTORE_EMULATOR_HOST; plain `npm test`
+ * skips this file.
+ */
+
+const OWNER = { uid: 'owner', email: 'owner@example.com' };
+const VIEWER = { uid: 'viewer', email: 'viewer@example.com' };
+const EDITOR = { uid: 'editor', email: 'editor@example.com' };
+const STRANGER = { uid: 'stranger', email: 'stranger@example.com' };
+
+const dashboard = (link = { enabled: false, role: 'viewer' }) => ({
+    uid: OWNER.uid,
+    name: 'Sales',
+    type: 'dashboard',
+    dataset: { chunkCount: 1, columns: [] },
+    filters: {},
+    charts: [],
+    sharing: {
+        link,
+        invites: [{ email: VIEWER.email, role: 'viewer' }, { email: EDITOR.email, role: 'editor' }]
+    },
+    memberEmails: [VIEWER.email, EDITOR.email],
+    editorEmails: [EDITOR.email]
+});
+
+let testEnv;
+
+// Firestore of a signed-in user; email_verified defaults to true
+const dbAs = (user, verified = true) =>
+    testEnv.authenticatedContext(user.uid, { email: user.email, email_verified: verified }).firestore();
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-visuomind',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+    });
+});
+
+afterAll(async () => {
+    await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'dashboards/private'), dashboard());
+        await setDoc(doc(db, 'dashboards/private/chunks/0'), { index: 0, rows: [] });
+        await setDoc(doc(db, 'dashboards/linkView'), dashboard({ enabled: true, role: 'viewer' }));
+        await setDoc(doc(db, 'dashboards/linkView/chunks/0'), { index: 0, rows: [] });
+        await setDoc(doc(db, 'dashboards/linkEdit'), dashboard({ enabled: true, role: 'editor' }));
+    });
+});
+
+describe('owner', () => {
+    it('reads, lists, updates and deletes their dashboard', async () => {
+        const db = dbAs(OWNER);
+        await assertSucceeds(getDoc(doc(db, 'dashboards/private')));
+        await assertSucceeds(getDocs(query(collection(db, 'dashboards'), where('uid', '==', OWNER.uid))));
+        await assertSucceeds(updateDoc(doc(db, 'dashboards/private'), { name: 'Renamed', sharing: dashboard().sharing }));
+        await assertSucceeds(deleteDoc(doc(db, 'dashboards/private')));
+    });
+
+    it('creates dashboards only under their own uid', async () => {
+        const db = dbAs(OWNER);
+        await assertSucceeds(setDoc(doc(db, 'dashboards/mine'), dashboard()));
+        await assertFails(setDoc(doc(db, 'dashboards/theirs'), { ...dashboard(), uid: STRANGER.uid }));
+    });
+
+    it('cannot hand the dashboard to another uid', async () => {
+        await assertFails(updateDoc(doc(dbAs(OWNER), 'dashboards/private'), { uid: STRANGER.uid }));
+    });
+
+    it('keeps editors among the invited members', async () => {
+        await assertFails(updateDoc(doc(dbAs(OWNER), 'dashboards/private'), { editorEmails: [STRANGER.email] }));
+    });
+});
+
+describe('invited viewer', () => {
+    it('reads and lists shared dashboards', async () => {
+        const db = dbAs(VIEWER);
+        await assertSucceeds(getDoc(doc(db, 'dashboards/private')));
+        await assertSucceeds(getDocs(query(collection(db, 'dashboards'), where('memberEmails', 'array-contains', VIEWER.email))));
+    });
+
+    it('cannot save changes', async () => {
+        await assertFails(updateDoc(doc(dbAs(VIEWER), 'dashboards/private'), { charts: [{ id: 'c1' }] }));
+    });
+
+    it('is denied until the email is verified', async () => {
+        const db = dbAs(VIEWER, false);
+        await assertFails(getDoc(doc(db, 'dashboards/private')));
+        await assertFails(getDocs(query(collection(db, 'dashboards'), where('memberEmails', 'array-contains', VIEWER.email))));
+    });
+});
+
+describe('invited editor', () => {
+    it('saves charts, filters and layout', async () => {
+        await assertSucceeds(updateDoc(doc(dbAs(EDITOR), 'dashboards/private'), {
+            charts: [{ id: 'c1' }], filters: { region: ['North'] }, layout: [], updatedBy: EDITOR.uid
+        }));
+    });
+
+    it('cannot change the dataset, sharing or owner', async () => {
+        const ref = doc(dbAs(EDITOR), 'dashboards/private');
+        await assertFails(updateDoc(ref, { dataset: { chunkCount: 0, columns: [] } }));
+        await assertFails(updateDoc(ref, { sharing: { link: { enabled: true, role: 'editor' }, invites: [] } }));
+        await assertFails(updateDoc(ref, { memberEmails: [EDITOR.email, STRANGER.email] }));
+        await assertFails(updateDoc(ref, { uid: EDITOR.uid }));
+    });
+
+    it('cannot delete the dashboard', async () => {
+        await assertFails(deleteDoc(doc(dbAs(EDITOR), 'dashboards/private')));
+    });
+
+    it('has no edit rights without a verified email', async () => {
+        await assertFails(updateDoc(doc(dbAs(EDITOR, false), 'dashboards/private'), { charts: [] }));
+    });
+});
+
+describe('link access', () => {
+    it('opens a linked dashboard by id but not a private one', async () => {
+        const db = dbAs(STRANGER, false);
+        await assertSucceeds(getDoc(doc(db, 'dashboards/linkView')));
+        await assertFails(getDoc(doc(db, 'dashboards/private')));
+    });
+
+    it('never lists other people\'s dashboards', async () => {
+        const db = dbAs(STRANGER);
+        await assertFails(getDocs(query(collection(db, 'dashboards'), where('uid', '==', OWNER.uid))));
+        await assertFails(getDocs(query(collection(db, 'dashboards'), where('sharing.link.enabled', '==', true))));
+    });
+
+    it('lets link viewers read but not save', async () => {
+        await assertFails(updateDoc(doc(dbAs(STRANGER), 'dashboards/linkView'), { charts: [] }));
+    });
+
+    it('lets link editors save editable fields only', async () => {
+        const ref = doc(dbAs(STRANGER), 'dashboards/linkEdit');
+        await assertSucceeds(updateDoc(ref, { charts: [{ id: 'c1' }], updatedBy: STRANGER.uid }));
+        await assertFails(updateDoc(ref, { sharing: { link: { enabled: false, role: 'viewer' }, invites: [] } }));
+    });
+
+    it('requires signing in', async () => {
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertFails(getDoc(doc(db, 'dashboards/linkView')));
+    });
+});
+
+describe('dataset chunks', () => {
+    it('are readable by everyone who can open the dashboard', async () => {
+        await assertSucceeds(getDoc(doc(dbAs(OWNER), 'dashboards/private/chunks/0')));
+        await assertSucceeds(getDoc(doc(dbAs(VIEWER), 'dashboards/private/chunks/0')));
+        await assertSucceeds(getDoc(doc(dbAs(STRANGER), 'dashboards/linkView/chunks/0')));
+        await assertFails(getDoc(doc(dbAs(STRANGER), 'dashboards/private/chunks/0')));
+    });
+
+    it('are written by the owner only', async () => {
+        const chunk = { index: 0, rows: [{ region: 'North' }] };
+        await assertSucceeds(setDoc(doc(dbAs(OWNER), 'dashboards/private/chunks/0'), chunk));
+        await assertFails(setDoc(doc(dbAs(EDITOR), 'dashboards/private/chunks/0'), chunk));
+        await assertFails(setDoc(doc(dbAs(STRANGER), 'dashboards/linkEdit/chunks/0'), chunk));
+    });
+});
@@ -1,10 +1,19 @@
+import { useState } from "react";
 import Auth from "./components/Auth";
 import Dashboard from "./components/Dashboard";
 import { auth } from "./firebase";
 import { useAuthState } from "react-firebase-hooks/auth";
+import { getSharedDashboardId, clearSharedDashboardId } from "./utils/DashboardSharing";
 
 export default function App() {
   const [user, loading, error] = useAuthState(auth);
+  // Share links (?dashboard=<id>) open that dashboard once the user is signed in
+  const [sharedId, setSharedId] = useState(getSharedDashboardId);
+
+  const leaveShared = () => {
+    clearSharedDashboardId();
+    setSharedId(null);
+  };
 
   if (loading) {
     return (
@@ -21,7 +30,7 @@ export default function App() {
 
   return (
     <div className="app-container">
-      {user ? <Dashboard /> : <Auth />}
+      {user ? <Dashboard sharedId={sharedId} onLeaveShared={leaveShared} /> : <Auth />}
 
       <footer className="app-footer">
         <p>Build by Krushna with ❤️</p>
@@ -1,5 +1,5 @@
 import { auth, googleProvider } from "../firebase";
-import { signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup } from "firebase/auth";
+import { signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, sendEmailVerification } from "firebase/auth";
 import { useState } from "react";
 
 export default function Auth() {
@@ -17,7 +17,9 @@ export default function Auth() {
 
     const signup = async () => {
         try {
-            await createUserWithEmailAndPassword(auth, email, password);
+            const { user } = await createUserWithEmailAndPassword(auth, email, password);
+            // Dashboards shared by email invitation only open for verified addresses
+            sendEmailVerification(user).catch(err => console.error("Verification email failed", err));
         } catch (err) {
             setError(err.message);
         }
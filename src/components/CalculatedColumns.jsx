@@ -0,0 +1,182 @@
+import { useState, useMemo } from "react";
+import { compileCalculatedColumns, applyCalculatedColumns, FORMULA_FUNCTIONS } from "../utils/FormulaEngine";
+
+const PREVIEW_ROWS = 5;
+const EMPTY_DRAFT = { name: '', formula: '', index: null }; // index: column being edited, null = new
+
+/**
+ * Lets the user derive new columns from formulas (see FormulaEngine).
+ * Changes are applied by re-running the analysis (see Dashboard.applyCalculated).
+ * @param {Array} rawData - Rows as uploaded; formulas reference their keys
+ * @param {Array} columns - Column metadata; date columns are read with their format
+ * @param {Array} calculated - Current [{ name, formula }]
+ * @param {Function} onApply - Called with the new calculated columns
+ */
+export default function CalculatedColumns({ rawData, columns = [], calculated, onApply }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+    const baseKeys = useMemo(() => (rawData.length ? Object.keys(rawData[0]) : []), [rawData]);
+
+    // Same date parsing as the pipeline (see detectDateFormats)
+    const dateFormats = useMemo(() => {
+        const formats = {};
+        columns
+            .filter(col => col.type === 'date' && baseKeys.includes(col.key))
+            .forEach(col => { formats[col.key] = col.format || ''; });
+        return formats;
+    }, [columns, baseKeys]);
+
+    // The full list as it would be saved, with the draft added or replacing the edited entry
+    const candidate = useMemo(() => {
+        const entry = { name: draft.name.trim(), formula: draft.formula };
+        if (draft.index === null) return [...calculated, entry];
+        return calculated.map((c, i) => (i === draft.index ? entry : c));
+    }, [calculated, draft]);
+
+    // Validates the whole list (later columns may depend on the edited one) and previews the draft
+    const { error, preview } = useMemo(() => {
+        if (!draft.formula.trim()) return { error: null, preview: null };
+        try {
+            compileCalculatedColumns(candidate, baseKeys);
+            const rows = applyCalculatedColumns(rawData.slice(0, PREVIEW_ROWS), candidate, dateFormats);
+            return { error: null, preview: rows.map(row => row[draft.name.trim()]) };
+        } catch (err) {
+            return { error: err.message, preview: null };
+        }
+    }, [candidate, baseKeys, rawData, draft, dateFormats]);
+
+    const save = () => {
+        onApply(candidate);
+        setDraft(EMPTY_DRAFT);
+    };
+
+    const remove = (index) => {
+        const next = calculated.filter((_, i) => i !== index);
+        try {
+            compileCalculatedColumns(next, baseKeys);
+        } catch (err) {
+            return alert(`Cannot remove this column: ${err.message}`);
+        }
+        if (draft.index === index) setDraft(EMPTY_DRAFT);
+        onApply(next);
+    };
+
+    const insertColumn = (key) => {
+        const ref = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `[${key}]`;
+        setDraft(prev => ({ ...prev, formula: prev.formula ? `${prev.formula} ${ref}` : ref }));
+    };
+
+    const availableKeys = [...baseKeys, ...calculated.map(c => c.name)];
+    const canSave = draft.name.trim() && draft.formula.trim() && !error;
+
+    return (
+        <div className="schema-panel">
+            <div className="schema-panel-header">
+                <div>
+                    <h3>Calculated Columns</h3>
+                    <p className="chart-desc">
+                        {calculated.length > 0
+                            ? `${calculated.length} calculated column${calculated.length > 1 ? 's' : ''}.`
+                            : "Derive new columns from formulas, e.g. profit / revenue or year(order_date)."}
+                    </p>
+                </div>
+                <button className="btn btn-outline" onClick={() => setIsOpen(!isOpen)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                    {isOpen ? "Hide" : "Add Column"}
+                </button>
+            </div>
+
+            {isOpen && (
+                <>
+                    {calculated.length > 0 && (
+                        <div className="schema-table-wrapper">
+                            <table className="schema-table">
+                                <thead>
+                                    <tr>
+                                        <th>Column</th>
+                                        <th>Formula</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {calculated.map((c, i) => (
+                                        <tr key={c.name} className={draft.index === i ? 'overridden' : ''}>
+                                            <td><code>{c.name}</code></td>
+                                            <td><code>{c.formula}</code></td>
+                                            <td style={{ whiteSpace: 'nowrap' }}>
+                                                <button className="btn-link" onClick={() => setDraft({ ...c, index: i })}>Edit</button>
+                                                {' · '}
+                                                <button className="btn-link" onClick={() => remove(i)}>Remove</button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="formula-editor">
+                        <div className="control-group">
+                            <label>Name</label>
+                            <input
+                                className="chart-select"
+                                value={draft.name}
+                                placeholder="e.g. margin"
+                                onChange={e => setDraft({ ...draft, name: e.target.value })}
+                            />
+                        </div>
+                        <div className="control-group formula-input">
+                            <label>Formula</label>
+                            <input
+                                className="chart-select"
+                                value={draft.formula}
+                                placeholder='e.g. if(score > 80, "high", "low")'
+                                spellCheck={false}
+                                onChange={e => setDraft({ ...draft, formula: e.target.value })}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="formula-columns">
+                        {availableKeys.map(key => (
+                            <button key={key} className="formula-chip" onClick={() => insertColumn(key)} title="Insert into formula">
+                                {key}
+                            </button>
+                        ))}
+                    </div>
+
+                    {error && <p className="formula-error">{error}</p>}
+                    {preview && (
+                        <p className="chart-desc">
+                            Preview: {preview.map(val => (val === null ? '∅' : String(val))).join(' · ')}
+                        </p>
+                    )}
+
+                    <details className="formula-help">
+                        <summary>Functions &amp; operators</summary>
+                        <p className="chart-desc">
+                            Operators: <code>+ - * / % ^</code>, <code>= != &lt; &lt;= &gt; &gt;=</code>, <code>and or not</code>.
+                            Wrap column names with spaces in brackets, e.g. <code>[Unit Price]</code>. Text goes in quotes.
+                        </p>
+                        <ul>
+                            {FORMULA_FUNCTIONS.map(f => (
+                                <li key={f.signature}><code>{f.signature}</code> <span className="chart-desc">{f.description}</span></li>
+                            ))}
+                        </ul>
+                    </details>
+
+                    <div className="schema-actions">
+                        {draft.index !== null && (
+                            <button className="btn btn-outline" onClick={() => setDraft(EMPTY_DRAFT)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                                Cancel
+                            </button>
+                        )}
+                        <button className="btn btn-primary" onClick={save} disabled={!canSave} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                            {draft.index === null ? "Add & Re-analyze" : "Save & Re-analyze"}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { exportChartImage, exportRows } from "../utils/ChartExport";
+
+const OPTIONS = [
+    { value: 'png', label: 'Image (PNG)', kind: 'image' },
+    { value: 'svg', label: 'Image (SVG)', rasterLabel: 'Image (SVG, embedded PNG)', kind: 'image' },
+    { value: 'csv', label: 'Data (CSV)', kind: 'data' },
+    { value: 'xlsx', label: 'Data (XLSX)', kind: 'data' }
+];
+
+/**
+ * Per-chart export: the chart as PNG / SVG and the rows behind it as CSV / XLSX.
+ * The chart element is marked with data-export-title so the PDF report finds it too.
+ * @param {Object} targetRef - Ref to the element holding the chart
+ * @param {String} title - Chart title, used for file names
+ * @param {Array} rows - Prepared (aggregated / sampled) rows the chart was drawn from, or its bins
+ * @param {Array} fields - Optional keys of `rows` to export
+ * @param {Boolean} vectorSvg - Plotly chart whose SVG is vector; Chart.js canvases only embed a bitmap
+ */
+export default function ChartExportMenu({ targetRef, title, rows, fields, vectorSvg = false }) {
+    const [busy, setBusy] = useState(false);
+
+    const runExport = async (value) => {
+        const option = OPTIONS.find(o => o.value === value);
+        if (!option) return;
+
+        setBusy(true);
+        try {
+            if (option.kind === 'image') {
+                if (!targetRef.current) return;
+                await exportChartImage(targetRef.current, value, title);
+            } else {
+                await exportRows(rows || [], value, title, fields);
+            }
+        } catch (err) {
+            console.error("Export failed:", err);
+            alert(`Export failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <select
+            className="chart-select chart-export-select"
+            value=""
+            disabled={busy}
+            onChange={e => runExport(e.target.value)}
+            title="Download this chart or its data"
+        >
+            <option value="" disabled>{busy ? "Exporting…" : "Export…"}</option>
+            {OPTIONS.map(o => (
+                <option key={o.value} value={o.value} disabled={o.kind === 'data' && !rows?.length}>
+                    {!vectorSvg && o.rasterLabel ? o.rasterLabel : o.label}
+                </option>
+            ))}
+        </select>
+    );
+}
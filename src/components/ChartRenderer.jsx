@@ -10,10 +10,13 @@ import {
     LineElement,
     ArcElement,
     RadialLinearScale,
-    Filler
+    Filler,
+    TimeScale
 } from 'chart.js';
+import 'chartjs-adapter-date-fns';
 import { Bar, Line, Doughnut, Scatter, Pie, Bubble } from "react-chartjs-2";
 import { useMemo } from 'react';
+import { binValues } from '../utils/DataProcessor';
 
 ChartJS.register(
     CategoryScale,
@@ -26,29 +29,125 @@ ChartJS.register(
     LineElement,
     ArcElement,
     RadialLinearScale,
-    Filler
+    Filler,
+    TimeScale
 );
 
 /**
  * Pure Presentation Component
  * @param {Object} data - Processed Data
- * @param {Object} forcedConfig - { type, xAxis, yAxis, color? }
+ * @param {Object} forcedConfig - { type, xAxis, yAxis, color?, sizeAxis? (bubble), isHistogram?, binStrategy?, binWidth?,
+ *                                groupBy? (one series per value for bar/line/scatter), stacked? (bar),
+ *                                measures? ([{ key, label?, axis: 'left' | 'right' }], one dataset each for bar/line),
+ *                                timeUnit? (date X already bucketed per day/week/month/quarter/year -> time scale) }
+ * @param {Function} onElementClick - Optional ({ key, value, range? }) when a bar, point or slice is clicked;
+ *                                    histogram bars also pass their [low, high] range
  */
-export default function ChartRenderer({ data, forcedConfig }) {
-    if (!data || !data.length || !forcedConfig) return null;
-
-    const { type, xAxis, yAxis, color } = forcedConfig;
-
-    if (!xAxis || !yAxis) return null;
+export default function ChartRenderer({ data, forcedConfig, onElementClick }) {
+    const { type, xAxis, yAxis, color, sizeAxis, binStrategy, binWidth, groupBy, stacked, measures, timeUnit } = forcedConfig || {};
+    const isHistogram = type === 'histogram' || !!forcedConfig?.isHistogram;
+    const isGrouped = !!groupBy && !isHistogram && GROUPABLE_TYPES.includes(type);
+    const isStacked = isGrouped && !!stacked && type === 'bar';
+    const isMultiMeasure = !isGrouped && !isHistogram && (type === 'bar' || type === 'line') && measures?.length > 1;
+    const hasRightAxis = isMultiMeasure && measures.some(m => m.axis === 'right');
+    const isTimeScale = !!timeUnit && (type === 'bar' || type === 'line');
 
     // --- Prepare Chart Data ---
-    const chartData = useMemo(() => {
-        const labels = data.map(d => d[xAxis]);
-        const values = data.map(d => d[yAxis]);
+    const prepared = useMemo(() => {
+        if (!data || !data.length || !xAxis || !yAxis) return null;
 
         // Basic color generation or default
         const chartColor = color || '#6366f1';
 
+        // Histogram: count of xAxis values per bin
+        if (isHistogram) {
+            const bins = binValues(data.map(d => d[xAxis]), { strategy: binStrategy, width: binWidth });
+            return {
+                bins,
+                chartData: {
+                    labels: bins.map(b => `${formatNumber(b.low)}–${formatNumber(b.high)}`),
+                    datasets: [{
+                        label: 'Count',
+                        data: bins.map(b => b.count),
+                        backgroundColor: chartColor,
+                        borderColor: chartColor,
+                        borderWidth: 1,
+                        barPercentage: 1,
+                        categoryPercentage: 1 // Adjacent bars, bins are continuous
+                    }]
+                }
+            };
+        }
+
+        // Grouped: one dataset per value of the group-by column
+        if (isGrouped) {
+            const seriesKeys = [...new Set(data.map(d => d[groupBy]).filter(v => v !== null && v !== undefined).map(String))];
+            const colors = generateColors(seriesKeys.length);
+
+            if (type === 'scatter') {
+                return {
+                    bins: null,
+                    chartData: {
+                        labels: [],
+                        datasets: seriesKeys.map((series, i) => ({
+                            label: series,
+                            data: data.filter(d => String(d[groupBy]) === series).map(d => ({ x: d[xAxis], y: d[yAxis] })),
+                            backgroundColor: colors[i],
+                            borderColor: colors[i],
+                            pointRadius: 4,
+                            pointHoverRadius: 6
+                        }))
+                    }
+                };
+            }
+
+            // Bars/lines share the x labels; a missing (x, series) pair is a gap
+            const labels = [...new Set(data.map(d => d[xAxis]))];
+            const labelIndex = new Map(labels.map((label, i) => [label, i]));
+            const datasets = seriesKeys.map((series, i) => ({
+                label: series,
+                data: Array(labels.length).fill(null),
+                backgroundColor: colors[i],
+                borderColor: colors[i],
+                borderWidth: type === 'line' ? 2 : 1,
+                pointRadius: type === 'line' ? 3 : 0,
+                spanGaps: true
+            }));
+            const seriesIndex = new Map(seriesKeys.map((series, i) => [series, i]));
+
+            data.forEach(d => {
+                const s = seriesIndex.get(String(d[groupBy]));
+                if (s === undefined) return;
+                datasets[s].data[labelIndex.get(d[xAxis])] = d[yAxis];
+            });
+
+            return { bins: null, chartData: { labels, datasets } };
+        }
+
+        // Multiple measures: one dataset per measure, right-axis measures on y1
+        if (isMultiMeasure) {
+            const colors = generateColors(measures.length);
+            return {
+                bins: null,
+                chartData: {
+                    labels: data.map(d => d[xAxis]),
+                    datasets: measures.map((m, i) => ({
+                        label: m.label || formatLabel(m.key),
+                        data: data.map(d => d[m.key]),
+                        backgroundColor: colors[i],
+                        borderColor: colors[i],
+                        borderWidth: type === 'line' ? 2 : 1,
+                        pointRadius: type === 'line' ? 3 : 0,
+                        spanGaps: true,
+                        yAxisID: m.axis === 'right' ? 'y1' : 'y'
+                    }))
+                }
+            };
+        }
+
+        const labels = data.map(d => d[xAxis]);
+        const values = data.map(d => d[yAxis]);
+
         let bgColors = chartColor;
         if (type === 'pie' || type === 'doughnut') {
             bgColors = generateColors(data.length);
@@ -59,18 +158,24 @@ export default function ChartRenderer({ data, forcedConfig }) {
             formatData = data.map(d => ({ x: d[xAxis], y: d[yAxis] }));
         } else if (type === 'bubble') {
             // Scale size axis
-            const sizes = data.map(d => d[forcedConfig.sizeAxis]);
-            const minS = Math.min(...sizes);
-            const maxS = Math.max(...sizes);
+            // One pass instead of Math.min(...sizes), which overflows the stack on large data
+            let minS = Infinity;
+            let maxS = -Infinity;
+            data.forEach(d => {
+                const v = d[sizeAxis];
+                if (typeof v !== 'number') return;
+                if (v < minS) minS = v;
+                if (v > maxS) maxS = v;
+            });
             const getR = (v) => {
-                if (maxS === minS) return 6;
+                if (typeof v !== 'number' || maxS === minS) return 6;
                 return 4 + ((v - minS) / (maxS - minS)) * 20; // 4 to 24px
             };
 
             formatData = data.map(d => ({
                 x: d[xAxis],
                 y: d[yAxis],
-                r: getR(d[forcedConfig.sizeAxis])
+                r: getR(d[sizeAxis])
             }));
         } else {
             formatData = values;
@@ -79,7 +184,7 @@ export default function ChartRenderer({ data, forcedConfig }) {
         const dataset = {
             label: formatLabel(yAxis),
             data: formatData,
-            backgroundColor: bgColors,
+            backgroundColor: type === 'bubble' ? 'rgba(99, 102, 241, 0.45)' : bgColors,
             borderColor: chartColor,
             borderWidth: 1,
             pointBackgroundColor: 'rgba(99, 102, 241, 0.6)',
@@ -89,12 +194,25 @@ export default function ChartRenderer({ data, forcedConfig }) {
         };
 
         return {
-            labels: (type === 'scatter' || type === 'bubble') ? [] : labels,
-            datasets: [dataset]
+            bins: null,
+            chartData: {
+                labels: (type === 'scatter' || type === 'bubble') ? [] : labels,
+                datasets: [dataset]
+            }
         };
 
-    }, [data, type, xAxis, yAxis, color, forcedConfig]);
+    }, [data, type, xAxis, yAxis, color, sizeAxis, isHistogram, binStrategy, binWidth, isGrouped, groupBy, isMultiMeasure, measures]);
+
+    if (!prepared) return null;
+    const { chartData, bins } = prepared;
 
+    const axisTitle = (side) => {
+        if (!isMultiMeasure) return formatLabel(yAxis);
+        return measures
+            .filter(m => (m.axis === 'right' ? 'right' : 'left') === side)
+            .map(m => m.label || formatLabel(m.key))
+            .join(' / ');
+    };
 
     const options = {
         responsive: true,
@@ -102,10 +220,19 @@ export default function ChartRenderer({ data, forcedConfig }) {
         animation: {
             duration: 0 // No bouncing
         },
+        // Click-to-filter: report the x value (or histogram bin) of the clicked element
+        onClick: onElementClick ? (event, elements) => {
+            if (!elements.length || !chartData.labels.length) return;
+            const index = elements[0].index;
+            const bin = bins?.[index];
+            onElementClick(bin
+                ? { key: xAxis, value: chartData.labels[index], range: [bin.low, bin.high] }
+                : { key: xAxis, value: chartData.labels[index] });
+        } : undefined,
         plugins: {
             legend: {
                 position: 'bottom',
-                display: type === 'pie' || type === 'doughnut',
+                display: type === 'pie' || type === 'doughnut' || isGrouped || isMultiMeasure,
                 labels: {
                     color: '#94a3b8' // Slate 400
                 }
@@ -123,8 +250,10 @@ export default function ChartRenderer({ data, forcedConfig }) {
         },
         scales: (type !== 'pie' && type !== 'doughnut') ? {
             x: {
+                stacked: isStacked,
                 grid: { display: false },
-                type: type === 'scatter' || type === 'bubble' ? 'linear' : 'category',
+                type: isTimeScale ? 'time' : type === 'scatter' || type === 'bubble' ? 'linear' : 'category',
+                ...(isTimeScale ? { time: { unit: timeUnit, tooltipFormat: TOOLTIP_FORMATS[timeUnit] } } : {}),
                 title: { display: true, text: formatLabel(xAxis), color: '#94a3b8' },
                 ticks: {
                     color: '#94a3b8',
@@ -135,10 +264,19 @@ export default function ChartRenderer({ data, forcedConfig }) {
                 }
             },
             y: {
+                stacked: isStacked,
                 grid: { color: 'rgba(148, 163, 184, 0.1)' }, // Subtle Slate
-                title: { display: true, text: formatLabel(yAxis), color: '#94a3b8' },
+                title: { display: true, text: isHistogram ? 'Count' : axisTitle('left'), color: '#94a3b8' },
                 ticks: { color: '#94a3b8' }
-            }
+            },
+            ...(hasRightAxis ? {
+                y1: {
+                    position: 'right',
+                    grid: { drawOnChartArea: false }, // Keep only the left axis grid
+                    title: { display: true, text: axisTitle('right'), color: '#94a3b8' },
+                    ticks: { color: '#94a3b8' }
+                }
+            } : {})
         } : {}
     };
 
@@ -147,6 +285,8 @@ export default function ChartRenderer({ data, forcedConfig }) {
         bar: Bar,
         line: Line,
         scatter: Scatter,
+        bubble: Bubble,
+        histogram: Bar,
         pie: Pie,
         doughnut: Doughnut
     }[type] || Bar;
@@ -159,6 +299,17 @@ export default function ChartRenderer({ data, forcedConfig }) {
 }
 
 // Stats & Utils
+const GROUPABLE_TYPES = ['bar', 'line', 'scatter'];
+
+// date-fns patterns for time-scale tooltips
+const TOOLTIP_FORMATS = {
+    day: 'PP',
+    week: "'Week of' PP",
+    month: 'MMM yyyy',
+    quarter: 'QQQ yyyy',
+    year: 'yyyy'
+};
+
 const generateColors = (count) => {
     const colors = [];
     for (let i = 0; i < count; i++) {
@@ -168,4 +319,6 @@ const generateColors = (count) => {
     return colors;
 };
 
+const formatNumber = (val) => val.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
 const formatLabel = (key) => key.replace(/_/g, ' ').replace(/([A-Z])/g, ' $1').trim();
@@ -0,0 +1,99 @@
+import { useState, useMemo } from "react";
+import { correlationMatrix, CORRELATION_METHODS } from "../utils/DataProcessor";
+
+/**
+ * Correlation heatmap across all numeric columns.
+ * @param {Array} data - Processed rows
+ * @param {Array} columns - Column metadata
+ * @param {Function} onCellClick - (xKey, yKey) to open that pair as a scatter plot
+ */
+export default function CorrelationMatrix({ data, columns, onCellClick }) {
+    const [method, setMethod] = useState('pearson');
+
+    const result = useMemo(() => correlationMatrix(data, columns, method), [data, columns, method]);
+    const { columns: numericCols, matrix } = result;
+
+    if (numericCols.length < 2) {
+        return (
+            <div className="correlation-matrix fade-in">
+                <h2 className="section-title">Correlations</h2>
+                <div className="empty-state-small">
+                    At least two numeric columns are needed for a correlation matrix.
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="correlation-matrix fade-in">
+            <h2 className="section-title">Correlations</h2>
+            <p className="section-subtitle">
+                Pairwise correlation of every numeric column. Rows with a missing value are skipped per pair. Click a cell to explore it as a scatter plot.
+            </p>
+
+            <div className="chart-card">
+                <div className="chart-header">
+                    <div className="chart-type-selector">
+                        {CORRELATION_METHODS.map(m => (
+                            <button
+                                key={m.value}
+                                className={`type-btn ${method === m.value ? 'active' : ''}`}
+                                onClick={() => setMethod(m.value)}
+                            >
+                                {m.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="correlation-legend">
+                        <span>-1</span>
+                        <div className="correlation-legend-scale"></div>
+                        <span>+1</span>
+                    </div>
+                </div>
+
+                <div className="schema-table-wrapper">
+                    <table className="correlation-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                {numericCols.map(col => <th key={col.key} title={col.label}>{col.label}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {numericCols.map((rowCol, i) => (
+                                <tr key={rowCol.key}>
+                                    <th title={rowCol.label}>{rowCol.label}</th>
+                                    {numericCols.map((col, j) => {
+                                        const { r, n } = matrix[i][j];
+                                        const isDiagonal = i === j;
+                                        return (
+                                            <td
+                                                key={col.key}
+                                                className={isDiagonal ? 'diagonal' : 'clickable'}
+                                                style={cellStyle(r)}
+                                                title={`${rowCol.label} × ${col.label}: r = ${r.toFixed(3)} (n = ${n.toLocaleString()})`}
+                                                onClick={isDiagonal ? undefined : () => onCellClick(col.key, rowCol.key)}
+                                            >
+                                                {r.toFixed(2)}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Indigo for positive, red for negative, opacity by strength
+const cellStyle = (r) => {
+    const strength = Math.min(Math.abs(r), 1);
+    const rgb = r >= 0 ? '99, 102, 241' : '239, 68, 68';
+    return {
+        background: `rgba(${rgb}, ${0.1 + strength * 0.8})`,
+        color: strength > 0.55 ? '#ffffff' : 'var(--text-main)'
+    };
+};
@@ -1,28 +1,191 @@
-import { useState } from "react";
-import { LayoutDashboard, Sun, Moon, Save, ChevronLeft } from "lucide-react";
+import { useState, useMemo, useRef, useEffect, useEffectEvent } from "react";
+import { LayoutDashboard, Sun, Moon, Save, ChevronLeft, FileDown } from "lucide-react";
 import FileUpload from "./FileUpload";
 import SavedDashboards from "./SavedDashboards";
 import DataSummary from "./DataSummary";
 import RecommendedCharts from "./RecommendedCharts";
 import ManualExplorer from "./ManualExplorer";
+import SchemaPanel from "./SchemaPanel";
+import CalculatedColumns from "./CalculatedColumns";
+import DataGrid from "./DataGrid";
+import FilterBar from "./FilterBar";
+import CorrelationMatrix from "./CorrelationMatrix";
+import PivotTable from "./PivotTable";
+import DataQualityPanel from "./DataQualityPanel";
+import DashboardCanvas from "./DashboardCanvas";
 import ProfileMenu from "./ProfileMenu";
 import { auth, db } from "../firebase";
 import { collection, addDoc } from "firebase/firestore";
-import { processData } from "../utils/DataProcessor";
+import { profileData, isCancelled } from "../utils/DataPipeline";
+import { serializeDashboard, deserializeDashboard, DEFAULT_EXPLORER_CONFIG, DEFAULT_PIVOT_CONFIG } from "../utils/DashboardSerializer";
+import { saveDataset, loadDataset } from "../utils/DatasetStorage";
+import { applyFilters, toggleFilterValue, withFilter } from "../utils/FilterEngine";
+import { summarizeData } from "../utils/DataProcessor";
 import { getRecommendations } from "../utils/RecommendationEngine";
 import { useTheme } from "../utils/useTheme";
-
-export default function Dashboard() {
+import { exportDashboardPdf } from "../utils/ChartExport";
+import { addLayoutItem } from "../utils/CanvasLayout";
+import { getAccessRole, loadSharedDashboard, saveDashboardChanges, SHARE_ROLES } from "../utils/DashboardSharing";
+
+const SOURCE_LABELS = {
+    history: "Upload History",
+    saved: "Saved Dashboards",
+    shared: "Shared with Me",
+    link: "a shared link"
+};
+
+/**
+ * @param {String} sharedId - Dashboard id from a share link, opened on mount
+ * @param {Function} onLeaveShared - Drops the share link once its dashboard is closed
+ */
+export default function Dashboard({ sharedId, onLeaveShared }) {
+    const [rawData, setRawData] = useState([]);
     const [data, setData] = useState([]);
     const [analysis, setAnalysis] = useState(null);
     const [recommendations, setRecommendations] = useState([]);
     const [isSaving, setIsSaving] = useState(false);
-    const [view, setView] = useState('dashboard'); // dashboard, history, saved, settings
-    const [source, setSource] = useState(null); // null, 'history', 'saved'
+    const [isExporting, setIsExporting] = useState(false); // Renders the offscreen PDF report while true
+    const [view, setView] = useState('dashboard'); // dashboard, history, saved, shared, settings
+    const [source, setSource] = useState(null); // null, 'history', 'saved', 'shared', 'link'
+    const [access, setAccess] = useState(null); // { id, role } of the opened stored dashboard, see DashboardSharing
     const [activeTab, setActiveTab] = useState('columns');
+    const [columnOverrides, setColumnOverrides] = useState({});
+    const [calculatedColumns, setCalculatedColumns] = useState([]); // [{ name, formula }], see FormulaEngine
+    const [explorerConfig, setExplorerConfig] = useState(DEFAULT_EXPLORER_CONFIG);
+    const [pivotConfig, setPivotConfig] = useState(DEFAULT_PIVOT_CONFIG);
+    const [pinnedCharts, setPinnedCharts] = useState([]); // [{ id, source, title, note, config }], see DashboardCanvas
+    const [layout, setLayout] = useState([]); // Canvas grid positions, see CanvasLayout
+    const [storageProgress, setStorageProgress] = useState(null); // { label, percent }
+    const [datasetNote, setDatasetNote] = useState(null); // Set when a stored copy differs from the original
+    const [profiling, setProfiling] = useState(null); // { label, percent, cancel } while the worker runs
+    const [datasetName, setDatasetName] = useState(null);
+    const [datasets, setDatasets] = useState([]); // [{ name, rows }] when a workbook was imported as separate sheets
+    const [activeDataset, setActiveDataset] = useState(0);
+    const [filters, setFilters] = useState({}); // Dashboard-level filters, see FilterEngine
 
     const { theme, toggleTheme } = useTheme();
     const user = auth.currentUser;
+    const reportRef = useRef(null);
+
+    // Viewers of a shared dashboard can explore it but not change what is saved
+    const readOnly = access?.role === 'viewer';
+    const isStored = source === 'saved' || source === 'shared' || source === 'link';
+    const canSaveChanges = isStored && (access?.role === 'owner' || access?.role === 'editor');
+
+    // Every tab works on the filtered subset; stats and recommendations are recomputed for it
+    const filteredData = useMemo(
+        () => analysis ? applyFilters(data, filters, analysis.columns) : data,
+        [data, filters, analysis]
+    );
+    const filteredAnalysis = useMemo(
+        () => analysis && filteredData !== data ? summarizeData(filteredData, analysis.columns) : analysis,
+        [analysis, data, filteredData]
+    );
+    const filteredRecommendations = useMemo(
+        () => filteredAnalysis && filteredData !== data ? getRecommendations(filteredData, filteredAnalysis.columns) : recommendations,
+        [filteredAnalysis, filteredData, data, recommendations]
+    );
+
+    // Click-to-filter from chart bars/slices, histogram bins and category summaries
+    const handleValueClick = ({ key, value, range }) => {
+        const col = analysis?.columns.find(c => c.key === key);
+        if (!col) return;
+        if (col.type === 'number' && range) {
+            setFilters(prev => withFilter(prev, key, { min: range[0], max: range[1] }));
+        } else if (col.type === 'category' || col.type === 'text') {
+            setFilters(prev => toggleFilterValue(prev, key, value));
+        }
+    };
+
+    // "Add to dashboard" from the explorer or System Insights: a copy of the chart config on the canvas
+    const pinChart = ({ source, title, note = '', config }) => {
+        const id = `chart-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        setPinnedCharts(prev => [...prev, { id, source, title, note, config }]);
+        setLayout(prev => addLayoutItem(prev, id));
+    };
+
+    // Correlation cell -> that pair as a scatter in the explorer
+    const openScatter = (xKey, yKey) => {
+        setExplorerConfig(prev => ({ ...prev, type: 'scatter', xAxis: xKey, yAxis: yKey }));
+        setActiveTab('explore');
+    };
+
+    const trackProgress = (label) => (fraction) => setStorageProgress({ label, percent: Math.round(fraction * 100) });
+
+    // Writes the dashboard document first, then the full dataset as chunk documents; resolves the document id
+    const persistDashboard = async (state, meta, label) => {
+        const ref = await addDoc(collection(db, "dashboards"), serializeDashboard(state, meta));
+        setStorageProgress({ label, percent: 0 });
+        try {
+            await saveDataset(ref.id, state.rawData, trackProgress(label));
+        } finally {
+            setStorageProgress(null);
+        }
+        return ref.id;
+    };
+
+    const resetDashboard = () => {
+        setRawData([]);
+        setData([]);
+        setAnalysis(null);
+        setRecommendations([]);
+        setSource(null);
+        setColumnOverrides({});
+        setCalculatedColumns([]);
+        setExplorerConfig(DEFAULT_EXPLORER_CONFIG);
+        setPivotConfig(DEFAULT_PIVOT_CONFIG);
+        setPinnedCharts([]);
+        setLayout([]);
+        setDatasetNote(null);
+        setDatasetName(null);
+        setDatasets([]);
+        setActiveDataset(0);
+        setFilters({});
+        setAccess(null);
+    };
+
+    // Runs calculated columns, processData + recommendations in the pipeline worker; resolves null if cancelled
+    const analyzeRows = async (rows, overrides = {}, calculated = []) => {
+        const job = profileData(rows, overrides, calculated, {
+            onProgress: ({ phase, progress }) => setProfiling({
+                label: phase === 'recommending' ? "Finding insights" : "Profiling data",
+                percent: Math.round(progress * 100),
+                cancel: job.cancel
+            })
+        });
+        setProfiling({ label: "Profiling data", percent: 0, cancel: job.cancel });
+        try {
+            return await job.promise;
+        } catch (err) {
+            if (isCancelled(err)) return null;
+            throw err;
+        } finally {
+            setProfiling(null);
+        }
+    };
+
+    // PDF report of the chart tabs, rendered offscreen with the current filters
+    const exportReport = async () => {
+        if (!filteredData.length) return alert("No rows to export!");
+
+        setIsExporting(true);
+        try {
+            const filterCount = Object.keys(filters).length;
+            const subtitle = [
+                datasetName,
+                `${filteredData.length.toLocaleString()} of ${data.length.toLocaleString()} rows`,
+                filterCount ? `${filterCount} filter${filterCount > 1 ? 's' : ''} applied` : null,
+                `Exported ${new Date().toLocaleString()}`
+            ].filter(Boolean).join(' · ');
+            const count = await exportDashboardPdf(reportRef, { title: "Visuomind Report", subtitle }, datasetName || 'dashboard-report');
+            if (count === 0) alert("The report has no charts for the current data.");
+        } catch (err) {
+            console.error("PDF export failed:", err);
+            alert(`PDF export failed: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
 
     // Manual Save
     const saveDashboard = async () => {
@@ -30,15 +193,26 @@ export default function Dashboard() {
 
         setIsSaving(true);
         try {
-            await addDoc(collection(db, "dashboards"), {
+            const id = await persistDashboard({
+                rawData,
+                datasetName,
+                columns: analysis?.columns,
+                columnOverrides,
+                calculatedColumns,
+                explorerConfig,
+                pivotConfig,
+                filters,
+                pinnedCharts,
+                layout,
+                activeTab
+            }, {
                 uid: user?.uid,
-                data: data.slice(0, 1000),
-                createdAt: Date.now(),
                 name: `Dashboard ${new Date().toLocaleString()}`,
                 type: 'manual'
-            });
+            }, "Saving dataset");
             alert("Dashboard saved successfully!");
             setSource('saved');
+            setAccess({ id, role: 'owner' }); // Later edits go through "Save changes"
         } catch (err) {
             console.error("Error saving: ", err);
             alert(`Error saving: ${err.message}`);
@@ -47,61 +221,201 @@ export default function Dashboard() {
         }
     };
 
+    // Owners and editors of a stored dashboard write their changes back to it
+    const saveChanges = async () => {
+        setIsSaving(true);
+        try {
+            await saveDashboardChanges(access.id, {
+                columns: analysis?.columns,
+                columnOverrides,
+                calculatedColumns,
+                explorerConfig,
+                pivotConfig,
+                filters,
+                pinnedCharts,
+                layout,
+                activeTab
+            }, user, access.role);
+            alert("Changes saved successfully!");
+        } catch (err) {
+            console.error("Error saving changes: ", err);
+            alert(`Error saving changes: ${err.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
     // Auto Save (Triggered on Upload)
-    const handleUpload = (rawData) => {
-        const processed = processData(rawData);
-        if (!processed) return alert("Could not process data");
+    // meta: { name, datasets, activeIndex, autoSave } - datasets holds sibling sheets of a workbook
+    const handleUpload = async (rawData, meta = {}) => {
+        let result;
+        try {
+            result = await analyzeRows(rawData);
+        } catch (err) {
+            console.error("Processing failed", err);
+        }
+        if (result === null) return; // Cancelled by the user
+        if (!result?.analysis) return alert("Could not process data");
 
-        // Generate Recommendations
-        const recs = getRecommendations(processed.data, processed.columns);
+        const { analysis: processed, recommendations: recs } = result;
 
+        resetDashboard();
+        setRawData(rawData);
         setData(processed.data);
         setAnalysis(processed);
         setRecommendations(recs);
-        setSource(null);
-
-        if (user) {
-            addDoc(collection(db, "dashboards"), {
-                uid: user.uid,
-                data: processed.data.slice(0, 1000),
-                createdAt: Date.now(),
-                name: `Auto-Save ${new Date().toLocaleString()}`,
-                type: 'auto'
-            }).catch(err => console.error("Auto-save failed", err));
+        setDatasetName(meta.name || null);
+        setDatasets(meta.datasets || []);
+        setActiveDataset(meta.activeIndex || 0);
+
+        if (user && meta.autoSave !== false) {
+            // A workbook imported as separate datasets gets one history entry per sheet
+            const sheets = meta.datasets?.length ? meta.datasets : [{ name: meta.name, rows: rawData }];
+            const savedAt = new Date().toLocaleString();
+            const saveSheets = async () => {
+                for (const sheet of sheets) {
+                    const isMulti = sheets.length > 1;
+                    await persistDashboard({
+                        rawData: sheet.rows,
+                        datasetName: sheet.name,
+                        columns: sheet.rows === rawData ? processed.columns : [] // Other sheets are profiled when opened
+                    }, {
+                        uid: user.uid,
+                        name: isMulti ? `Auto-Save ${savedAt} (${sheet.name})` : `Auto-Save ${savedAt}`,
+                        type: 'auto'
+                    }, isMulti ? `Auto-saving ${sheet.name}` : "Auto-saving dataset");
+                }
+            };
+            saveSheets().catch(err => console.error("Auto-save failed", err));
         }
     };
 
-    const handleLoadFromStorage = (savedData, fromSource) => {
-        const processed = processData(savedData);
-        if (processed) {
-            const recs = getRecommendations(processed.data, processed.columns);
-            setData(processed.data);
-            setAnalysis(processed);
-            setRecommendations(recs);
+    const handleLoadFromStorage = async (savedDoc, fromSource) => {
+        const saved = deserializeDashboard(savedDoc);
+        if (!saved) return alert("Could not load dashboard");
+
+        let loaded;
+        setStorageProgress({ label: "Loading dataset", percent: 0 });
+        try {
+            loaded = await loadDataset(saved.id, saved.dataset, trackProgress("Loading dataset"));
+        } catch (err) {
+            console.error("Error loading: ", err);
+            return alert(`Error loading: ${err.message}`);
+        } finally {
+            setStorageProgress(null);
+        }
+
+        let result;
+        try {
+            result = await analyzeRows(loaded.rows, saved.columnOverrides, saved.calculatedColumns);
+        } catch (err) {
+            console.error("Processing failed", err);
+        }
+        if (result === null) return; // Cancelled by the user
+
+        resetDashboard();
+        if (result?.analysis) {
+            setData(result.analysis.data);
+            setAnalysis(result.analysis);
+            setRecommendations(result.recommendations);
         } else {
-            setData(savedData);
+            setData(loaded.rows);
         }
+        setRawData(loaded.rows);
+        setDatasetNote(loaded.note);
+        setDatasetName(saved.dataset.name || null);
+        setColumnOverrides(saved.columnOverrides);
+        setCalculatedColumns(saved.calculatedColumns);
+        setExplorerConfig(saved.explorerConfig);
+        setPivotConfig(saved.pivotConfig);
+        setFilters(saved.filters);
+        setPinnedCharts(saved.pinnedCharts);
+        setLayout(saved.layout);
+        setActiveTab(saved.activeTab);
         setSource(fromSource);
+        setAccess({ id: saved.id, role: getAccessRole(savedDoc, user) || 'viewer' });
         setView('dashboard');
     };
 
+    const openLinkedDashboard = useEffectEvent((savedDoc) => {
+        if (savedDoc) return handleLoadFromStorage(savedDoc, 'link');
+        onLeaveShared();
+        alert("This dashboard no longer exists.");
+    });
+
+    const linkFailed = useEffectEvent((err) => {
+        console.error("Error opening shared dashboard: ", err);
+        onLeaveShared();
+        alert(err.code === 'permission-denied'
+            ? "You don't have access to this dashboard. Ask its owner to invite you or to turn on its link."
+            : `Error opening shared dashboard: ${err.message}`);
+    });
+
+    // Share link: open the linked dashboard (Firestore rules decide whether this user may)
+    useEffect(() => {
+        if (!sharedId) return;
+        let active = true;
+        loadSharedDashboard(sharedId)
+            .then(savedDoc => { if (active) openLinkedDashboard(savedDoc); })
+            .catch(err => { if (active) linkFailed(err); });
+        return () => { active = false; };
+    }, [sharedId]);
+
+    // Switches between sheets imported as separate datasets (each was auto-saved on import)
+    const switchDataset = (index) => {
+        const target = datasets[index];
+        handleUpload(target.rows, { name: target.name, datasets, activeIndex: index, autoSave: false });
+    };
+
+    // Re-runs the analysis with user schema overrides from the Column Insights tab
+    const applyOverrides = async (overrides) => {
+        let result;
+        try {
+            result = await analyzeRows(rawData, overrides, calculatedColumns);
+        } catch (err) {
+            console.error("Processing failed", err);
+        }
+        if (result === null) return;
+        if (!result?.analysis) return alert("Could not apply schema changes");
+
+        setColumnOverrides(overrides);
+        setData(result.analysis.data);
+        setAnalysis(result.analysis);
+        setRecommendations(result.recommendations);
+    };
+
+    // Re-runs the analysis with a new set of calculated columns
+    const applyCalculated = async (calculated) => {
+        let result;
+        try {
+            result = await analyzeRows(rawData, columnOverrides, calculated);
+        } catch (err) {
+            console.error("Processing failed", err);
+            return alert(`Could not apply calculated columns: ${err.message}`);
+        }
+        if (result === null) return;
+        if (!result?.analysis) return alert("Could not apply calculated columns");
+
+        setCalculatedColumns(calculated);
+        setData(result.analysis.data);
+        setAnalysis(result.analysis);
+        setRecommendations(result.recommendations);
+    };
+
     const handleBack = () => {
-        setData([]);
-        setAnalysis(null);
-        setRecommendations([]);
-        setSource(null);
+        resetDashboard();
+        if (sharedId) onLeaveShared();
         if (source === 'history') setView('history');
         else if (source === 'saved') setView('saved');
+        else if (source === 'shared') setView('shared');
         else setView('dashboard');
     };
 
 
     const goHome = () => {
         if (data.length > 0 && !confirm("This will clear your current analysis. Continue?")) return;
-        setData([]);
-        setAnalysis(null);
-        setRecommendations([]);
-        setSource(null);
+        resetDashboard();
+        if (sharedId) onLeaveShared();
         setView('dashboard');
         setActiveTab('columns');
     };
@@ -119,7 +433,7 @@ export default function Dashboard() {
                 </div>
 
                 <div className="nav-actions" style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                    {view === 'dashboard' && data.length > 0 && source !== 'saved' && (
+                    {view === 'dashboard' && data.length > 0 && !isStored && (
                         <button
                             className="btn btn-primary"
                             onClick={saveDashboard}
@@ -127,7 +441,33 @@ export default function Dashboard() {
                             style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 1rem' }}
                         >
                             <Save size={18} />
-                            <span>Save</span>
+                            <span>{isSaving && storageProgress ? `Saving ${storageProgress.percent}%` : 'Save'}</span>
+                        </button>
+                    )}
+
+                    {view === 'dashboard' && data.length > 0 && canSaveChanges && (
+                        <button
+                            className="btn btn-primary"
+                            onClick={saveChanges}
+                            disabled={isSaving}
+                            title="Save filters, charts and layout to this dashboard"
+                            style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 1rem' }}
+                        >
+                            <Save size={18} />
+                            <span>{isSaving ? 'Saving…' : 'Save changes'}</span>
+                        </button>
+                    )}
+
+                    {view === 'dashboard' && data.length > 0 && (
+                        <button
+                            className="btn btn-outline"
+                            onClick={exportReport}
+                            disabled={isExporting}
+                            title="Download the System Insights, Dashboard Canvas and Explore charts as a PDF report"
+                            style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem 1rem' }}
+                        >
+                            <FileDown size={18} />
+                            <span>{isExporting ? 'Exporting…' : 'Export PDF'}</span>
                         </button>
                     )}
 
@@ -147,6 +487,25 @@ export default function Dashboard() {
             </header>
 
             <main className="main-content">
+                {storageProgress && (
+                    <div className="progress-banner fade-in">
+                        <span>{storageProgress.label}… {storageProgress.percent}%</span>
+                        <div className="progress-track">
+                            <div className="progress-fill" style={{ width: `${storageProgress.percent}%` }}></div>
+                        </div>
+                    </div>
+                )}
+                {profiling && (
+                    <div className="progress-banner fade-in">
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <span>{profiling.label}… {profiling.percent}%</span>
+                            <button className="btn-link" onClick={profiling.cancel}>Cancel</button>
+                        </div>
+                        <div className="progress-track">
+                            <div className="progress-fill" style={{ width: `${profiling.percent}%` }}></div>
+                        </div>
+                    </div>
+                )}
                 {/* Back Button for sub-views, moved to content area top */}
                 {view !== 'dashboard' && (
                     <div style={{ marginBottom: '1rem' }}>
@@ -231,10 +590,44 @@ export default function Dashboard() {
                             <div className="dashboard-content">
                                 {source && (
                                     <div className="active-data-banner">
-                                        <p>Viewing data from <strong>{source === 'history' ? "Upload History" : "Saved Dashboards"}</strong></p>
+                                        <p>Viewing data from <strong>{SOURCE_LABELS[source]}</strong></p>
+                                        {access && access.role !== 'owner' && (
+                                            <span className={`badge share-role ${access.role}`}>
+                                                {SHARE_ROLES.find(r => r.value === access.role)?.label}
+                                            </span>
+                                        )}
+                                    </div>
+                                )}
+
+                                {datasets.length > 1 && (
+                                    <div className="control-group dataset-switcher">
+                                        <label>Dataset</label>
+                                        <select
+                                            className="chart-select"
+                                            value={activeDataset}
+                                            onChange={e => switchDataset(Number(e.target.value))}
+                                        >
+                                            {datasets.map((d, i) => (
+                                                <option key={d.name} value={i}>{d.name} ({d.rows.length.toLocaleString()} rows)</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+
+                                {datasetNote && (
+                                    <div className="dataset-note">
+                                        <p>{datasetNote}</p>
                                     </div>
                                 )}
 
+                                <FilterBar
+                                    data={data}
+                                    columns={analysis.columns}
+                                    filters={filters}
+                                    onChange={setFilters}
+                                    filteredCount={filteredData.length}
+                                />
+
                                 {/* Analytical Layers Tabs */}
                                 <div className="tabs-container fade-in">
                                     <button
@@ -255,30 +648,175 @@ export default function Dashboard() {
                                     >
                                         Explore Relationships
                                     </button>
+                                    <button
+                                        className={`tab-btn ${activeTab === 'canvas' ? 'active' : ''}`}
+                                        onClick={() => setActiveTab('canvas')}
+                                    >
+                                        Dashboard Canvas{pinnedCharts.length > 0 ? ` (${pinnedCharts.length})` : ''}
+                                    </button>
+                                    <button
+                                        className={`tab-btn ${activeTab === 'correlations' ? 'active' : ''}`}
+                                        onClick={() => setActiveTab('correlations')}
+                                    >
+                                        Correlations
+                                    </button>
+                                    <button
+                                        className={`tab-btn ${activeTab === 'pivot' ? 'active' : ''}`}
+                                        onClick={() => setActiveTab('pivot')}
+                                    >
+                                        Pivot
+                                    </button>
+                                    <button
+                                        className={`tab-btn ${activeTab === 'quality' ? 'active' : ''}`}
+                                        onClick={() => setActiveTab('quality')}
+                                    >
+                                        Data Quality
+                                    </button>
+                                    <button
+                                        className={`tab-btn ${activeTab === 'data' ? 'active' : ''}`}
+                                        onClick={() => setActiveTab('data')}
+                                    >
+                                        Data
+                                    </button>
                                 </div>
 
                                 <div className="tab-content fade-in">
+                                    {filteredData.length === 0 && activeTab !== 'data' && activeTab !== 'quality' && (
+                                        <div className="empty-state-small">
+                                            No rows match the current filters.
+                                        </div>
+                                    )}
+
                                     {activeTab === 'columns' && (
                                         <div className="layer-view">
+                                            {!readOnly && (
+                                                <>
+                                                    <SchemaPanel
+                                                        columns={analysis.columns}
+                                                        overrides={columnOverrides}
+                                                        onApply={applyOverrides}
+                                                    />
+                                                    <CalculatedColumns
+                                                        rawData={rawData}
+                                                        columns={analysis.columns}
+                                                        calculated={calculatedColumns}
+                                                        onApply={applyCalculated}
+                                                    />
+                                                </>
+                                            )}
                                             {/* Univariate */}
-                                            <DataSummary analysis={analysis} data={data} />
+                                            {filteredData.length > 0 && (
+                                                <DataSummary analysis={filteredAnalysis} data={filteredData} onValueClick={handleValueClick} />
+                                            )}
                                         </div>
                                     )}
 
                                     {activeTab === 'smart' && (
                                         <div className="layer-view">
                                             {/* Multivariate */}
-                                            <RecommendedCharts recommendations={recommendations} data={data} />
+                                            {filteredData.length > 0 && (
+                                                <RecommendedCharts
+                                                    recommendations={filteredRecommendations}
+                                                    data={filteredData}
+                                                    onElementClick={handleValueClick}
+                                                    onPin={readOnly ? undefined : pinChart}
+                                                />
+                                            )}
                                         </div>
                                     )}
 
                                     {activeTab === 'explore' && (
                                         <div className="layer-view">
                                             {/* Bivariate */}
-                                            <ManualExplorer data={data} columns={analysis.columns} />
+                                            {filteredData.length > 0 && (
+                                                <ManualExplorer
+                                                    data={filteredData}
+                                                    columns={filteredAnalysis.columns}
+                                                    config={explorerConfig}
+                                                    onConfigChange={setExplorerConfig}
+                                                    onElementClick={handleValueClick}
+                                                    onPin={readOnly ? undefined : pinChart}
+                                                />
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'canvas' && filteredData.length > 0 && (
+                                        <div className="layer-view">
+                                            <DashboardCanvas
+                                                charts={pinnedCharts}
+                                                layout={layout}
+                                                data={filteredData}
+                                                columns={filteredAnalysis.columns}
+                                                onChartsChange={setPinnedCharts}
+                                                onLayoutChange={setLayout}
+                                                onElementClick={handleValueClick}
+                                                readOnly={readOnly}
+                                            />
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'correlations' && filteredData.length > 0 && (
+                                        <div className="layer-view">
+                                            <CorrelationMatrix
+                                                data={filteredData}
+                                                columns={filteredAnalysis.columns}
+                                                onCellClick={openScatter}
+                                            />
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'pivot' && filteredData.length > 0 && (
+                                        <div className="layer-view">
+                                            <PivotTable
+                                                data={filteredData}
+                                                columns={analysis.columns}
+                                                config={pivotConfig}
+                                                onConfigChange={setPivotConfig}
+                                            />
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'quality' && (
+                                        <div className="layer-view">
+                                            <DataQualityPanel data={data} columns={analysis.columns} />
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'data' && (
+                                        <div className="layer-view">
+                                            <DataGrid data={filteredData} columns={analysis.columns} />
                                         </div>
                                     )}
                                 </div>
+
+                                {/* Every chart tab at once, offscreen, for the PDF report (see exportReport) */}
+                                {isExporting && filteredData.length > 0 && (
+                                    <div className="report-render" ref={reportRef} aria-hidden="true">
+                                        <div data-export-section="System Insights">
+                                            <RecommendedCharts recommendations={filteredRecommendations} data={filteredData} />
+                                        </div>
+                                        {pinnedCharts.length > 0 && (
+                                            <div data-export-section="Dashboard Canvas">
+                                                <DashboardCanvas
+                                                    charts={pinnedCharts}
+                                                    layout={layout}
+                                                    data={filteredData}
+                                                    columns={filteredAnalysis.columns}
+                                                    readOnly
+                                                />
+                                            </div>
+                                        )}
+                                        <div data-export-section="Explore Relationships">
+                                            <ManualExplorer
+                                                data={filteredData}
+                                                columns={filteredAnalysis.columns}
+                                                config={explorerConfig}
+                                                onConfigChange={setExplorerConfig}
+                                            />
+                                        </div>
+                                    </div>
+                                )}
                             </div>
                         )}
                     </>
@@ -300,6 +838,14 @@ export default function Dashboard() {
                     />
                 )}
 
+                {view === 'shared' && (
+                    <SavedDashboards
+                        type="shared"
+                        onLoad={(d) => handleLoadFromStorage(d, 'shared')}
+                        onBack={() => setView('dashboard')}
+                    />
+                )}
+
                 {view === 'settings' && (
                     <div className="settings-view fade-in">
                         <div style={{ marginBottom: '1.5rem' }}>
@@ -0,0 +1,228 @@
+import { useState, useMemo, useRef, lazy, Suspense } from "react";
+import { GripVertical, X } from "lucide-react";
+import ChartRenderer from "./ChartRenderer";
+import ChartExportMenu from "./ChartExportMenu";
+import { histogramRows } from "../utils/ChartExport";
+import { prepareExplorerData, PLOTLY_TYPES } from "../utils/ExplorerData";
+import {
+    syncLayout, updateLayoutItem, removeLayoutItem, GRID_COLUMNS, CANVAS_ROW_HEIGHT
+} from "../utils/CanvasLayout";
+
+const PlotlyRenderer = lazy(() => import('./PlotlyRenderer'));
+
+const GRID_GAP = 16; // px, matches .canvas-grid gap
+
+/**
+ * Custom dashboard: charts pinned from the explorer or System Insights, arranged on a
+ * drag-and-resize grid with editable titles and notes. Charts and layout are owned by
+ * the Dashboard so they are saved with it.
+ * @param {Array} charts - [{ id, source: 'explorer' | 'insight', title, note, config }]
+ * @param {Array} layout - [{ id, x, y, w, h }] (see CanvasLayout)
+ * @param {Array} data - Processed (filtered) rows
+ * @param {Array} columns - Column metadata
+ * @param {Function} onChartsChange - Called with the new charts array
+ * @param {Function} onLayoutChange - Called with the new layout
+ * @param {Function} onElementClick - Optional click-to-filter handler
+ * @param {Boolean} readOnly - No editing (e.g. the PDF report)
+ */
+export default function DashboardCanvas({ charts, layout, data, columns, onChartsChange, onLayoutChange, onElementClick, readOnly = false }) {
+    const gridRef = useRef(null);
+    const [interaction, setInteraction] = useState(null); // { id, mode: 'move' | 'resize', startX, startY, origin, preview }
+
+    const baseLayout = useMemo(() => syncLayout(layout, charts.map(c => c.id)), [layout, charts]);
+    // While dragging, the other cards reflow around the preview position
+    const shownLayout = interaction
+        ? updateLayoutItem(baseLayout, interaction.id, interaction.preview)
+        : baseLayout;
+
+    // --- Drag & Resize (pointer capture keeps events on the handle while dragging) ---
+    const startInteraction = (e, id, mode) => {
+        if (readOnly || e.button !== 0) return;
+        const origin = baseLayout.find(item => item.id === id);
+        if (!origin) return;
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setInteraction({ id, mode, startX: e.clientX, startY: e.clientY, origin, preview: { ...origin } });
+    };
+
+    const moveInteraction = (e) => {
+        if (!interaction || !gridRef.current) return;
+        const cellWidth = (gridRef.current.clientWidth + GRID_GAP) / GRID_COLUMNS;
+        const dx = Math.round((e.clientX - interaction.startX) / cellWidth);
+        const dy = Math.round((e.clientY - interaction.startY) / (CANVAS_ROW_HEIGHT + GRID_GAP));
+        const { origin } = interaction;
+        const preview = interaction.mode === 'move'
+            ? { x: origin.x + dx, y: origin.y + dy, w: origin.w, h: origin.h }
+            : { x: origin.x, y: origin.y, w: origin.w + dx, h: origin.h + dy };
+        setInteraction({ ...interaction, preview });
+    };
+
+    const endInteraction = () => {
+        if (!interaction) return;
+        onLayoutChange(updateLayoutItem(baseLayout, interaction.id, interaction.preview));
+        setInteraction(null);
+    };
+
+    const pointerProps = (id, mode) => ({
+        onPointerDown: (e) => startInteraction(e, id, mode),
+        onPointerMove: moveInteraction,
+        onPointerUp: endInteraction,
+        onPointerCancel: () => setInteraction(null)
+    });
+
+    // --- Chart Editing ---
+    const updateChart = (id, field, value) => {
+        onChartsChange(charts.map(c => (c.id === id ? { ...c, [field]: value } : c)));
+    };
+
+    const removeChart = (id) => {
+        onChartsChange(charts.filter(c => c.id !== id));
+        onLayoutChange(removeLayoutItem(baseLayout, id));
+    };
+
+    if (charts.length === 0) {
+        return (
+            <div className="dashboard-canvas fade-in">
+                <h2 className="section-title">Dashboard Canvas</h2>
+                <div className="empty-state-small">
+                    Nothing pinned yet. Use "Add to dashboard" in Explore Relationships or the pin on a System Insights chart.
+                </div>
+            </div>
+        );
+    }
+
+    const rowCount = shownLayout.reduce((max, item) => Math.max(max, item.y + item.h), 0);
+
+    return (
+        <div className="dashboard-canvas fade-in">
+            <h2 className="section-title">Dashboard Canvas</h2>
+            {!readOnly && (
+                <p className="section-subtitle">
+                    Drag cards by their handle, resize them from the corner, and rename or annotate them. Charts follow the dashboard filters.
+                </p>
+            )}
+
+            <div
+                ref={gridRef}
+                className={`canvas-grid ${interaction ? 'interacting' : ''}`}
+                style={{ gridTemplateRows: `repeat(${rowCount}, ${CANVAS_ROW_HEIGHT}px)` }}
+            >
+                {shownLayout.map(item => {
+                    const chart = charts.find(c => c.id === item.id);
+                    if (!chart) return null;
+                    return (
+                        <div
+                            key={chart.id}
+                            className={`chart-card canvas-card ${interaction?.id === chart.id ? 'active' : ''}`}
+                            style={{ gridColumn: `${item.x + 1} / span ${item.w}`, gridRow: `${item.y + 1} / span ${item.h}` }}
+                        >
+                            <PinnedChart
+                                chart={chart}
+                                data={data}
+                                columns={columns}
+                                readOnly={readOnly}
+                                moveHandleProps={pointerProps(chart.id, 'move')}
+                                onUpdate={(field, value) => updateChart(chart.id, field, value)}
+                                onRemove={() => removeChart(chart.id)}
+                                onElementClick={onElementClick}
+                            />
+                            {!readOnly && <div className="canvas-resize-handle" title="Resize" {...pointerProps(chart.id, 'resize')}></div>}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+// One pinned chart: header (handle, title, export, remove), chart, note
+function PinnedChart({ chart, data, columns, readOnly, moveHandleProps, onUpdate, onRemove, onElementClick }) {
+    const chartRef = useRef(null);
+    const { source, config } = chart;
+
+    // Rows behind the chart, prepared the way the original view prepared them (histograms export their bins)
+    const prepared = useMemo(() => {
+        const keys = new Set(columns.map(c => c.key));
+        if (source === 'insight') {
+            const fields = [config.xAxis, config.yAxis, config.sizeAxis].filter((k, i, arr) => k && arr.indexOf(k) === i);
+            if (!fields.every(k => keys.has(k))) return null;
+            if (config.type === 'histogram' || config.isHistogram) return { rows: data, exportRows: histogramRows(data, config.xAxis, config), fields: null, forcedConfig: config };
+            return { rows: data, fields, forcedConfig: config };
+        }
+
+        const result = prepareExplorerData(data, columns, config);
+        if (!result.preparedData) return null;
+        const { preparedData, chartMeasures, timeUnit } = result;
+        const used = chartMeasures
+            ? [config.xAxis, ...chartMeasures.map(m => m.key)]
+            : [config.xAxis, config.yAxis, config.groupBy, config.type === 'bubble' ? config.sizeAxis : null];
+        const forcedConfig = { ...config, measures: chartMeasures || [], timeUnit: timeUnit || null };
+        if (config.type === 'histogram') {
+            return { rows: preparedData, exportRows: histogramRows(preparedData, config.xAxis, config), fields: null, forcedConfig };
+        }
+        const fields = preparedData.length
+            ? used.filter((k, i) => k && used.indexOf(k) === i && k in preparedData[0])
+            : null;
+        return { rows: preparedData, fields, forcedConfig };
+    }, [source, config, data, columns]);
+
+    return (
+        <>
+            <div className="canvas-card-header">
+                {!readOnly && (
+                    <span className="canvas-drag-handle" title="Drag to move" {...moveHandleProps}>
+                        <GripVertical size={16} />
+                    </span>
+                )}
+                {readOnly ? (
+                    <h3>{chart.title}</h3>
+                ) : (
+                    <input
+                        className="canvas-title-input"
+                        value={chart.title}
+                        placeholder="Chart title"
+                        onChange={e => onUpdate('title', e.target.value)}
+                    />
+                )}
+                {!readOnly && (
+                    <>
+                        <ChartExportMenu
+                            targetRef={chartRef}
+                            title={chart.title}
+                            rows={prepared?.exportRows || prepared?.rows}
+                            fields={prepared?.fields}
+                            vectorSvg={PLOTLY_TYPES.includes(config.type)}
+                        />
+                        <button className="btn-icon" onClick={onRemove} title="Remove from dashboard">
+                            <X size={14} />
+                        </button>
+                    </>
+                )}
+            </div>
+
+            <div className="canvas-chart" ref={chartRef} data-export-title={chart.title} data-export-description={chart.note || undefined}>
+                {!prepared ? (
+                    <div className="empty-state-canvas"><p>This chart's columns are not available in the current data.</p></div>
+                ) : PLOTLY_TYPES.includes(config.type) ? (
+                    <Suspense fallback={<div className="empty-state-canvas"><p>Loading chart…</p></div>}>
+                        <PlotlyRenderer data={prepared.rows} forcedConfig={prepared.forcedConfig} />
+                    </Suspense>
+                ) : (
+                    <ChartRenderer data={prepared.rows} forcedConfig={prepared.forcedConfig} onElementClick={onElementClick} />
+                )}
+            </div>
+
+            {readOnly ? (
+                chart.note && <p className="chart-desc">{chart.note}</p>
+            ) : (
+                <textarea
+                    className="canvas-note"
+                    value={chart.note || ''}
+                    placeholder="Add a note…"
+                    rows={1}
+                    onChange={e => onUpdate('note', e.target.value)}
+                />
+            )}
+        </>
+    );
+}
@@ -0,0 +1,238 @@
+import { useState, useMemo } from "react";
+import { ArrowUp, ArrowDown, Search } from "lucide-react";
+
+const ROW_HEIGHT = 36;      // Fixed row height (px) used for virtualization
+const VIEWPORT_HEIGHT = 520;
+const OVERSCAN = 10;        // Extra rows rendered above/below the viewport
+const MAX_OPTIONS = 200;    // Category filter dropdown size
+
+/**
+ * Virtualized table over the processed dataset, so rows behind the charts can be checked.
+ * Only the rows inside the scroll viewport are rendered.
+ * @param {Array} data - Processed rows (numbers parsed, dates as Date objects)
+ * @param {Array} columns - Column metadata from processData
+ */
+export default function DataGrid({ data, columns }) {
+    const [search, setSearch] = useState('');
+    const [sort, setSort] = useState(null); // { key, direction: 'asc' | 'desc' }
+    const [filters, setFilters] = useState({}); // { [key]: { equals } | { value } | { min, max } }
+    const [showFilters, setShowFilters] = useState(false);
+    const [scrollTop, setScrollTop] = useState(0);
+
+    // Lower-cased row text, built once per dataset for free-text search
+    const searchIndex = useMemo(
+        () => data.map(row => columns.map(c => formatCell(row[c.key])).join('\u0000').toLowerCase()),
+        [data, columns]
+    );
+
+    const categoryOptions = useMemo(() => {
+        const options = {};
+        columns.filter(c => c.type === 'category').forEach(col => {
+            const values = new Set();
+            for (const row of data) {
+                if (row[col.key] !== null && row[col.key] !== undefined) values.add(row[col.key]);
+                if (values.size > MAX_OPTIONS) break;
+            }
+            options[col.key] = [...values].sort();
+        });
+        return options;
+    }, [data, columns]);
+
+    // Indices into data that pass search + filters, in sort order
+    const visibleIndices = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        const active = columns
+            .filter(col => isFilterActive(filters[col.key]))
+            .map(col => ({ col, filter: filters[col.key] }));
+
+        const indices = [];
+        data.forEach((row, i) => {
+            if (term && !searchIndex[i].includes(term)) return;
+            if (!active.every(({ col, filter }) => matchesFilter(row[col.key], col.type, filter))) return;
+            indices.push(i);
+        });
+
+        if (sort) {
+            const factor = sort.direction === 'asc' ? 1 : -1;
+            indices.sort((a, b) => compareValues(data[a][sort.key], data[b][sort.key]) * factor);
+        }
+        return indices;
+    }, [data, columns, searchIndex, search, filters, sort]);
+
+    const toggleSort = (key) => {
+        setSort(prev => {
+            if (!prev || prev.key !== key) return { key, direction: 'asc' };
+            if (prev.direction === 'asc') return { key, direction: 'desc' };
+            return null;
+        });
+    };
+
+    const updateFilter = (key, field, value) => {
+        setFilters(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+    };
+
+    const clearAll = () => {
+        setSearch('');
+        setFilters({});
+        setSort(null);
+    };
+
+    const activeFilterCount = columns.filter(col => isFilterActive(filters[col.key])).length;
+
+    // Virtual window
+    const totalHeight = visibleIndices.length * ROW_HEIGHT;
+    const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(visibleIndices.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const windowRows = visibleIndices.slice(start, end);
+
+    const gridTemplate = `64px repeat(${columns.length}, minmax(140px, 1fr))`;
+
+    return (
+        <div className="data-grid fade-in">
+            <div className="data-grid-toolbar">
+                <div className="data-grid-search">
+                    <Search size={16} />
+                    <input
+                        className="chart-select"
+                        value={search}
+                        placeholder="Search all columns…"
+                        onChange={e => setSearch(e.target.value)}
+                    />
+                </div>
+                <span className="chart-desc">
+                    Showing {visibleIndices.length.toLocaleString()} of {data.length.toLocaleString()} rows
+                </span>
+                <div style={{ display: 'flex', gap: '0.5rem', marginLeft: 'auto' }}>
+                    <button className="btn btn-outline" onClick={() => setShowFilters(!showFilters)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                        {showFilters ? "Hide Filters" : `Filters${activeFilterCount ? ` (${activeFilterCount})` : ''}`}
+                    </button>
+                    {(search || activeFilterCount > 0 || sort) && (
+                        <button className="btn-link" onClick={clearAll}>Clear</button>
+                    )}
+                </div>
+            </div>
+
+            <div
+                className="data-grid-viewport"
+                style={{ height: VIEWPORT_HEIGHT }}
+                onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+            >
+                <div className="data-grid-header" style={{ gridTemplateColumns: gridTemplate }}>
+                    <div className="data-grid-cell row-number">#</div>
+                    {columns.map(col => (
+                        <div key={col.key} className="data-grid-cell">
+                            <button className="data-grid-sort" onClick={() => toggleSort(col.key)} title={`Sort by ${col.label}`}>
+                                <span>{col.label}</span>
+                                {sort?.key === col.key && (sort.direction === 'asc' ? <ArrowUp size={14} /> : <ArrowDown size={14} />)}
+                            </button>
+                            {showFilters && (
+                                <ColumnFilter
+                                    col={col}
+                                    filter={filters[col.key] || {}}
+                                    options={categoryOptions[col.key]}
+                                    onChange={(field, value) => updateFilter(col.key, field, value)}
+                                />
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                <div style={{ height: totalHeight, position: 'relative' }}>
+                    {windowRows.map((dataIndex, i) => {
+                        const row = data[dataIndex];
+                        return (
+                            <div
+                                key={dataIndex}
+                                className="data-grid-row"
+                                style={{ gridTemplateColumns: gridTemplate, top: (start + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                            >
+                                <div className="data-grid-cell row-number">{dataIndex + 1}</div>
+                                {columns.map(col => (
+                                    <div
+                                        key={col.key}
+                                        className={`data-grid-cell ${col.type === 'number' ? 'numeric' : ''} ${row[col.key] === null || row[col.key] === undefined ? 'empty' : ''}`}
+                                    >
+                                        {formatCell(row[col.key])}
+                                    </div>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                {visibleIndices.length === 0 && (
+                    <p className="chart-desc data-grid-empty">No rows match the current search and filters.</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Sub-Components ---
+
+function ColumnFilter({ col, filter, options, onChange }) {
+    if (col.type === 'number' || col.type === 'date') {
+        const inputType = col.type === 'number' ? 'number' : 'date';
+        return (
+            <div className="data-grid-filter range">
+                <input className="chart-select" type={inputType} value={filter.min ?? ''} placeholder="Min" onChange={e => onChange('min', e.target.value)} />
+                <input className="chart-select" type={inputType} value={filter.max ?? ''} placeholder="Max" onChange={e => onChange('max', e.target.value)} />
+            </div>
+        );
+    }
+
+    if (col.type === 'category' && options && options.length <= MAX_OPTIONS) {
+        return (
+            <div className="data-grid-filter">
+                <select className="chart-select" value={filter.equals ?? ''} onChange={e => onChange('equals', e.target.value)}>
+                    <option value="">All</option>
+                    {options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+                </select>
+            </div>
+        );
+    }
+
+    return (
+        <div className="data-grid-filter">
+            <input className="chart-select" value={filter.value ?? ''} placeholder="Contains…" onChange={e => onChange('value', e.target.value)} />
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+const formatCell = (val) => {
+    if (val === null || val === undefined) return '';
+    if (val instanceof Date) return val.toISOString().slice(0, 10);
+    if (typeof val === 'number') return val.toLocaleString(undefined, { maximumFractionDigits: 6 });
+    return String(val);
+};
+
+// Nulls sort last in both directions
+const compareValues = (a, b) => {
+    const aEmpty = a === null || a === undefined;
+    const bEmpty = b === null || b === undefined;
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+    if (a instanceof Date && b instanceof Date) return a - b;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const isFilterActive = (filter) => !!filter && Object.values(filter).some(v => v !== '' && v !== undefined);
+
+const matchesFilter = (val, type, filter) => {
+    if (type === 'number' || type === 'date') {
+        if (val === null || val === undefined) return false;
+        const num = type === 'date' ? val.getTime() : val;
+        const bound = (input) => type === 'date' ? new Date(input).getTime() : parseFloat(input);
+        if (filter.min !== undefined && filter.min !== '' && num < bound(filter.min)) return false;
+        // Date "to" is inclusive of the whole day
+        if (filter.max !== undefined && filter.max !== '' && num > bound(filter.max) + (type === 'date' ? 86399999 : 0)) return false;
+        return true;
+    }
+
+    if (filter.equals) return val !== null && val !== undefined && String(val) === filter.equals;
+    if (!filter.value) return true;
+    if (val === null || val === undefined) return false;
+    return String(val).toLowerCase().includes(filter.value.toLowerCase());
+};
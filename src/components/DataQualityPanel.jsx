@@ -0,0 +1,115 @@
+import { useMemo } from "react";
+import { analyzeQuality } from "../utils/DataQuality";
+
+/**
+ * Data quality report: per-column scores and issues plus duplicate rows.
+ * Runs on the full dataset so filters never hide problems.
+ * @param {Array} data - Processed rows (unfiltered)
+ * @param {Array} columns - Column metadata from processData
+ */
+export default function DataQualityPanel({ data, columns }) {
+    const report = useMemo(() => analyzeQuality(data, columns), [data, columns]);
+    const columnsWithIssues = report.columns.filter(c => c.issues.length > 0).length;
+
+    return (
+        <div className="data-quality fade-in">
+            <h2 className="section-title">Data Quality</h2>
+            <p className="section-subtitle">
+                Missing and unparseable values, outliers, duplicates and constant columns across all {report.rowCount.toLocaleString()} rows (filters are ignored).
+            </p>
+
+            <div className="quality-summary">
+                <div className="summary-card">
+                    <span className="chart-desc">Overall Score</span>
+                    <strong className={`quality-score ${scoreLevel(report.score)}`}>{report.score}</strong>
+                </div>
+                <div className="summary-card">
+                    <span className="chart-desc">Columns With Issues</span>
+                    <strong className="quality-score">{columnsWithIssues} / {report.columns.length}</strong>
+                </div>
+                <div className="summary-card">
+                    <span className="chart-desc">Duplicate Rows</span>
+                    <strong className="quality-score">{report.duplicates.count.toLocaleString()}</strong>
+                    {report.duplicates.examples.length > 0 && (
+                        <span className="chart-desc">
+                            e.g. {report.duplicates.examples.map(d => `row ${d.row} = row ${d.firstRow}`).join(', ')}
+                        </span>
+                    )}
+                </div>
+            </div>
+
+            <div className="chart-card">
+                <div className="schema-table-wrapper">
+                    <table className="schema-table quality-table">
+                        <thead>
+                            <tr>
+                                <th>Column</th>
+                                <th>Score</th>
+                                <th>Missing</th>
+                                <th>Unparseable</th>
+                                <th>Outliers (IQR / z)</th>
+                                <th>Notes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.columns.map(col => (
+                                <tr key={col.key}>
+                                    <td>
+                                        <strong>{col.label}</strong>
+                                        <div className="chart-desc">{col.type}</div>
+                                    </td>
+                                    <td>
+                                        <div className="quality-bar" title={`${col.score} / 100`}>
+                                            <div className={`quality-bar-fill ${scoreLevel(col.score)}`} style={{ width: `${col.score}%` }}></div>
+                                        </div>
+                                        <span className="chart-desc">{col.score}</span>
+                                    </td>
+                                    <td>{formatShare(col.missing, report.rowCount)}</td>
+                                    <td>
+                                        {col.invalid.count > 0 ? (
+                                            <>
+                                                {col.invalid.count.toLocaleString()}
+                                                <div className="quality-examples">
+                                                    {col.invalid.examples.map(ex => <code key={ex}>{ex}</code>)}
+                                                </div>
+                                            </>
+                                        ) : '—'}
+                                    </td>
+                                    <td>
+                                        {col.outliers ? (
+                                            <>
+                                                {col.outliers.iqr.toLocaleString()} / {col.outliers.z.toLocaleString()}
+                                                {col.outliers.examples.length > 0 && (
+                                                    <div className="quality-examples">
+                                                        {col.outliers.examples.map(ex => <code key={ex}>{ex.toLocaleString()}</code>)}
+                                                    </div>
+                                                )}
+                                            </>
+                                        ) : '—'}
+                                    </td>
+                                    <td className="chart-desc">
+                                        {[
+                                            col.isConstant && "Constant value",
+                                            col.mixed?.isMixed && `Mixed: ${col.mixed.numeric.toLocaleString()} numeric, ${col.mixed.text.toLocaleString()} text`,
+                                            col.isUncertain && `Type confidence ${Math.round(col.confidence * 100)}%`
+                                        ].filter(Boolean).join(' · ') || '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+const scoreLevel = (score) => (score >= 90 ? 'good' : score >= 70 ? 'fair' : 'poor');
+
+const formatShare = (count, total) => {
+    if (!count) return '—';
+    const pct = total ? (count / total) * 100 : 0;
+    return `${count.toLocaleString()} (${pct.toFixed(pct < 1 ? 1 : 0)}%)`;
+};
@@ -2,12 +2,13 @@ import { useMemo } from 'react';
 import ChartRenderer from './ChartRenderer';
 import { aggregateData } from '../utils/DataProcessor';
 
-export default function DataSummary({ analysis, data }) {
+export default function DataSummary({ analysis, data, onValueClick }) {
     if (!analysis || !data) return null;
 
     const { rowCount, columns } = analysis;
-    const numericCols = columns.filter(c => c.type === 'number');
-    const categoryCols = columns.filter(c => c.type === 'category');
+    // Columns with no values left (e.g. after filtering) have no stats to show
+    const numericCols = columns.filter(c => c.type === 'number' && c.stats.mean !== undefined);
+    const categoryCols = columns.filter(c => c.type === 'category' && c.stats.top);
 
     return (
         <div className="data-summary fade-in">
@@ -22,7 +23,7 @@ export default function DataSummary({ analysis, data }) {
 
                 {/* Categorical Columns - Value Counts */}
                 {categoryCols.map(col => (
-                    <UnivariateCategoryCard key={col.key} col={col} data={data} rowCount={rowCount} />
+                    <UnivariateCategoryCard key={col.key} col={col} rowCount={rowCount} onValueClick={onValueClick} />
                 ))}
             </div>
         </div>
@@ -88,7 +89,7 @@ function UnivariateNumericCard({ col, data }) {
     return (
         <div className="summary-card">
             <div className="card-header">
-                <span className="badge numeric"># {col.type}</span>
+                <span className="badge numeric"># {col.subtype || col.type}</span>
                 <h4>{col.label}</h4>
             </div>
 
@@ -99,7 +100,7 @@ function UnivariateNumericCard({ col, data }) {
             <div className="stats-list compact">
                 <div className="stat-row">
                     <span>Avg</span>
-                    <strong>{col.stats.mean.toLocaleString(undefined, { maximumFractionDigits: 1 })}</strong>
+                    <strong>{formatStat(col.stats.mean)}</strong>
                 </div>
                 <div className="stat-row">
                     <span>Min</span>
@@ -109,12 +110,40 @@ function UnivariateNumericCard({ col, data }) {
                     <span>Max</span>
                     <strong>{col.stats.max.toLocaleString()}</strong>
                 </div>
+                <div className="stat-row">
+                    <span>Quartiles</span>
+                    <strong title="Q1 / Median / Q3">
+                        {formatStat(col.stats.q1)} / {formatStat(col.stats.median)} / {formatStat(col.stats.q3)}
+                    </strong>
+                </div>
+                <div className="stat-row">
+                    <span>IQR</span>
+                    <strong>{formatStat(col.stats.iqr)}</strong>
+                </div>
+                <div className="stat-row">
+                    <span>Std Dev</span>
+                    <strong>{formatStat(col.stats.stdDev)}</strong>
+                </div>
+                <div className="stat-row">
+                    <span>Skew / Kurtosis</span>
+                    <strong title="Skewness / excess kurtosis (0 for a normal distribution)">
+                        {col.stats.skewness.toFixed(2)} / {col.stats.kurtosis.toFixed(2)}
+                    </strong>
+                </div>
+                <div className="stat-row">
+                    <span>Zeros / Negatives</span>
+                    <strong>{col.stats.zeroCount.toLocaleString()} / {col.stats.negativeCount.toLocaleString()}</strong>
+                </div>
+                <div className="stat-row">
+                    <span>Missing</span>
+                    <strong>{col.stats.nullCount.toLocaleString()}</strong>
+                </div>
             </div>
         </div>
     );
 }
 
-function UnivariateCategoryCard({ col, data, rowCount }) {
+function UnivariateCategoryCard({ col, rowCount, onValueClick }) {
     // 1. Prepare Top-N Bar Data
     const chartConfig = useMemo(() => {
         const topN = col.stats.top.slice(0, 5); // Top 5 only for mini-chart
@@ -148,7 +177,7 @@ function UnivariateCategoryCard({ col, data, rowCount }) {
     return (
         <div className="summary-card">
             <div className="card-header">
-                <span className="badge category">Aa {col.type}</span>
+                <span className="badge category">Aa {col.subtype || col.type}</span>
                 <h4>{col.label}</h4>
             </div>
 
@@ -156,13 +185,24 @@ function UnivariateCategoryCard({ col, data, rowCount }) {
             <div className="stats-list" style={{ marginTop: '0.5rem' }}>
                 <div className="stat-row">
                     <span>Unique Values:</span>
-                    <strong>{col.stats.uniqueCount}</strong>
+                    <strong title={col.stats.uniqueApprox ? "Estimated (HyperLogLog)" : undefined}>
+                        {col.stats.uniqueApprox ? '≈ ' : ''}{col.stats.uniqueCount.toLocaleString()}
+                    </strong>
+                </div>
+                <div className="stat-row">
+                    <span>Missing:</span>
+                    <strong>{col.stats.nullCount.toLocaleString()}</strong>
                 </div>
                 <div className="divider"></div>
 
                 <div className="top-values">
                     {col.stats.top.slice(0, 3).map((t, i) => (
-                        <div key={i} className="mini-bar-row">
+                        <div
+                            key={i}
+                            className={`mini-bar-row ${onValueClick ? 'clickable' : ''}`}
+                            onClick={onValueClick ? () => onValueClick({ key: col.key, value: t.val }) : undefined}
+                            title={onValueClick ? `Filter by ${t.val}` : undefined}
+                        >
                             <span className="label" title={t.val} style={{ maxWidth: '80px' }}>{t.val}</span>
                             <div className="bar-container">
                                 <div
@@ -178,3 +218,5 @@ function UnivariateCategoryCard({ col, data, rowCount }) {
         </div>
     );
 }
+
+const formatStat = (val) => val.toLocaleString(undefined, { maximumFractionDigits: 1 });
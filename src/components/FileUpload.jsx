@@ -1,14 +1,29 @@
-import Papa from "papaparse";
-import * as XLSX from "xlsx";
-import { useState, useCallback, useEffect } from "react";
-import * as pdfjsLib from "pdfjs-dist";
+import { useState, useCallback } from "react";
+import { parseFile, previewDelimited, parseDelimited, cleanRecords, inspectWorkbook, parseSheets, isCancelled } from "../utils/DataPipeline";
+import { extractTablesFromPDF, tableToRecords } from "../utils/PdfTableExtractor";
+import { recordsToMatrix } from "../utils/ImportCleaner";
+import SheetPicker from "./SheetPicker";
+import PdfTablePicker from "./PdfTablePicker";
+import ImportPreview from "./ImportPreview";
 
-// Set worker source
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+// Delimited text is previewed raw and parsed once the user confirms the import settings
+const DELIMITED_FORMATS = ["csv", "tsv", "tab"];
+// Formats parsed to rows directly in the data pipeline worker
+const WORKER_FORMATS = ["json", "ndjson", "jsonl", "parquet"];
+const PREVIEW_LINES = 100;
 
 export default function FileUpload({ setData, onUpload }) {
     const [loading, setLoading] = useState(false);
     const [dragActive, setDragActive] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [parseJob, setParseJob] = useState(null); // Running worker job, for cancellation
+    const [workbook, setWorkbook] = useState(null); // { file, sheets } while the sheet picker is open
+    const [pdfTables, setPdfTables] = useState(null); // { fileName, tables } while the table picker is open
+    // Source awaiting the preview/cleaning step:
+    // { name, kind: 'delimited', input, defaultDelimiter, supportsEncoding } | { name, kind: 'records', records, matrix, meta }
+    const [pending, setPending] = useState(null);
+    const [pasteOpen, setPasteOpen] = useState(false);
+    const [pastedText, setPastedText] = useState("");
 
     const handleDrag = useCallback((e) => {
         e.preventDefault();
@@ -29,78 +44,76 @@ export default function FileUpload({ setData, onUpload }) {
         }
     }, []);
 
-    const extractTableFromPDF = async (file) => {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-        let allRows = [];
-
-        // Basic extraction: assumes table rows are lines of text separated by newlines
-        // This is a heuristic and won't work for complex layouts
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-
-            // Simple strategy: Join strings into one big text and then CSV parse
-            // Or just treat lines as potential rows
-            const strings = textContent.items.map(item => item.str);
-            const pageText = strings.join(" "); // This loses structure often
-
-            // Better strategy: Sort by Y position to find lines
-            // But for MVP, let's try to find numeric patterns or just dump text
-            // Actually, let's try a row-based reconstruction by Y coord
-            const items = textContent.items.map(item => ({
-                str: item.str,
-                x: item.transform[4],
-                y: item.transform[5]
-            }));
-
-            // Group by Y (approximate line detection with tolerance)
-            const tolerance = 10; // Increased tolerance for better row detection
-            const rows = [];
-            items.forEach(item => {
-                const existingRow = rows.find(r => Math.abs(r.y - item.y) < tolerance);
-                if (existingRow) {
-                    existingRow.items.push(item);
-                } else {
-                    rows.push({ y: item.y, items: [item] });
-                }
-            });
+    // Runs a pipeline worker job with progress; resolves null if the user cancelled
+    const runJob = async (startJob) => {
+        setProgress(0);
+        const job = startJob({ onProgress: ({ progress }) => setProgress(progress) });
+        setParseJob(job);
+        try {
+            return await job.promise;
+        } catch (err) {
+            if (isCancelled(err)) return null;
+            throw err;
+        } finally {
+            setParseJob(null);
+        }
+    };
 
-            // Sort rows top-to-bottom
-            rows.sort((a, b) => b.y - a.y);
+    const emitUpload = (rows, meta) => {
+        setData(rows);
+        if (onUpload) onUpload(rows, meta);
+    };
 
-            // Convert rows to arrays of strings (columns sorted by X)
-            const tableData = rows.map(r => {
-                r.items.sort((a, b) => a.x - b.x);
-                return r.items.map(i => i.str.trim()).filter(s => s);
-            }).filter(r => r.length > 0); // Keep rows with even single items to capture data
+    const reviewRecords = (records, meta) => {
+        setPending({ name: meta.name, kind: 'records', records, matrix: recordsToMatrix(records.slice(0, PREVIEW_LINES)), meta });
+    };
 
-            // Convert to array of objects object if header exists
-            if (tableData.length) {
-                allRows = [...allRows, ...tableData];
-            }
-        }
+    // Stable so ImportPreview only re-parses when delimiter/encoding change
+    const loadPreview = useCallback(
+        (settings) => previewDelimited(pending.input, settings).promise,
+        [pending]
+    );
 
-        console.log("PDF Extracted Rows:", allRows); // Debugging
+    const handlePreviewConfirm = async ({ settings, cleaning }) => {
+        const source = pending;
+        setPending(null);
+        setLoading(true);
+        try {
+            const rows = source.kind === 'delimited'
+                ? await runJob(options => parseDelimited(source.input, { ...settings, cleaning }, options))
+                : await runJob(options => cleanRecords(source.records, cleaning, options));
+            if (rows && rows.length > 0) emitUpload(rows, source.meta || { name: source.name });
+            else if (rows) alert("No rows left after cleaning.");
+        } catch (err) {
+            console.error("Import Error:", err);
+            alert(`Error importing data: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
 
-        if (allRows.length < 2) {
-            // Fallback: If we found some text but not structured rows, maybe return a single dummy object so it doesn't fail hard? 
-            // Better to fail if we truly can't parse, but let's be lenient.
-            console.warn("PDF parsing found few rows", allRows);
-            if (allRows.length === 0) return [];
+    const handleSheetsConfirm = async ({ sheets, mode }) => {
+        const { file } = workbook;
+        setWorkbook(null);
+        setLoading(true);
+        try {
+            const datasets = await runJob(options => parseSheets(file, sheets, mode, options));
+            // Several separate sheets skip the preview: the picker already set their header rows
+            if (datasets && datasets.length > 1) emitUpload(datasets[0].rows, { name: datasets[0].name, datasets });
+            else if (datasets) reviewRecords(datasets[0].rows, { name: datasets[0].name });
+        } catch (err) {
+            console.error("Excel Error:", err);
+            alert("Error parsing Excel file");
+        } finally {
+            setLoading(false);
         }
+    };
 
-        // Assume first row is header
-        const headers = allRows[0];
-        const jsonData = allRows.slice(1).map(row => {
-            const obj = {};
-            headers.forEach((h, i) => {
-                obj[h] = row[i] || "";
-            });
-            return obj;
-        });
-
-        return jsonData;
+    const handlePaste = () => {
+        if (!pastedText.trim()) return;
+        setPending({ name: "Pasted table", kind: 'delimited', input: pastedText, defaultDelimiter: '', supportsEncoding: false });
+        setPasteOpen(false);
+        setPastedText("");
     };
 
     const handleFile = async (file) => {
@@ -110,45 +123,45 @@ export default function FileUpload({ setData, onUpload }) {
         const fileType = file.name.split('.').pop().toLowerCase();
 
         try {
-            if (fileType === "csv") {
-                Papa.parse(file, {
-                    header: true,
-                    dynamicTyping: true,
-                    skipEmptyLines: true,
-                    complete: res => {
-                        setData(res.data);
-                        if (onUpload) onUpload(res.data);
-                        setLoading(false);
-                    },
-                    error: (err) => {
-                        console.error("CSV Error:", err);
-                        alert("Error parsing CSV");
-                        setLoading(false);
-                    }
+            if (DELIMITED_FORMATS.includes(fileType)) {
+                setPending({
+                    name: file.name,
+                    kind: 'delimited',
+                    input: file,
+                    defaultDelimiter: fileType === "csv" ? '' : '\t',
+                    supportsEncoding: true
                 });
+                setLoading(false);
+            } else if (WORKER_FORMATS.includes(fileType)) {
+                // Parsed in the data pipeline worker so large files don't freeze the tab
+                try {
+                    const jsonData = await runJob(options => parseFile(file, options));
+                    if (jsonData && jsonData.length > 0) reviewRecords(jsonData, { name: file.name });
+                    else if (jsonData) alert("No rows found in this file.");
+                } catch (err) {
+                    console.error(`${fileType.toUpperCase()} Error:`, err);
+                    alert(`Error parsing ${fileType.toUpperCase()} file: ${err.message}`);
+                } finally {
+                    setLoading(false);
+                }
             } else if (["xlsx", "xls"].includes(fileType)) {
-                const reader = new FileReader();
-                reader.onload = e => {
-                    try {
-                        const wb = XLSX.read(e.target.result, { type: "binary" });
-                        const sheet = wb.Sheets[wb.SheetNames[0]];
-                        const jsonData = XLSX.utils.sheet_to_json(sheet);
-                        setData(jsonData);
-                        if (onUpload) onUpload(jsonData);
-                    } catch (err) {
-                        console.error("Excel Error:", err);
-                        alert("Error parsing Excel file");
-                    } finally {
-                        setLoading(false);
-                    }
-                };
-                reader.readAsBinaryString(file);
+                // Workbooks go through the sheet picker first
+                try {
+                    const result = await runJob(options => inspectWorkbook(file, options));
+                    if (result) setWorkbook({ file, sheets: result.sheets });
+                } catch (err) {
+                    console.error("Excel Error:", err);
+                    alert("Error parsing Excel file");
+                } finally {
+                    setLoading(false);
+                }
             } else if (fileType === "pdf") {
                 try {
-                    const jsonData = await extractTableFromPDF(file);
-                    if (jsonData.length > 0) {
-                        setData(jsonData);
-                        if (onUpload) onUpload(jsonData);
+                    const tables = await extractTablesFromPDF(file);
+                    if (tables.length > 1) {
+                        setPdfTables({ fileName: file.name, tables });
+                    } else if (tables.length === 1) {
+                        reviewRecords(tableToRecords(tables[0]), { name: file.name });
                     } else {
                         alert("Could not detect structured table data in this PDF. Please try a CSV or Excel file.");
                     }
@@ -159,7 +172,7 @@ export default function FileUpload({ setData, onUpload }) {
                     setLoading(false);
                 }
             } else {
-                alert("Unsupported file type. Please upload .csv, .xlsx, or .pdf");
+                alert("Unsupported file type. Please upload CSV, TSV, Excel, JSON, NDJSON, Parquet or PDF");
                 setLoading(false);
             }
         } catch (err) {
@@ -168,8 +181,74 @@ export default function FileUpload({ setData, onUpload }) {
         }
     };
 
+    if (workbook) {
+        return (
+            <div className="upload-container">
+                <SheetPicker
+                    fileName={workbook.file.name}
+                    sheets={workbook.sheets}
+                    onConfirm={handleSheetsConfirm}
+                    onCancel={() => setWorkbook(null)}
+                />
+            </div>
+        );
+    }
+
+    if (pending) {
+        return (
+            <div className="upload-container">
+                <ImportPreview
+                    name={pending.name}
+                    kind={pending.kind}
+                    matrix={pending.matrix}
+                    loadPreview={loadPreview}
+                    defaultDelimiter={pending.defaultDelimiter}
+                    supportsEncoding={pending.supportsEncoding}
+                    onConfirm={handlePreviewConfirm}
+                    onCancel={() => setPending(null)}
+                />
+            </div>
+        );
+    }
+
+    if (pdfTables) {
+        return (
+            <div className="upload-container">
+                <PdfTablePicker
+                    fileName={pdfTables.fileName}
+                    tables={pdfTables.tables}
+                    onConfirm={table => {
+                        setPdfTables(null);
+                        reviewRecords(tableToRecords(table), { name: pdfTables.fileName });
+                    }}
+                    onCancel={() => setPdfTables(null)}
+                />
+            </div>
+        );
+    }
+
+    if (loading) {
+        return (
+            <div className="upload-container">
+                <div className="upload-box">
+                    <h3 style={{ fontSize: '1.25rem', fontWeight: '600', margin: '0 0 1rem 0' }}>
+                        Reading file… {Math.round(progress * 100)}%
+                    </h3>
+                    <div className="progress-track">
+                        <div className="progress-fill" style={{ width: `${progress * 100}%` }}></div>
+                    </div>
+                    {parseJob && (
+                        <button className="btn btn-outline" onClick={parseJob.cancel} style={{ marginTop: '1rem', padding: '0.5rem 1rem' }}>
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
     return (
-        <div className="upload-container">
+        <div className="upload-container stacked">
             <div
                 className={`upload-box ${dragActive ? "drag-active" : ""}`}
                 onDragEnter={handleDrag}
@@ -192,14 +271,14 @@ export default function FileUpload({ setData, onUpload }) {
                 </h3>
 
                 <p className="upload-hint" style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-muted)' }}>
-                    CSV, Excel supported
+                    CSV, TSV, Excel, JSON, NDJSON, Parquet and PDF supported
                 </p>
 
                 {/* Hidden Input */}
                 <input
                     id="file-upload"
                     type="file"
-                    accept=".csv, .xlsx, .xls, .pdf"
+                    accept=".csv, .tsv, .tab, .xlsx, .xls, .json, .ndjson, .jsonl, .parquet, .pdf"
                     onChange={e => handleFile(e.target.files[0])}
                     className="file-input"
                     style={{ display: 'none' }}
@@ -210,6 +289,30 @@ export default function FileUpload({ setData, onUpload }) {
                  */}
                 <label htmlFor="file-upload" className="upload-overlay" style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', cursor: 'pointer' }}></label>
             </div>
+
+            {pasteOpen ? (
+                <div className="paste-panel">
+                    <textarea
+                        className="input-field paste-input"
+                        placeholder="Paste cells copied from a spreadsheet, including the header row"
+                        value={pastedText}
+                        onChange={e => setPastedText(e.target.value)}
+                        autoFocus
+                    />
+                    <div className="schema-actions">
+                        <button className="btn btn-outline" onClick={() => setPasteOpen(false)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                            Cancel
+                        </button>
+                        <button className="btn btn-primary" onClick={handlePaste} disabled={!pastedText.trim()} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                            Analyze Table
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button className="btn-link" onClick={() => setPasteOpen(true)}>
+                    or paste a table from the clipboard
+                </button>
+            )}
         </div>
     );
 }
@@ -0,0 +1,188 @@
+import { useState, useMemo } from "react";
+import { X } from "lucide-react";
+import { isFilterActive, withFilter, describeFilter } from "../utils/FilterEngine";
+
+const MAX_VALUES = 200;     // Distinct values listed in a category filter
+const SLIDER_STEPS = 100;
+
+/**
+ * Dashboard-level filter bar. Filters apply to every tab (see FilterEngine).
+ * @param {Array} data - Unfiltered processed rows (source of filter options)
+ * @param {Array} columns - Unfiltered column metadata (slider bounds come from its stats)
+ * @param {Object} filters - { [key]: filter }
+ * @param {Function} onChange - Called with the new filters object
+ * @param {Number} filteredCount - Rows left after filtering
+ */
+export default function FilterBar({ data, columns, filters, onChange, filteredCount }) {
+    const [added, setAdded] = useState([]); // Columns opened in the bar but not yet narrowed
+
+    const filterable = columns.filter(c => c.type !== 'number' || c.stats.min !== undefined);
+    const shownKeys = [...new Set([...Object.keys(filters), ...added])].filter(key => filterable.some(c => c.key === key));
+    const available = filterable.filter(c => !shownKeys.includes(c.key));
+
+    const setFilter = (key, filter) => onChange(withFilter(filters, key, filter));
+
+    const removeFilter = (key) => {
+        setAdded(prev => prev.filter(k => k !== key));
+        onChange(withFilter(filters, key, null));
+    };
+
+    const clearAll = () => {
+        setAdded([]);
+        onChange({});
+    };
+
+    const activeCount = Object.values(filters).filter(isFilterActive).length;
+
+    return (
+        <div className="filter-bar fade-in">
+            <div className="filter-bar-header">
+                <div className="control-group">
+                    <label>Filters</label>
+                    <span className="chart-desc">
+                        {activeCount > 0
+                            ? `Showing ${filteredCount.toLocaleString()} of ${data.length.toLocaleString()} rows`
+                            : "Click a bar or slice in any chart to filter by it."}
+                    </span>
+                </div>
+                <div className="filter-bar-actions">
+                    <select
+                        className="chart-select"
+                        value=""
+                        onChange={e => setAdded(prev => [...prev, e.target.value])}
+                        disabled={!available.length}
+                    >
+                        <option value="" disabled>+ Add filter</option>
+                        {available.map(c => <option key={c.key} value={c.key}>{c.label} ({c.type})</option>)}
+                    </select>
+                    {shownKeys.length > 0 && (
+                        <button className="btn-link" onClick={clearAll}>Clear all</button>
+                    )}
+                </div>
+            </div>
+
+            {shownKeys.length > 0 && (
+                <div className="filter-bar-controls">
+                    {shownKeys.map(key => {
+                        const col = filterable.find(c => c.key === key);
+                        const filter = filters[key] || {};
+                        return (
+                            <div key={key} className={`filter-control ${isFilterActive(filter) ? 'active' : ''}`}>
+                                <div className="filter-control-header">
+                                    <span title={isFilterActive(filter) ? describeFilter(col, filter) : col.label}>{col.label}</span>
+                                    <button className="btn-icon" onClick={() => removeFilter(key)} title="Remove filter">
+                                        <X size={14} />
+                                    </button>
+                                </div>
+                                {col.type === 'number' && (
+                                    <RangeFilter col={col} filter={filter} onChange={f => setFilter(key, f)} />
+                                )}
+                                {col.type === 'date' && (
+                                    <DateFilter filter={filter} onChange={f => setFilter(key, f)} />
+                                )}
+                                {(col.type === 'category' || col.type === 'text') && (
+                                    <ValueFilter col={col} data={data} filter={filter} onChange={f => setFilter(key, f)} />
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Sub-Components ---
+
+function ValueFilter({ col, data, filter, onChange }) {
+    const [search, setSearch] = useState('');
+    const selected = filter.values || [];
+
+    // Most frequent values first, like the column summary cards
+    const options = useMemo(() => {
+        const counts = new Map();
+        data.forEach(row => {
+            const val = row[col.key];
+            if (val === null || val === undefined || val === '') return;
+            const str = String(val);
+            counts.set(str, (counts.get(str) || 0) + 1);
+        });
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_VALUES);
+    }, [data, col.key]);
+
+    const term = search.trim().toLowerCase();
+    const visible = term ? options.filter(([val]) => val.toLowerCase().includes(term)) : options;
+
+    const toggle = (val) => {
+        const values = selected.includes(val) ? selected.filter(v => v !== val) : [...selected, val];
+        onChange({ values });
+    };
+
+    return (
+        <>
+            {options.length > 8 && (
+                <input className="chart-select" value={search} placeholder="Search values…" onChange={e => setSearch(e.target.value)} />
+            )}
+            <div className="filter-values">
+                {visible.map(([val, count]) => (
+                    <label key={val} className="radio-option">
+                        <input type="checkbox" checked={selected.includes(val)} onChange={() => toggle(val)} />
+                        <span className="filter-value-label" title={val}>{val}</span>
+                        <span className="chart-desc">{count.toLocaleString()}</span>
+                    </label>
+                ))}
+            </div>
+        </>
+    );
+}
+
+function RangeFilter({ col, filter, onChange }) {
+    const { min: lowest, max: highest } = col.stats;
+    const step = highest > lowest ? (highest - lowest) / SLIDER_STEPS : 1;
+    const low = filter.min ?? lowest;
+    const high = filter.max ?? highest;
+
+    // A bound dragged back to the edge of the data means "unbounded"
+    const update = (field, value) => {
+        const next = { min: filter.min, max: filter.max, [field]: value };
+        if (next.min !== undefined && next.min <= lowest) delete next.min;
+        if (next.max !== undefined && next.max >= highest) delete next.max;
+        onChange(next);
+    };
+
+    return (
+        <div className="filter-range">
+            <input
+                type="range"
+                min={lowest}
+                max={highest}
+                step={step}
+                value={low}
+                onChange={e => update('min', Math.min(Number(e.target.value), high))}
+            />
+            <input
+                type="range"
+                min={lowest}
+                max={highest}
+                step={step}
+                value={high}
+                onChange={e => update('max', Math.max(Number(e.target.value), low))}
+            />
+            <div className="filter-range-labels">
+                <span>{formatBound(low)}</span>
+                <span>{formatBound(high)}</span>
+            </div>
+        </div>
+    );
+}
+
+function DateFilter({ filter, onChange }) {
+    return (
+        <div className="filter-range">
+            <input className="chart-select" type="date" value={filter.from || ''} onChange={e => onChange({ ...filter, from: e.target.value })} />
+            <input className="chart-select" type="date" value={filter.to || ''} onChange={e => onChange({ ...filter, to: e.target.value })} />
+        </div>
+    );
+}
+
+const formatBound = (val) => val.toLocaleString(undefined, { maximumFractionDigits: 2 });
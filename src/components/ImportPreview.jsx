@@ -0,0 +1,198 @@
+import { useState, useEffect, useMemo } from "react";
+import { DEFAULT_CLEANING, buildRecords, headerKeys } from "../utils/ImportCleaner";
+import { processData } from "../utils/DataProcessor";
+
+const PREVIEW_ROWS = 20;
+
+const DELIMITERS = [
+    { value: '', label: 'Auto-detect' },
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+const ENCODINGS = ['UTF-8', 'windows-1252', 'ISO-8859-1', 'UTF-16LE'];
+
+/**
+ * Preview and cleaning step between parsing and analysis.
+ * @param {String} name - File name shown in the header
+ * @param {String} kind - 'delimited' (CSV/TSV/paste, re-parsed on delimiter/encoding change) or 'records'
+ * @param {Array} matrix - Raw preview lines for 'records' sources
+ * @param {Function} loadPreview - ({ delimiter, encoding }) => Promise<{ matrix, delimiter }> for 'delimited' sources
+ * @param {String} defaultDelimiter - Initial delimiter ('' = auto)
+ * @param {Boolean} supportsEncoding - Show the encoding picker (files only, not pasted text)
+ * @param {Function} onConfirm - ({ settings: { delimiter, encoding }, cleaning })
+ * @param {Function} onCancel
+ */
+export default function ImportPreview({ name, kind, matrix: recordsMatrix, loadPreview, defaultDelimiter = '', supportsEncoding, onConfirm, onCancel }) {
+    const [delimiter, setDelimiter] = useState(defaultDelimiter);
+    const [encoding, setEncoding] = useState('UTF-8');
+    const [cleaning, setCleaning] = useState(DEFAULT_CLEANING);
+    const [delimitedPreview, setDelimitedPreview] = useState(null); // { matrix, delimiter }
+
+    const isDelimited = kind === 'delimited';
+
+    useEffect(() => {
+        if (!isDelimited) return;
+        let active = true;
+        loadPreview({ delimiter, encoding })
+            .then(result => { if (active) setDelimitedPreview(result); })
+            .catch(err => console.error("Preview Error:", err));
+        return () => { active = false; };
+    }, [isDelimited, loadPreview, delimiter, encoding]);
+
+    const matrix = useMemo(
+        () => (isDelimited ? delimitedPreview?.matrix : recordsMatrix) || [],
+        [isDelimited, delimitedPreview, recordsMatrix]
+    );
+
+    const update = (field, value) => setCleaning(prev => ({ ...prev, [field]: value }));
+
+    const toggleColumn = (index) => {
+        setCleaning(prev => ({
+            ...prev,
+            dropColumns: prev.dropColumns.includes(index)
+                ? prev.dropColumns.filter(i => i !== index)
+                : [...prev.dropColumns, index]
+        }));
+    };
+
+    const keys = useMemo(() => {
+        const headerLine = matrix[cleaning.skipLines] || [];
+        return headerKeys(cleaning.hasHeader ? headerLine : headerLine.map(() => ''));
+    }, [matrix, cleaning.skipLines, cleaning.hasHeader]);
+
+    // Dropped columns stay visible (struck through) so they can be re-enabled
+    const previewRecords = useMemo(
+        () => buildRecords(matrix, { ...cleaning, dropColumns: [] }),
+        [matrix, cleaning]
+    );
+
+    const inferredTypes = useMemo(() => {
+        const processed = processData(previewRecords);
+        const types = {};
+        if (processed) processed.columns.forEach(c => { types[c.key] = c.type; });
+        return types;
+    }, [previewRecords]);
+
+    const detectedLabel = isDelimited && delimiter === '' && delimitedPreview
+        ? ` (detected: ${delimitedPreview.delimiter === '\t' ? 'Tab' : delimitedPreview.delimiter})`
+        : '';
+
+    return (
+        <div className="sheet-picker import-preview fade-in">
+            <div className="schema-panel-header">
+                <div>
+                    <h3>Preview &amp; clean</h3>
+                    <p className="chart-desc">{name} · click a row number to use that line as the header.</p>
+                </div>
+            </div>
+
+            <div className="chart-controls import-options">
+                {isDelimited && (
+                    <div className="control-group">
+                        <label>Delimiter{detectedLabel}</label>
+                        <select className="chart-select" value={delimiter} onChange={e => setDelimiter(e.target.value)}>
+                            {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+                        </select>
+                    </div>
+                )}
+                {isDelimited && supportsEncoding && (
+                    <div className="control-group">
+                        <label>Encoding</label>
+                        <select className="chart-select" value={encoding} onChange={e => setEncoding(e.target.value)}>
+                            {ENCODINGS.map(enc => <option key={enc} value={enc}>{enc}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="control-group">
+                    <label>Skip Leading Lines</label>
+                    <input
+                        type="number"
+                        min="0"
+                        className="chart-select"
+                        value={cleaning.skipLines}
+                        onChange={e => update('skipLines', Math.max(parseInt(e.target.value, 10) || 0, 0))}
+                    />
+                </div>
+                <div className="control-group">
+                    <label>Decimal Separator</label>
+                    <select className="chart-select" value={cleaning.decimal} onChange={e => update('decimal', e.target.value)}>
+                        <option value=".">Point (1,234.56)</option>
+                        <option value=",">Comma (1.234,56)</option>
+                    </select>
+                </div>
+                <div className="control-group">
+                    <label>Options</label>
+                    <label className="radio-option">
+                        <input type="checkbox" checked={cleaning.hasHeader} onChange={e => update('hasHeader', e.target.checked)} />
+                        First line is a header
+                    </label>
+                    <label className="radio-option">
+                        <input type="checkbox" checked={cleaning.trim} onChange={e => update('trim', e.target.checked)} />
+                        Trim whitespace
+                    </label>
+                </div>
+            </div>
+
+            <div className="schema-table-wrapper">
+                <table className="schema-table preview-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            {keys.map((key, i) => {
+                                const dropped = cleaning.dropColumns.includes(i);
+                                return (
+                                    <th key={i} className={dropped ? 'dropped-column' : ''}>
+                                        <label className="radio-option">
+                                            <input type="checkbox" checked={!dropped} onChange={() => toggleColumn(i)} />
+                                            {key}
+                                        </label>
+                                        {!dropped && inferredTypes[key] && (
+                                            <span className="badge category">{inferredTypes[key]}</span>
+                                        )}
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {matrix.slice(0, cleaning.skipLines).map((row, i) => (
+                            <tr key={`skip-${i}`} className="skipped-row">
+                                <td className="row-number clickable" onClick={() => update('skipLines', i)}>{i + 1}</td>
+                                {keys.map((key, j) => <td key={j}>{String(row[j] ?? '')}</td>)}
+                            </tr>
+                        ))}
+                        {previewRecords.slice(0, PREVIEW_ROWS).map((record, i) => (
+                            <tr key={i}>
+                                <td className="row-number clickable" onClick={() => update('skipLines', cleaning.skipLines + (cleaning.hasHeader ? 1 : 0) + i)}>
+                                    {cleaning.skipLines + (cleaning.hasHeader ? 2 : 1) + i}
+                                </td>
+                                {keys.map((key, j) => (
+                                    <td key={j} className={cleaning.dropColumns.includes(j) ? 'dropped-column' : ''}>
+                                        {record[key] === null ? '' : String(record[key])}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="schema-actions">
+                <button className="btn btn-outline" onClick={onCancel} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                    Cancel
+                </button>
+                <button
+                    className="btn btn-primary"
+                    onClick={() => onConfirm({ settings: { delimiter, encoding }, cleaning })}
+                    disabled={keys.length === cleaning.dropColumns.length}
+                    style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}
+                >
+                    Analyze Data
+                </button>
+            </div>
+        </div>
+    );
+}
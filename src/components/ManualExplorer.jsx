@@ -1,27 +1,46 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef, lazy, Suspense } from 'react';
 import ChartRenderer from './ChartRenderer';
-import { aggregateData, calculateCorrelation, sampleData } from '../utils/DataProcessor';
-import { validateChart, suggestSmartConfig } from '../utils/ChartValidator';
-
-export default function ManualExplorer({ data, columns }) {
-    const [config, setConfig] = useState({
-        type: 'bar',
-        xAxis: '',
-        yAxis: '',
-        aggregation: 'mean'
-    });
-
+import { Pin } from 'lucide-react';
+import ChartExportMenu from './ChartExportMenu';
+import { histogramRows } from '../utils/ChartExport';
+import { calculateCorrelation, AGGREGATION_METHODS, BIN_STRATEGIES, DATE_GRANULARITIES } from '../utils/DataProcessor';
+import { validateChart, suggestSmartConfig, MAX_MEASURES } from '../utils/ChartValidator';
+import { prepareExplorerData, PLOTLY_TYPES, MULTI_MEASURE_TYPES } from '../utils/ExplorerData';
+
+// Plotly is large, so it is only fetched once a statistical chart is picked
+const PlotlyRenderer = lazy(() => import('./PlotlyRenderer'));
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut', 'scatter', 'bubble', 'histogram', 'box', 'violin', 'heatmap'];
+const GROUPABLE_TYPES = ['bar', 'line', 'scatter'];
+
+
+/**
+ * Bivariate chart builder. The config is owned by the Dashboard so it can be
+ * saved with the dashboard and restored on load. onPin ({ source, title, config })
+ * adds the current chart to the Dashboard Canvas.
+ */
+export default function ManualExplorer({ data, columns, config, onConfigChange: setConfig, onElementClick, onPin }) {
     const [hint, setHint] = useState("");
+    const chartRef = useRef(null);
 
     // Resolve column types
     const xCol = columns.find(c => c.key === config.xAxis);
     const yCol = columns.find(c => c.key === config.yAxis);
+    const groupCol = columns.find(c => c.key === config.groupBy) || null;
+    const extraMeasures = config.measures || [];
+    const measureCols = useMemo(
+        () => (config.measures || []).map(m => columns.find(c => c.key === m.key)),
+        [config.measures, columns]
+    );
 
     // --- 1. Auto-Correction & State Management ---
     const handleAxisChange = (axis, value) => {
         // Create the provisional config
         let newConfig = { ...config, [axis === 'x' ? 'xAxis' : 'yAxis']: value };
 
+        // Histograms count the X column itself
+        if (config.type === 'histogram' && axis === 'x') newConfig.yAxis = value;
+
         // Resolve keys and columns
         const newXKey = axis === 'x' ? value : config.xAxis;
         const newYKey = axis === 'y' ? value : config.yAxis;
@@ -60,57 +79,26 @@ export default function ManualExplorer({ data, columns }) {
 
     // --- 2. Validation ---
     const validation = useMemo(() => {
-        return validateChart(config.type, xCol, yCol);
-    }, [config.type, xCol, yCol]);
+        return validateChart(config.type, xCol, yCol, groupCol, measureCols);
+    }, [config.type, xCol, yCol, groupCol, measureCols]);
 
     const typeAvailability = useMemo(() => {
-        const types = ['bar', 'line', 'pie', 'doughnut', 'scatter'];
-        return types.reduce((acc, t) => {
-            acc[t] = validateChart(t, xCol, yCol);
+        return CHART_TYPES.reduce((acc, t) => {
+            // Switching to a type without series drops the group-by (see selectType)
+            acc[t] = validateChart(
+                t, xCol, yCol,
+                GROUPABLE_TYPES.includes(t) ? groupCol : null,
+                MULTI_MEASURE_TYPES.includes(t) ? measureCols : []
+            );
             return acc;
         }, {});
-    }, [xCol, yCol]);
-
-    // --- 3. Smart Data Preparation (Sampling / Aggregation) ---
-    const { preparedData, samplingInfo } = useMemo(() => {
-        if (!xCol || !yCol) return { preparedData: null, samplingInfo: null };
-        if (!validation.valid && validation.severity === 'BLOCK') return { preparedData: null, samplingInfo: null };
-
-        // SCATTER: Sample if > 1000 rows
-        if (config.type === 'scatter') {
-            const SCATTER_LIMIT = 1000;
-            const SAMPLE_SIZE = 500;
-
-            if (data.length > SCATTER_LIMIT) {
-                const sampled = sampleData(data, SAMPLE_SIZE);
-                return {
-                    preparedData: sampled,
-                    samplingInfo: `ℹ️ Showing a random sample of ${SAMPLE_SIZE} out of ${data.length} records for clarity.`
-                };
-            }
-            return { preparedData: data, samplingInfo: null };
-        }
-
-        // AGGREGATION (Bar, Line, Pie)
-        if (config.aggregation && xCol.type !== 'number') {
-            let limit = null;
-            let info = null;
-
-            if (config.type === 'pie' || config.type === 'doughnut') limit = 6;
-
-            if (config.type === 'bar' && xCol.stats.uniqueCount > 20) {
-                limit = 20;
-                info = `ℹ️ Data aggregated to Top 20 categories for better readability.`;
-            }
-
-            return {
-                preparedData: aggregateData(data, config.xAxis, config.yAxis, config.aggregation, limit),
-                samplingInfo: info
-            };
-        }
+    }, [xCol, yCol, groupCol, measureCols]);
 
-        return { preparedData: data, samplingInfo: null };
-    }, [data, config, xCol, yCol, validation]);
+    // --- 3. Smart Data Preparation (Sampling / Aggregation, see ExplorerData) ---
+    const { preparedData, samplingInfo, chartMeasures = null, timeUnit = null } = useMemo(
+        () => prepareExplorerData(data, columns, config),
+        [data, columns, config]
+    );
 
     // --- 4. Insight / Info Text ---
     const statsText = useMemo(() => {
@@ -119,20 +107,91 @@ export default function ManualExplorer({ data, columns }) {
         // Show Auto-Switch Hint if active
         if (hint) return hint;
 
+        if (config.type === 'histogram') {
+            const strategy = BIN_STRATEGIES.find(s => s.value === (config.binStrategy || 'sturges'));
+            return `Distribution of ${xCol.label} (${strategy.label} bins)`;
+        }
+
+        if (config.type === 'box' || config.type === 'violin') {
+            return `Distribution of ${yCol.label} by ${xCol.label}`;
+        }
+
+        if (config.type === 'heatmap') {
+            return `Density of ${xCol.label} vs ${yCol.label}`;
+        }
+
         // Scatter Correlation (Computed on SAMPLED data)
-        if (config.type === 'scatter') {
+        if (config.type === 'scatter' || config.type === 'bubble') {
             const valsA = preparedData.map(d => d[config.xAxis]);
             const valsB = preparedData.map(d => d[config.yAxis]);
             const r = calculateCorrelation(valsA, valsB).toFixed(2);
-            return `Correlation: ${r}`;
+            const sizeCol = config.type === 'bubble' && columns.find(c => c.key === config.sizeAxis);
+            return `Correlation: ${r}${sizeCol ? ` · sized by ${sizeCol.label}` : ''}`;
         }
 
         if (validation.severity === 'WARN') {
             return `Note: ${validation.reason}`;
         }
 
-        return `${config.aggregation ? config.aggregation + ' of ' : ''}${yCol.label} by ${xCol.label}`;
-    }, [xCol, yCol, config, preparedData, hint, validation]);
+        if (chartMeasures) {
+            return `${chartMeasures.map(m => m.label).join(', ')} by ${xCol.label}`;
+        }
+
+        const split = groupCol ? `, split by ${groupCol.label}` : '';
+        return `${config.aggregation ? config.aggregation + ' of ' : ''}${yCol.label} by ${xCol.label}${split}`;
+    }, [xCol, yCol, groupCol, columns, config, preparedData, chartMeasures, hint, validation]);
+
+    // Export: the prepared rows, limited to the fields the chart uses (histograms export their bins)
+    const chartTitle = xCol && yCol ? (config.type === 'histogram' ? `Distribution of ${xCol.label}` : `${yCol.label} by ${xCol.label}`) : '';
+    const exportRows = useMemo(
+        () => config.type === 'histogram' && preparedData ? histogramRows(preparedData, config.xAxis, config) : preparedData,
+        [preparedData, config]
+    );
+    const exportFields = useMemo(() => {
+        if (!preparedData?.length || config.type === 'histogram') return null;
+        const used = chartMeasures
+            ? [config.xAxis, ...chartMeasures.map(m => m.key)]
+            : [config.xAxis, config.yAxis, config.groupBy, config.type === 'bubble' ? config.sizeAxis : null];
+        return used.filter((k, i) => k && used.indexOf(k) === i && k in preparedData[0]);
+    }, [preparedData, chartMeasures, config]);
+
+    // Copy of the current config, so later edits here leave the pinned chart alone
+    const pinCurrent = () => {
+        onPin({ source: 'explorer', title: chartTitle, config: { ...config } });
+        setHint(`Pinned "${chartTitle}" to the Dashboard Canvas.`);
+    };
+
+    const numericCols = columns.filter(c => c.type === 'number');
+    const groupableCols = columns.filter(c => (c.type === 'category' || c.type === 'text') && c.key !== config.xAxis);
+
+    const selectType = (type) => {
+        const next = { ...config, type };
+        if (!GROUPABLE_TYPES.includes(type)) next.groupBy = '';
+        if (!MULTI_MEASURE_TYPES.includes(type)) next.measures = [];
+        if (type === 'histogram') next.yAxis = config.xAxis;
+        if (type === 'bubble' && !config.sizeAxis) {
+            const sizeCol = numericCols.find(c => c.key !== config.xAxis && c.key !== config.yAxis) || numericCols[0];
+            next.sizeAxis = sizeCol?.key || '';
+        }
+        setConfig(next);
+    };
+
+    const addMeasure = () => {
+        const used = [config.yAxis, ...extraMeasures.map(m => m.key)];
+        const col = numericCols.find(c => !used.includes(c.key)) || numericCols[0];
+        if (!col) return;
+        setConfig({ ...config, measures: [...extraMeasures, { key: col.key, aggregation: config.aggregation || 'mean', axis: 'left' }] });
+    };
+
+    const updateMeasure = (index, field, value) => {
+        setConfig({ ...config, measures: extraMeasures.map((m, i) => i === index ? { ...m, [field]: value } : m) });
+    };
+
+    const removeMeasure = (index) => {
+        setConfig({ ...config, measures: extraMeasures.filter((m, i) => i !== index) });
+    };
+
+    const showAggregation = config.type !== 'scatter' && !PLOTLY_TYPES.includes(config.type) && xCol && xCol.type !== 'number';
 
 
     return (
@@ -163,17 +222,148 @@ export default function ManualExplorer({ data, columns }) {
                                 value={config.yAxis}
                                 onChange={e => handleAxisChange('y', e.target.value)}
                                 className="chart-select"
+                                disabled={config.type === 'histogram'}
+                                title={config.type === 'histogram' ? "Histograms count the X-axis values" : undefined}
                             >
                                 <option value="" disabled>Select Y-Axis</option>
-                                {columns.filter(c => c.type === 'number').map(c => (
+                                {numericCols.map(c => (
                                     <option key={c.key} value={c.key}>{c.label}</option>
                                 ))}
                             </select>
                         </div>
                     </div>
 
+                    {/* Date Granularity (time series) */}
+                    {xCol && xCol.type === 'date' && MULTI_MEASURE_TYPES.includes(config.type) && (
+                        <div className="control-group">
+                            <label>Date Granularity</label>
+                            <select
+                                value={config.dateGranularity || 'month'}
+                                onChange={e => setConfig({ ...config, dateGranularity: e.target.value })}
+                                className="chart-select"
+                            >
+                                {DATE_GRANULARITIES.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Extra Y measures */}
+                    {MULTI_MEASURE_TYPES.includes(config.type) && !config.groupBy && config.yAxis && (
+                        <div className="control-group">
+                            <label>Additional Measures</label>
+                            {extraMeasures.map((m, i) => (
+                                <div key={i} className="select-row measure-row">
+                                    <select
+                                        value={m.key}
+                                        onChange={e => updateMeasure(i, 'key', e.target.value)}
+                                        className="chart-select"
+                                    >
+                                        {numericCols.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                                    </select>
+                                    {showAggregation && (
+                                        <select
+                                            value={m.aggregation}
+                                            onChange={e => updateMeasure(i, 'aggregation', e.target.value)}
+                                            className="chart-select"
+                                        >
+                                            {AGGREGATION_METHODS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                                        </select>
+                                    )}
+                                    <select
+                                        value={m.axis || 'left'}
+                                        onChange={e => updateMeasure(i, 'axis', e.target.value)}
+                                        className="chart-select"
+                                        title="Y-axis side"
+                                    >
+                                        <option value="left">Left axis</option>
+                                        <option value="right">Right axis</option>
+                                    </select>
+                                    <button className="btn-link" onClick={() => removeMeasure(i)}>Remove</button>
+                                </div>
+                            ))}
+                            {extraMeasures.length + 1 < MAX_MEASURES && (
+                                <button className="btn-link" onClick={addMeasure} style={{ alignSelf: 'flex-start' }}>+ Add measure</button>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Group / Color by (series) */}
+                    {GROUPABLE_TYPES.includes(config.type) && !extraMeasures.length && (
+                        <div className="control-group">
+                            <label>Group / Color by</label>
+                            <div className="select-row">
+                                <select
+                                    value={config.groupBy || ''}
+                                    onChange={e => setConfig({ ...config, groupBy: e.target.value })}
+                                    className="chart-select"
+                                >
+                                    <option value="">None</option>
+                                    {groupableCols.map(c => (
+                                        <option key={c.key} value={c.key}>
+                                            {c.label} ({c.stats.uniqueCount ?? 0})
+                                        </option>
+                                    ))}
+                                </select>
+                                {config.type === 'bar' && groupCol && (
+                                    <label className="radio-option">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!config.stacked}
+                                            onChange={e => setConfig({ ...config, stacked: e.target.checked })}
+                                        />
+                                        Stacked
+                                    </label>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Bubble Size */}
+                    {config.type === 'bubble' && (
+                        <div className="control-group">
+                            <label>Bubble Size</label>
+                            <select
+                                value={config.sizeAxis || ''}
+                                onChange={e => setConfig({ ...config, sizeAxis: e.target.value })}
+                                className="chart-select"
+                            >
+                                <option value="" disabled>Select Size Column</option>
+                                {numericCols.map(c => (
+                                    <option key={c.key} value={c.key}>{c.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Histogram Bins */}
+                    {config.type === 'histogram' && (
+                        <div className="control-group">
+                            <label>Bins</label>
+                            <div className="select-row">
+                                <select
+                                    value={config.binStrategy || 'sturges'}
+                                    onChange={e => setConfig({ ...config, binStrategy: e.target.value })}
+                                    className="chart-select"
+                                >
+                                    {BIN_STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                                </select>
+                                {config.binStrategy === 'fixed' && (
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        className="chart-select"
+                                        value={config.binWidth ?? ''}
+                                        placeholder="Width"
+                                        onChange={e => setConfig({ ...config, binWidth: e.target.value === '' ? null : Number(e.target.value) })}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    )}
+
                     {/* Aggregation (Hidden for Scatter) */}
-                    {config.type !== 'scatter' && xCol && xCol.type !== 'number' && (
+                    {showAggregation && (
                         <div className="control-group">
                             <label>Aggregation</label>
                             <select
@@ -181,10 +371,7 @@ export default function ManualExplorer({ data, columns }) {
                                 onChange={e => setConfig({ ...config, aggregation: e.target.value })}
                                 className="chart-select"
                             >
-                                <option value="mean">Average</option>
-                                <option value="sum">Total Sum</option>
-                                <option value="count">Count</option>
-                                <option value="median">Median</option>
+                                {AGGREGATION_METHODS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
                             </select>
                         </div>
                     )}
@@ -193,7 +380,7 @@ export default function ManualExplorer({ data, columns }) {
                     <div className="control-group">
                         <label>Visualization Type</label>
                         <div className="chart-type-selector">
-                            {['bar', 'line', 'pie', 'doughnut', 'scatter'].map(type => {
+                            {CHART_TYPES.map(type => {
                                 const status = typeAvailability[type] || { valid: true };
                                 const isBlocked = status.severity === 'BLOCK' || status.severity === 'AUTO_FIX';
 
@@ -201,7 +388,7 @@ export default function ManualExplorer({ data, columns }) {
                                     <button
                                         key={type}
                                         className={`type-btn ${config.type === type ? 'active' : ''}`}
-                                        onClick={() => !isBlocked && setConfig({ ...config, type })}
+                                        onClick={() => !isBlocked && selectType(type)}
                                         disabled={isBlocked}
                                         title={isBlocked ? `Disabled: ${status.reason}` : type}
                                         style={isBlocked ? { opacity: 0.3, cursor: 'not-allowed' } : {}}
@@ -237,13 +424,35 @@ export default function ManualExplorer({ data, columns }) {
                                         </div>
                                     )}
 
-                                    <div style={{ flex: 1, minHeight: 0 }}>
-                                        <ChartRenderer
-                                            data={preparedData}
-                                            forcedConfig={config}
-                                            hideControls={true}
+                                    <div className="chart-export-row">
+                                        {onPin && preparedData && (
+                                            <button className="btn btn-outline chart-pin-btn" onClick={pinCurrent} title="Pin this chart to the Dashboard Canvas tab">
+                                                <Pin size={14} /> Add to dashboard
+                                            </button>
+                                        )}
+                                        <ChartExportMenu
+                                            targetRef={chartRef}
+                                            title={chartTitle}
+                                            rows={exportRows}
+                                            fields={exportFields}
+                                            vectorSvg={PLOTLY_TYPES.includes(config.type)}
                                         />
                                     </div>
+
+                                    <div style={{ flex: 1, minHeight: 0 }} ref={chartRef} data-export-title={chartTitle} data-export-description={statsText}>
+                                        {PLOTLY_TYPES.includes(config.type) ? (
+                                            <Suspense fallback={<div className="empty-state-canvas"><p>Loading chart…</p></div>}>
+                                                <PlotlyRenderer data={preparedData} forcedConfig={config} />
+                                            </Suspense>
+                                        ) : (
+                                            <ChartRenderer
+                                                data={preparedData}
+                                                forcedConfig={{ ...config, measures: chartMeasures || [], timeUnit }}
+                                                hideControls={true}
+                                                onElementClick={onElementClick}
+                                            />
+                                        )}
+                                    </div>
                                 </>
                             ) : (
                                 <div className="empty-state-canvas" style={{
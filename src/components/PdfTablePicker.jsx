@@ -0,0 +1,80 @@
+import { useState } from "react";
+
+const PREVIEW_ROWS = 8;
+
+/**
+ * Lets the user choose which of the tables detected in a PDF to import.
+ * @param {String} fileName
+ * @param {Array} tables - [{ id, pages, header, rows, columnCount }] from extractTablesFromPDF
+ * @param {Function} onConfirm - Called with the chosen table
+ * @param {Function} onCancel
+ */
+export default function PdfTablePicker({ fileName, tables, onConfirm, onCancel }) {
+    const [selectedId, setSelectedId] = useState(() => {
+        // Default to the largest table
+        return tables.reduce((best, t) => t.rows.length > best.rows.length ? t : best, tables[0]).id;
+    });
+    const selected = tables.find(t => t.id === selectedId);
+
+    const pageLabel = (pages) => pages.length > 1 ? `Pages ${pages[0]}–${pages[pages.length - 1]}` : `Page ${pages[0]}`;
+
+    return (
+        <div className="sheet-picker fade-in">
+            <div className="schema-panel-header">
+                <div>
+                    <h3>Choose a table</h3>
+                    <p className="chart-desc">{tables.length} tables detected in {fileName}.</p>
+                </div>
+            </div>
+
+            <div className="sheet-picker-body">
+                <ul className="sheet-list">
+                    {tables.map((table, i) => (
+                        <li
+                            key={table.id}
+                            className={`sheet-item ${selectedId === table.id ? 'active' : ''}`}
+                            onClick={() => setSelectedId(table.id)}
+                        >
+                            <input
+                                type="radio"
+                                checked={selectedId === table.id}
+                                onChange={() => setSelectedId(table.id)}
+                            />
+                            <span className="sheet-name">Table {i + 1} · {pageLabel(table.pages)}</span>
+                            <span className="chart-desc">{table.rows.length} × {table.columnCount}</span>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="sheet-preview">
+                    <div className="schema-table-wrapper">
+                        <table className="schema-table preview-table">
+                            <tbody>
+                                <tr className="header-row">
+                                    {selected.header.map((h, i) => <td key={i}>{h || `Column ${i + 1}`}</td>)}
+                                </tr>
+                                {selected.rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                                    <tr key={i}>
+                                        {row.map((cell, j) => <td key={j}>{cell}</td>)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {selected.rows.length > PREVIEW_ROWS && (
+                        <p className="chart-desc">…and {selected.rows.length - PREVIEW_ROWS} more rows</p>
+                    )}
+                </div>
+            </div>
+
+            <div className="schema-actions">
+                <button className="btn btn-outline" onClick={onCancel} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                    Cancel
+                </button>
+                <button className="btn btn-primary" onClick={() => onConfirm(selected)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                    Import table
+                </button>
+            </div>
+        </div>
+    );
+}
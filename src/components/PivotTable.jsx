@@ -0,0 +1,261 @@
+import { useState, useMemo } from "react";
+import Papa from "papaparse";
+import { X, Download } from "lucide-react";
+import { buildPivot, pivotToMatrix, TOTAL_KEY } from "../utils/PivotEngine";
+import { AGGREGATION_METHODS } from "../utils/DataProcessor";
+import { downloadBlob } from "../utils/ChartExport";
+
+const MAX_LINES = 500; // Rendered pivot lines; the CSV export always has all of them
+const COUNT_METHODS = ['count', 'distinct']; // The only aggregations that make sense for non-numeric measures
+
+const ZONES = [
+    { id: 'rows', label: 'Rows', hint: 'Drop dimensions here' },
+    { id: 'columns', label: 'Columns', hint: 'Drop dimensions here' },
+    { id: 'measures', label: 'Values', hint: 'Drop columns to aggregate' }
+];
+
+/**
+ * Pivot builder: drag columns into Rows, Columns and Values (see PivotEngine).
+ * The config is owned by the Dashboard so it is saved with the dashboard.
+ * @param {Array} data - Processed (filtered) rows
+ * @param {Array} columns - Column metadata from processData
+ * @param {Object} config - { rows: [key], columns: [key], measures: [{ key, aggregation }] }
+ * @param {Function} onConfigChange - Called with the new config
+ */
+export default function PivotTable({ data, columns, config, onConfigChange }) {
+    const [dragOver, setDragOver] = useState(null); // Zone id under the dragged field
+
+    // Drop fields whose column no longer exists (e.g. a removed calculated column)
+    const active = useMemo(() => {
+        const keys = new Set(columns.map(c => c.key));
+        return {
+            rows: config.rows.filter(k => keys.has(k)),
+            columns: config.columns.filter(k => keys.has(k)),
+            measures: config.measures.filter(m => keys.has(m.key))
+        };
+    }, [config, columns]);
+
+    const pivot = useMemo(() => buildPivot(data, active), [data, active]);
+
+    const colOf = (key) => columns.find(c => c.key === key);
+    const labelOf = (key) => colOf(key)?.label || key;
+    const methodLabel = (method) => AGGREGATION_METHODS.find(a => a.value === method)?.label || method;
+
+    // --- Drag & Drop ---
+    // Payload: { key, from: 'fields' | zone id, index }
+    const startDrag = (e, payload) => {
+        e.dataTransfer.setData('text/plain', JSON.stringify(payload));
+        e.dataTransfer.effectAllowed = 'move';
+    };
+
+    const readDrag = (e) => {
+        try {
+            return JSON.parse(e.dataTransfer.getData('text/plain'));
+        } catch {
+            return null;
+        }
+    };
+
+    const dropOn = (e, zone) => {
+        e.preventDefault();
+        setDragOver(null);
+        const payload = readDrag(e);
+        if (!payload || !colOf(payload.key)) return;
+
+        const next = removeFrom(active, payload);
+        if (zone === 'fields') return onConfigChange(next); // Dragged back out: remove
+
+        if (zone === 'measures') {
+            if (payload.from === 'measures') return;
+            const numeric = colOf(payload.key).type === 'number';
+            return onConfigChange({ ...next, measures: [...next.measures, { key: payload.key, aggregation: numeric ? 'sum' : 'count' }] });
+        }
+
+        // A dimension is either a row or a column, never both
+        const other = zone === 'rows' ? 'columns' : 'rows';
+        onConfigChange({
+            ...next,
+            [other]: next[other].filter(k => k !== payload.key),
+            [zone]: [...next[zone].filter(k => k !== payload.key), payload.key]
+        });
+    };
+
+    const zoneProps = (zone) => ({
+        onDragOver: (e) => {
+            e.preventDefault();
+            if (dragOver !== zone) setDragOver(zone);
+        },
+        onDragLeave: () => setDragOver(null),
+        onDrop: (e) => dropOn(e, zone)
+    });
+
+    const removeField = (zone, index) => onConfigChange(removeFrom(active, { from: zone, index }));
+
+    const setAggregation = (index, aggregation) => {
+        onConfigChange({ ...active, measures: active.measures.map((m, i) => (i === index ? { ...m, aggregation } : m)) });
+    };
+
+    // --- Export ---
+    const exportCsv = () => {
+        const csv = Papa.unparse(pivotToMatrix(pivot, active, labelOf));
+        downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'pivot.csv');
+    };
+
+    // --- Header Layout ---
+    const measureCount = Math.max(active.measures.length, 1);
+    const leafColumns = pivot.columns.filter(c => c.key !== TOTAL_KEY);
+    const headerRows = active.columns.length + 1; // One row per column dimension + measure names
+
+    // Consecutive leaf columns sharing the same prefix up to `level` form one header cell
+    const spansAt = (level) => {
+        const spans = [];
+        leafColumns.forEach(col => {
+            const prefix = col.path.slice(0, level + 1).join('\u0000');
+            const last = spans[spans.length - 1];
+            if (last && last.prefix === prefix) last.count++;
+            else spans.push({ prefix, label: col.path[level], count: 1 });
+        });
+        return spans;
+    };
+
+    const lines = pivot.lines.slice(0, MAX_LINES);
+    const hiddenLines = pivot.lines.length - lines.length;
+
+    return (
+        <div className="pivot-table fade-in">
+            <h2 className="section-title">Pivot Table</h2>
+            <p className="section-subtitle">
+                Drag columns into Rows, Columns and Values. Subtotals and totals are computed from the underlying rows.
+            </p>
+
+            <div className="pivot-builder">
+                <div className={`pivot-fields ${dragOver === 'fields' ? 'drag-over' : ''}`} {...zoneProps('fields')}>
+                    <label>Fields</label>
+                    {columns.map(col => (
+                        <div
+                            key={col.key}
+                            className="pivot-chip"
+                            draggable
+                            onDragStart={e => startDrag(e, { key: col.key, from: 'fields' })}
+                            title={`${col.label} (${col.type})`}
+                        >
+                            <span className={`badge ${col.type === 'number' ? 'numeric' : 'category'}`}>{col.type}</span>
+                            <span className="pivot-chip-label">{col.label}</span>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="pivot-zones">
+                    {ZONES.map(zone => (
+                        <div key={zone.id} className={`pivot-zone ${dragOver === zone.id ? 'drag-over' : ''}`} {...zoneProps(zone.id)}>
+                            <label>{zone.label}</label>
+                            {active[zone.id].length === 0 && <span className="chart-desc">{zone.hint}</span>}
+                            {active[zone.id].map((item, i) => {
+                                const key = zone.id === 'measures' ? item.key : item;
+                                return (
+                                    <div
+                                        key={zone.id === 'measures' ? `${key}-${i}` : key}
+                                        className="pivot-chip"
+                                        draggable
+                                        onDragStart={e => startDrag(e, { key, from: zone.id, index: i })}
+                                    >
+                                        <span className="pivot-chip-label">{labelOf(key)}</span>
+                                        {zone.id === 'measures' && (
+                                            <select
+                                                className="chart-select"
+                                                value={item.aggregation}
+                                                onChange={e => setAggregation(i, e.target.value)}
+                                            >
+                                                {AGGREGATION_METHODS
+                                                    .filter(a => colOf(key).type === 'number' || COUNT_METHODS.includes(a.value))
+                                                    .map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                                            </select>
+                                        )}
+                                        <button className="btn-icon" onClick={() => removeField(zone.id, i)} title="Remove">
+                                            <X size={14} />
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {active.measures.length === 0 ? (
+                <div className="empty-state-small">Drop at least one column into Values to build the pivot.</div>
+            ) : (
+                <div className="chart-card">
+                    <div className="chart-header">
+                        <span className="chart-desc">
+                            {pivot.lines.length.toLocaleString()} lines
+                            {pivot.truncatedColumns > 0 && ` · ${pivot.truncatedColumns} least frequent column values only counted in totals`}
+                            {hiddenLines > 0 && ` · first ${MAX_LINES} shown, export for all`}
+                        </span>
+                        <button className="btn btn-outline" onClick={exportCsv} style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.4rem 0.8rem', fontSize: '0.85rem' }}>
+                            <Download size={16} /> Export CSV
+                        </button>
+                    </div>
+
+                    <div className="schema-table-wrapper">
+                        <table className="pivot-grid">
+                            <thead>
+                                {active.columns.map((key, level) => (
+                                    <tr key={key}>
+                                        {level === 0 && (
+                                            <th rowSpan={headerRows} className="pivot-row-header">
+                                                {active.rows.map(labelOf).join(' / ')}
+                                            </th>
+                                        )}
+                                        {spansAt(level).map(span => (
+                                            <th key={span.prefix} colSpan={span.count * measureCount} className="pivot-col-header" title={labelOf(key)}>
+                                                {span.label}
+                                            </th>
+                                        ))}
+                                        {level === 0 && (
+                                            <th rowSpan={active.columns.length} colSpan={measureCount} className="pivot-col-header">Total</th>
+                                        )}
+                                    </tr>
+                                ))}
+                                <tr>
+                                    {active.columns.length === 0 && (
+                                        <th className="pivot-row-header">{active.rows.map(labelOf).join(' / ')}</th>
+                                    )}
+                                    {pivot.columns.flatMap(col => active.measures.map((m, i) => (
+                                        <th key={`${col.key}-${i}`} className="pivot-measure-header">
+                                            {methodLabel(m.aggregation)} of {labelOf(m.key)}
+                                        </th>
+                                    )))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {lines.map(line => (
+                                    <tr key={line.type === 'total' ? TOTAL_KEY : line.path.join('\u0000')} className={`pivot-line ${line.type}`}>
+                                        <th style={{ paddingLeft: `${0.75 + line.depth * 1.25}rem` }}>
+                                            {line.type === 'total' ? 'Grand Total' : line.path[line.path.length - 1]}
+                                        </th>
+                                        {pivot.columns.flatMap(col => line.cells[col.key].map((val, i) => (
+                                            <td key={`${col.key}-${i}`} className={col.key === TOTAL_KEY ? 'total' : ''}>
+                                                {formatCell(val)}
+                                            </td>
+                                        )))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+// Config without the dragged entry (fields dragged from the list are in no zone)
+const removeFrom = (config, { from, index }) => {
+    if (from !== 'rows' && from !== 'columns' && from !== 'measures') return config;
+    return { ...config, [from]: config[from].filter((_, i) => i !== index) };
+};
+
+const formatCell = (val) => (val === null ? '' : val.toLocaleString(undefined, { maximumFractionDigits: 2 }));
@@ -0,0 +1,116 @@
+import { useMemo } from 'react';
+import Plotly from 'plotly.js/dist/plotly-cartesian.min.js';
+import createPlotlyComponent from 'react-plotly.js/factory';
+
+// Cartesian partial bundle: box, violin and histogram2d without the full 4 MB build
+const Plot = createPlotlyComponent(Plotly);
+
+const MAX_CATEGORIES = 20;
+const HEATMAP_BINS = 40;
+
+/**
+ * Statistical charts Chart.js cannot draw. Loaded lazily by ManualExplorer.
+ * - box / violin: distribution of a numeric Y per category on X
+ * - heatmap:      2D density (binned counts) of two numeric columns
+ * @param {Array} data - Processed rows
+ * @param {Object} forcedConfig - { type: 'box' | 'violin' | 'heatmap', xAxis, yAxis }
+ */
+export default function PlotlyRenderer({ data, forcedConfig }) {
+    const { type, xAxis, yAxis } = forcedConfig || {};
+
+    const traces = useMemo(() => {
+        if (!data || !data.length || !xAxis || !yAxis) return null;
+
+        const rows = data.filter(d => isPresent(d[xAxis]) && typeof d[yAxis] === 'number');
+
+        if (type === 'heatmap') {
+            return [{
+                type: 'histogram2d',
+                x: rows.map(d => d[xAxis]),
+                y: rows.map(d => d[yAxis]),
+                nbinsx: HEATMAP_BINS,
+                nbinsy: HEATMAP_BINS,
+                colorscale: 'Viridis',
+                colorbar: { title: { text: 'Count' }, outlinewidth: 0 },
+                hovertemplate: `${formatLabel(xAxis)}: %{x}<br>${formatLabel(yAxis)}: %{y}<br>Count: %{z}<extra></extra>`
+            }];
+        }
+
+        // Box / violin: one shared trace, Plotly groups the values by x
+        const topCategories = new Set(topValues(rows.map(d => String(d[xAxis])), MAX_CATEGORIES));
+        const grouped = rows.filter(d => topCategories.has(String(d[xAxis])));
+        const base = {
+            x: grouped.map(d => String(d[xAxis])),
+            y: grouped.map(d => d[yAxis]),
+            name: formatLabel(yAxis),
+            marker: { color: '#6366f1' },
+            line: { color: '#6366f1' }
+        };
+
+        if (type === 'violin') {
+            return [{
+                ...base,
+                type: 'violin',
+                box: { visible: true },
+                meanline: { visible: true },
+                points: false,
+                fillcolor: 'rgba(99, 102, 241, 0.35)'
+            }];
+        }
+
+        return [{
+            ...base,
+            type: 'box',
+            boxmean: true,
+            boxpoints: 'outliers',
+            fillcolor: 'rgba(99, 102, 241, 0.35)'
+        }];
+    }, [data, type, xAxis, yAxis]);
+
+    if (!traces) return null;
+
+    // Transparent backgrounds and slate text to match the Chart.js charts in both themes
+    const axis = (key) => ({
+        title: { text: formatLabel(key), font: { color: '#94a3b8' } },
+        gridcolor: 'rgba(148, 163, 184, 0.1)',
+        zeroline: false,
+        tickfont: { color: '#94a3b8' },
+        automargin: true
+    });
+
+    const layout = {
+        autosize: true,
+        margin: { t: 10, r: 10, b: 40, l: 50 },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)',
+        font: { family: 'Inter, system-ui, sans-serif', color: '#94a3b8' },
+        showlegend: false,
+        xaxis: { ...axis(xAxis), type: type === 'heatmap' ? 'linear' : 'category' },
+        yaxis: axis(yAxis)
+    };
+
+    return (
+        <div style={{ width: '100%', height: '100%', minHeight: '300px' }}>
+            <Plot
+                data={traces}
+                layout={layout}
+                config={{ displaylogo: false, responsive: true, modeBarButtonsToRemove: ['lasso2d', 'select2d'] }}
+                useResizeHandler={true}
+                style={{ width: '100%', height: '100%' }}
+            />
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+const isPresent = (val) => val !== null && val !== undefined && val !== '';
+
+// Most frequent values first
+const topValues = (values, limit) => {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([val]) => val);
+};
+
+const formatLabel = (key) => key.replace(/_/g, ' ').replace(/([A-Z])/g, ' $1').trim();
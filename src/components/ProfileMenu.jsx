@@ -53,6 +53,7 @@ export default function ProfileMenu({ setView, goHome, user }) {
                     <div className="dropdown-divider"></div>
                     <button onClick={handleHome}>Home</button>
                     <button onClick={() => handleAction('saved')}>Saved Dashboards</button>
+                    <button onClick={() => handleAction('shared')}>Shared with Me</button>
                     <button onClick={() => handleAction('history')}>Upload History</button>
                     <button onClick={() => handleAction('settings')}>Settings</button>
                     <div className="dropdown-divider"></div>
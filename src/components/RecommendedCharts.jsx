@@ -1,6 +1,10 @@
+import { useRef, useMemo } from "react";
+import { Pin } from "lucide-react";
 import ChartRenderer from "./ChartRenderer";
+import ChartExportMenu from "./ChartExportMenu";
+import { histogramRows } from "../utils/ChartExport";
 
-export default function RecommendedCharts({ recommendations, data }) {
+export default function RecommendedCharts({ recommendations, data, onElementClick, onPin }) {
     if (!recommendations || recommendations.length === 0) {
         return (
             <div className="recommendations-container fade-in">
@@ -18,25 +22,53 @@ export default function RecommendedCharts({ recommendations, data }) {
             <p className="section-subtitle">Key system-level insights automatically detected.</p>
             <div className="pro-charts-grid">
                 {recommendations.map((rec, index) => (
-                    <div className="chart-card" key={index}>
-                        <div className="chart-header">
-                            <div>
-                                <h3>{rec.title}</h3>
-                                <p className="chart-desc">{rec.description}</p>
-                            </div>
-                            <span className="badge numeric">Score: {Math.round(rec.score)}</span>
-                        </div>
-                        <div className="chart-wrapper-small">
-                            {/* Pass specific config to renderer */}
-                            <ChartRenderer
-                                data={data}
-                                forcedConfig={rec} // Pass config directly
-                                hideControls={true} // Hide internal controls
-                            />
-                        </div>
-                    </div>
+                    <RecommendedChartCard key={index} rec={rec} data={data} onElementClick={onElementClick} onPin={onPin} />
                 ))}
             </div>
         </div>
     );
 }
+
+// One insight: header with export menu and pin, chart marked for the PDF report
+function RecommendedChartCard({ rec, data, onElementClick, onPin }) {
+    const chartRef = useRef(null);
+    const isHistogram = rec.type === 'histogram' || !!rec.isHistogram;
+    const fields = isHistogram ? null : [rec.xAxis, rec.yAxis, rec.sizeAxis].filter((k, i, arr) => k && arr.indexOf(k) === i);
+    const exportRows = useMemo(
+        () => isHistogram ? histogramRows(data, rec.xAxis, rec) : data,
+        [isHistogram, data, rec]
+    );
+
+    return (
+        <div className="chart-card">
+            <div className="chart-header">
+                <div>
+                    <h3>{rec.title}</h3>
+                    <p className="chart-desc">{rec.description}</p>
+                </div>
+                <div className="chart-header-actions">
+                    <span className="badge numeric">Score: {Math.round(rec.score)}</span>
+                    <ChartExportMenu targetRef={chartRef} title={rec.title} rows={exportRows} fields={fields} />
+                    {onPin && (
+                        <button
+                            className="btn-icon"
+                            onClick={() => onPin({ source: 'insight', title: rec.title, note: rec.description, config: rec })}
+                            title="Add to dashboard"
+                        >
+                            <Pin size={14} />
+                        </button>
+                    )}
+                </div>
+            </div>
+            <div className="chart-wrapper-small" ref={chartRef} data-export-title={rec.title} data-export-description={rec.description}>
+                {/* Pass specific config to renderer */}
+                <ChartRenderer
+                    data={data}
+                    forcedConfig={rec} // Pass config directly
+                    hideControls={true} // Hide internal controls
+                    onElementClick={onElementClick}
+                />
+            </div>
+        </div>
+    );
+}
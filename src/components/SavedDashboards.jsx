@@ -1,65 +1,198 @@
+import { useState } from "react";
 import { db, auth } from "../firebase";
-import { collection, query, where, orderBy, deleteDoc, doc } from "firebase/firestore";
+import { collection, query, where, orderBy } from "firebase/firestore";
+import { sendEmailVerification } from "firebase/auth";
 import { useCollection } from "react-firebase-hooks/firestore";
+import { Share2 } from "lucide-react";
+import { deleteDataset } from "../utils/DatasetStorage";
+import { getAccessRole, normalizeEmail, normalizeSharing, SHARE_ROLES } from "../utils/DashboardSharing";
+import ShareDialog from "./ShareDialog";
 
-export default function SavedDashboards({ onLoad, onBack, type }) {
-    const user = auth.currentUser;
-    const isHistory = type === 'auto';
+const TITLES = {
+    auto: "Upload History",
+    manual: "Saved Dashboards",
+    shared: "Shared with Me"
+};
 
-    const [snapshot, loading, error] = useCollection(
-        query(
+const EMPTY_MESSAGES = {
+    auto: "No upload history found.",
+    manual: "No saved dashboards found.",
+    shared: "Nothing has been shared with you yet."
+};
+
+// 'auto' (history) and 'manual' (saved) are the user's own dashboards; 'shared' are invitations,
+// which firestore.rules only lists for verified emails (no query until then)
+const dashboardsQuery = (user, type, verified) => {
+    if (type !== 'shared') {
+        return query(
             collection(db, "dashboards"),
             where("uid", "==", user?.uid),
-            where("type", "==", type), // 'auto' (history) or 'manual' (saved)
+            where("type", "==", type),
             orderBy("createdAt", "desc")
-        )
+        );
+    }
+    if (!verified) return null;
+    return query(
+        collection(db, "dashboards"),
+        where("memberEmails", "array-contains", normalizeEmail(user?.email)),
+        orderBy("createdAt", "desc")
     );
+};
+
+export default function SavedDashboards({ onLoad, onBack, type }) {
+    const user = auth.currentUser;
+    const isShared = type === 'shared';
+    const [sharingId, setSharingId] = useState(null); // Dashboard whose ShareDialog is open
+    const [verified, setVerified] = useState(Boolean(user?.emailVerified));
+
+    const [snapshot, loading, error] = useCollection(dashboardsQuery(user, type, verified));
 
     const handleDelete = async (e, id) => {
         e.stopPropagation();
         if (confirm("Are you sure you want to delete this item?")) {
-            await deleteDoc(doc(db, "dashboards", id));
+            await deleteDataset(id);
         }
     };
 
+    const openShare = (e, id) => {
+        e.stopPropagation();
+        setSharingId(id);
+    };
+
+    if (isShared && !verified) {
+        return (
+            <div className="history-container">
+                <div className="history-header">
+                    <button className="btn-back" onClick={onBack}>Back</button>
+                    <h2>{TITLES[type]}</h2>
+                </div>
+                <VerifyEmailNotice user={user} onVerified={() => setVerified(true)} />
+            </div>
+        );
+    }
+
     if (loading) return <div className="loading-state">Loading...</div>;
     if (error) return <div className="error-msg">Error: {error.message}</div>;
 
+    const sharingDoc = sharingId && snapshot?.docs.find(d => d.id === sharingId);
+
     return (
         <div className="history-container">
             <div className="history-header">
                 <button className="btn-back" onClick={onBack}>Back</button>
-                <h2>{isHistory ? "Upload History" : "Saved Dashboards"}</h2>
+                <h2>{TITLES[type]}</h2>
             </div>
 
             {(!snapshot || snapshot.empty) ? (
                 <div className="empty-state">
-                    {isHistory ? "No upload history found." : "No saved dashboards found."}
+                    {EMPTY_MESSAGES[type]}
                 </div>
             ) : (
                 <div className="history-grid">
                     {snapshot.docs.map(doc => {
                         const data = doc.data();
                         const date = new Date(data.createdAt).toLocaleString();
+                        const sharing = normalizeSharing(data.sharing);
+                        const role = isShared ? getAccessRole(data, user) : null;
 
                         return (
-                            <div key={doc.id} className="history-card" onClick={() => onLoad(data.data)}>
+                            <div key={doc.id} className="history-card" onClick={() => onLoad({ id: doc.id, ...data })}>
                                 <div className="history-info">
                                     <h3>{data.name || "Untitled"}</h3>
                                     <p>{date}</p>
+                                    {data.dataset?.rowCount > 0 && (
+                                        <p>{data.dataset.rowCount.toLocaleString()} rows</p>
+                                    )}
+                                    {role && (
+                                        <span className="badge category">{SHARE_ROLES.find(r => r.value === role)?.label}</span>
+                                    )}
+                                    {type === 'manual' && (sharing.link.enabled || sharing.invites.length > 0) && (
+                                        <span className="badge category">
+                                            Shared{sharing.invites.length > 0 ? ` with ${sharing.invites.length}` : ''}{sharing.link.enabled ? ' · link on' : ''}
+                                        </span>
+                                    )}
                                 </div>
-                                <button
-                                    className="btn-delete"
-                                    onClick={(e) => handleDelete(e, doc.id)}
-                                    title="Delete"
-                                >
-                                    Delete
-                                </button>
+                                {type === 'manual' && (
+                                    <button
+                                        className="btn-delete btn-share"
+                                        onClick={(e) => openShare(e, doc.id)}
+                                        title="Share"
+                                    >
+                                        <Share2 size={16} />
+                                    </button>
+                                )}
+                                {!isShared && (
+                                    <button
+                                        className="btn-delete"
+                                        onClick={(e) => handleDelete(e, doc.id)}
+                                        title="Delete"
+                                    >
+                                        Delete
+                                    </button>
+                                )}
                             </div>
                         );
                     })}
                 </div>
             )}
+
+            {sharingDoc && (
+                <ShareDialog
+                    dashboardId={sharingDoc.id}
+                    name={sharingDoc.data().name}
+                    sharing={sharingDoc.data().sharing}
+                    ownerEmail={user?.email}
+                    onClose={() => setSharingId(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Shown instead of "Shared with Me" until the user's email is verified
+function VerifyEmailNotice({ user, onVerified }) {
+    const [busy, setBusy] = useState(false);
+    const [sent, setSent] = useState(false);
+
+    const resend = async () => {
+        setBusy(true);
+        try {
+            await sendEmailVerification(user);
+            setSent(true);
+        } catch (err) {
+            console.error("Verification email failed:", err);
+            alert(`Could not send verification email: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // The ID token carries email_verified for firestore.rules, so it has to be refreshed too
+    const recheck = async () => {
+        setBusy(true);
+        try {
+            await user.reload();
+            if (!auth.currentUser?.emailVerified) return alert("Your email is not verified yet. Open the link in the verification email first.");
+            await auth.currentUser.getIdToken(true);
+            onVerified();
+        } catch (err) {
+            console.error("Verification check failed:", err);
+            alert(`Verification check failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="empty-state verify-email">
+            <p>Verify your email to see dashboards shared with you.</p>
+            <p className="chart-desc">
+                {sent ? `Verification email sent to ${user?.email}.` : `Invitations are sent to ${user?.email} and only apply once it is verified.`}
+            </p>
+            <div className="button-group">
+                <button className="btn btn-secondary" onClick={resend} disabled={busy}>Resend verification email</button>
+                <button className="btn btn-primary" onClick={recheck} disabled={busy}>I've verified my email</button>
+            </div>
         </div>
     );
 }
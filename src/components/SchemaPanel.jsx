@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { COLUMN_TYPES, NUMBER_FORMATS } from "../utils/DataProcessor";
+
+const LOW_CONFIDENCE = 0.9; // Share of sampled values matching the inferred type
+
+/**
+ * Lets the user correct inferred column types, labels and parse formats.
+ * Overrides are applied by re-running processData (see Dashboard.applyOverrides).
+ * @param {Array} columns - Column metadata from processData
+ * @param {Object} overrides - Current { [key]: { type, label, format } }
+ * @param {Function} onApply - Called with the new overrides object
+ */
+export default function SchemaPanel({ columns, overrides, onApply }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(overrides);
+
+    const updateColumn = (key, field, value) => {
+        setDraft(prev => {
+            const next = { ...prev[key], [field]: value };
+            // Formats are type specific
+            if (field === 'type') next.format = '';
+            return { ...prev, [key]: next };
+        });
+    };
+
+    const resetColumn = (key) => {
+        setDraft(prev => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+        });
+    };
+
+    // Drop empty entries so saved dashboards only carry real overrides
+    const handleApply = () => {
+        const clean = {};
+        Object.entries(draft).forEach(([key, o]) => {
+            const col = columns.find(c => c.key === key);
+            if (!col) return;
+            const entry = {};
+            if (o.type && o.type !== col.inferredType) entry.type = o.type;
+            if (o.label && o.label.trim()) entry.label = o.label.trim();
+            if (o.format) entry.format = o.format;
+            if (Object.keys(entry).length) clean[key] = entry;
+        });
+        onApply(clean);
+    };
+
+    const overrideCount = Object.keys(overrides).length;
+    const uncertainCount = columns.filter(isUncertain).length;
+
+    return (
+        <div className="schema-panel">
+            <div className="schema-panel-header">
+                <div>
+                    <h3>Column Schema</h3>
+                    <p className="chart-desc">
+                        {overrideCount > 0
+                            ? `${overrideCount} column${overrideCount > 1 ? 's' : ''} overridden.`
+                            : "Types are inferred automatically. Correct them here if a column was misread."}
+                        {uncertainCount > 0 && ` ${uncertainCount} column${uncertainCount > 1 ? 's have' : ' has'} mixed values (low confidence).`}
+                    </p>
+                </div>
+                <button className="btn btn-outline" onClick={() => setIsOpen(!isOpen)} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                    {isOpen ? "Hide" : "Edit Schema"}
+                </button>
+            </div>
+
+            {isOpen && (
+                <>
+                    <div className="schema-table-wrapper">
+                        <table className="schema-table">
+                            <thead>
+                                <tr>
+                                    <th>Column</th>
+                                    <th>Inferred</th>
+                                    <th>Confidence</th>
+                                    <th>Type</th>
+                                    <th>Label</th>
+                                    <th>Parse Format</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {columns.map(col => {
+                                    const entry = draft[col.key] || {};
+                                    const type = entry.type || col.inferredType;
+                                    const format = entry.format ?? '';
+
+                                    return (
+                                        <tr key={col.key} className={draft[col.key] ? 'overridden' : ''}>
+                                            <td><code>{col.key}</code></td>
+                                            <td>
+                                                <span className="badge category">{col.inferredType}</span>
+                                                {col.subtype && <span className="chart-desc"> {col.subtype}</span>}
+                                            </td>
+                                            <td>
+                                                <span
+                                                    className={`confidence ${isUncertain(col) ? 'low' : ''}`}
+                                                    title={describeCounts(col.typeCounts)}
+                                                >
+                                                    {formatConfidence(col.confidence)}
+                                                </span>
+                                                {col.formatAmbiguous && <div className="chart-desc">Day/month order unclear</div>}
+                                            </td>
+                                            <td>
+                                                <select
+                                                    className="chart-select"
+                                                    value={type}
+                                                    onChange={e => updateColumn(col.key, 'type', e.target.value)}
+                                                >
+                                                    {COLUMN_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <input
+                                                    className="chart-select"
+                                                    value={entry.label ?? ''}
+                                                    placeholder={col.label}
+                                                    onChange={e => updateColumn(col.key, 'label', e.target.value)}
+                                                />
+                                            </td>
+                                            <td>
+                                                {type === 'number' && (
+                                                    <select
+                                                        className="chart-select"
+                                                        value={format}
+                                                        onChange={e => updateColumn(col.key, 'format', e.target.value)}
+                                                    >
+                                                        {NUMBER_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                                                    </select>
+                                                )}
+                                                {type === 'date' && (
+                                                    <input
+                                                        className="chart-select"
+                                                        value={format}
+                                                        placeholder={col.inferredFormat ? `Detected: ${col.inferredFormat}` : "Auto (e.g. dd/MM/yyyy)"}
+                                                        title="date-fns pattern, e.g. dd/MM/yyyy or yyyy.MM, or epoch-s / epoch-ms for Unix timestamps"
+                                                        onChange={e => updateColumn(col.key, 'format', e.target.value)}
+                                                    />
+                                                )}
+                                                {(type === 'category' || type === 'text') && <span className="chart-desc">—</span>}
+                                            </td>
+                                            <td>
+                                                {draft[col.key] && (
+                                                    <button className="btn-link" onClick={() => resetColumn(col.key)}>Reset</button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="schema-actions">
+                        <button className="btn btn-outline" onClick={() => setDraft({})} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                            Reset All
+                        </button>
+                        <button className="btn btn-primary" onClick={handleApply} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                            Apply &amp; Re-analyze
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+const isUncertain = (col) => typeof col.confidence === 'number' && col.confidence < LOW_CONFIDENCE;
+
+const formatConfidence = (confidence) => (typeof confidence !== 'number' ? '—' : `${Math.round(confidence * 100)}%`);
+
+// "number 940 · text 60 · empty 12" for the sampled values
+const describeCounts = (counts) => {
+    if (!counts) return '';
+    return Object.entries(counts)
+        .filter(([, n]) => n > 0)
+        .map(([kind, n]) => `${kind} ${n.toLocaleString()}`)
+        .join(' · ');
+};
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { X, Link2, Copy, Trash2 } from "lucide-react";
+import {
+    SHARE_ROLES, normalizeSharing, withInvite, withoutInvite, updateSharing, shareLink, isValidEmail, normalizeEmail
+} from "../utils/DashboardSharing";
+
+/**
+ * Sharing settings of a saved dashboard: a link anyone signed in can open, and
+ * invitations by email, each with a viewer or editor role. Every change is written
+ * straight to the dashboard document (see DashboardSharing).
+ * @param {String} dashboardId
+ * @param {String} name - Dashboard name, for the heading
+ * @param {Object} sharing - Current `sharing` field of the document
+ * @param {String} ownerEmail - Owner's email, which cannot be invited
+ * @param {Function} onClose
+ */
+export default function ShareDialog({ dashboardId, name, sharing: storedSharing, ownerEmail, onClose }) {
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('viewer');
+    const [busy, setBusy] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const sharing = normalizeSharing(storedSharing);
+    const link = shareLink(dashboardId);
+
+    const save = async (next) => {
+        setBusy(true);
+        try {
+            await updateSharing(dashboardId, next);
+        } catch (err) {
+            console.error("Sharing update failed:", err);
+            alert(`Sharing update failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const setLink = (changes) => save({ ...sharing, link: { ...sharing.link, ...changes } });
+
+    const invite = async (e) => {
+        e.preventDefault();
+        const clean = normalizeEmail(email);
+        if (!isValidEmail(clean)) return alert("Enter a valid email address");
+        if (clean === normalizeEmail(ownerEmail)) return alert("You already own this dashboard");
+        await save(withInvite(sharing, clean, role));
+        setEmail('');
+    };
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(link);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error("Copy failed:", err);
+            alert(`Copy failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="share-overlay" onClick={onClose}>
+            <div className="share-dialog fade-in" role="dialog" aria-label="Share dashboard" onClick={e => e.stopPropagation()}>
+                <div className="schema-panel-header">
+                    <div>
+                        <h3>Share "{name || "Untitled"}"</h3>
+                        <p className="chart-desc">Viewers can explore and filter but not save. Editors can save changes to charts, filters and layout.</p>
+                    </div>
+                    <button className="btn-icon" onClick={onClose} title="Close">
+                        <X size={16} />
+                    </button>
+                </div>
+
+                {/* Link */}
+                <div className="share-section">
+                    <div className="share-row">
+                        <label className="radio-option">
+                            <input
+                                type="checkbox"
+                                checked={sharing.link.enabled}
+                                disabled={busy}
+                                onChange={e => setLink({ enabled: e.target.checked })}
+                            />
+                            <Link2 size={14} /> Anyone signed in with the link
+                        </label>
+                        <select
+                            className="chart-select"
+                            value={sharing.link.role}
+                            disabled={busy || !sharing.link.enabled}
+                            onChange={e => setLink({ role: e.target.value })}
+                        >
+                            {SHARE_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                        </select>
+                    </div>
+                    {sharing.link.enabled && (
+                        <div className="share-row">
+                            <input className="chart-select share-link" value={link} readOnly onFocus={e => e.target.select()} />
+                            <button className="btn btn-outline" onClick={copyLink} style={{ flex: 'none', display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                                <Copy size={14} /> {copied ? "Copied" : "Copy"}
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* Invitations */}
+                <div className="share-section">
+                    <form className="share-row" onSubmit={invite}>
+                        <input
+                            className="chart-select share-email"
+                            type="email"
+                            value={email}
+                            placeholder="colleague@example.com"
+                            onChange={e => setEmail(e.target.value)}
+                        />
+                        <select className="chart-select" value={role} onChange={e => setRole(e.target.value)}>
+                            {SHARE_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                        </select>
+                        <button className="btn btn-primary" type="submit" disabled={busy || !email.trim()} style={{ flex: 'none' }}>
+                            Invite
+                        </button>
+                    </form>
+                    <p className="chart-desc">Invited people find the dashboard under "Shared with Me" once they sign in with a verified email.</p>
+
+                    {sharing.invites.length > 0 && (
+                        <ul className="share-list">
+                            {sharing.invites.map(inv => (
+                                <li key={inv.email} className="share-row">
+                                    <span className="share-email">{inv.email}</span>
+                                    <select
+                                        className="chart-select"
+                                        value={inv.role}
+                                        disabled={busy}
+                                        onChange={e => save(withInvite(sharing, inv.email, e.target.value))}
+                                    >
+                                        {SHARE_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                    </select>
+                                    <button
+                                        className="btn-icon"
+                                        disabled={busy}
+                                        onClick={() => save(withoutInvite(sharing, inv.email))}
+                                        title="Remove access"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,158 @@
+import { useState } from "react";
+
+/**
+ * Sheet selection step for Excel workbooks.
+ * @param {String} fileName
+ * @param {Array} sheets - [{ name, rowCount, colCount, preview }] from inspectWorkbook
+ * @param {Function} onConfirm - ({ sheets: [{ name, headerRow, range }], mode })
+ * @param {Function} onCancel
+ */
+export default function SheetPicker({ fileName, sheets, onConfirm, onCancel }) {
+    const [selected, setSelected] = useState(() => {
+        const first = sheets.find(s => s.rowCount > 0) || sheets[0];
+        return { [first.name]: { headerRow: 1, range: '' } };
+    });
+    const [previewName, setPreviewName] = useState(Object.keys(selected)[0]);
+    const [mode, setMode] = useState('separate'); // 'separate' | 'stack'
+
+    const selectedNames = sheets.map(s => s.name).filter(name => selected[name]);
+    const previewSheet = sheets.find(s => s.name === previewName);
+    const previewSettings = selected[previewName];
+
+    const toggleSheet = (name) => {
+        setSelected(prev => {
+            const next = { ...prev };
+            if (next[name]) delete next[name];
+            else next[name] = { headerRow: 1, range: '' };
+            return next;
+        });
+        setPreviewName(name);
+    };
+
+    const updateSheet = (name, field, value) => {
+        setSelected(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }));
+    };
+
+    const handleConfirm = () => {
+        onConfirm({
+            sheets: selectedNames.map(name => ({
+                name,
+                headerRow: Math.max(parseInt(selected[name].headerRow, 10) || 1, 1),
+                range: selected[name].range
+            })),
+            mode
+        });
+    };
+
+    return (
+        <div className="sheet-picker fade-in">
+            <div className="schema-panel-header">
+                <div>
+                    <h3>Choose sheets</h3>
+                    <p className="chart-desc">{fileName} contains {sheets.length} sheet{sheets.length > 1 ? 's' : ''}.</p>
+                </div>
+            </div>
+
+            <div className="sheet-picker-body">
+                <ul className="sheet-list">
+                    {sheets.map(sheet => (
+                        <li
+                            key={sheet.name}
+                            className={`sheet-item ${previewName === sheet.name ? 'active' : ''}`}
+                            onClick={() => setPreviewName(sheet.name)}
+                        >
+                            <input
+                                type="checkbox"
+                                checked={!!selected[sheet.name]}
+                                disabled={sheet.rowCount === 0}
+                                onChange={() => toggleSheet(sheet.name)}
+                                onClick={e => e.stopPropagation()}
+                            />
+                            <span className="sheet-name">{sheet.name}</span>
+                            <span className="chart-desc">{sheet.rowCount.toLocaleString()} × {sheet.colCount}</span>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="sheet-preview">
+                    {previewSettings && (
+                        <div className="select-row" style={{ marginBottom: '0.75rem' }}>
+                            <div className="control-group">
+                                <label>Header Row</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    className="chart-select"
+                                    value={previewSettings.headerRow}
+                                    disabled={!!previewSettings.range}
+                                    onChange={e => updateSheet(previewName, 'headerRow', e.target.value)}
+                                />
+                            </div>
+                            <div className="control-group">
+                                <label>Range (optional)</label>
+                                <input
+                                    className="chart-select"
+                                    placeholder="e.g. A3:F200"
+                                    value={previewSettings.range}
+                                    onChange={e => updateSheet(previewName, 'range', e.target.value)}
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {previewSheet && previewSheet.preview.length > 0 ? (
+                        <div className="schema-table-wrapper">
+                            <table className="schema-table preview-table">
+                                <tbody>
+                                    {previewSheet.preview.map((row, i) => {
+                                        const headerRow = parseInt(previewSettings?.headerRow, 10) || 1;
+                                        const rowClass = !previewSettings || previewSettings.range ? ''
+                                            : i + 1 === headerRow ? 'header-row' : i + 1 < headerRow ? 'skipped-row' : '';
+                                        return (
+                                            <tr key={i} className={rowClass}>
+                                                <td className="row-number">{i + 1}</td>
+                                                {row.map((cell, j) => <td key={j}>{String(cell)}</td>)}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <div className="empty-state-small">This sheet is empty.</div>
+                    )}
+                </div>
+            </div>
+
+            <div className="schema-actions" style={{ justifyContent: 'space-between' }}>
+                <div className="select-row">
+                    {selectedNames.length > 1 && (
+                        <>
+                            <label className="radio-option">
+                                <input type="radio" checked={mode === 'separate'} onChange={() => setMode('separate')} />
+                                Separate datasets
+                            </label>
+                            <label className="radio-option">
+                                <input type="radio" checked={mode === 'stack'} onChange={() => setMode('stack')} />
+                                Stack with "sheet" column
+                            </label>
+                        </>
+                    )}
+                </div>
+                <div className="select-row">
+                    <button className="btn btn-outline" onClick={onCancel} style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}>
+                        Cancel
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleConfirm}
+                        disabled={selectedNames.length === 0}
+                        style={{ padding: '0.5rem 1rem', fontSize: '0.85rem' }}
+                    >
+                        Import {selectedNames.length > 1 ? `${selectedNames.length} sheets` : 'sheet'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
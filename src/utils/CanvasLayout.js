@@ -0,0 +1,107 @@
+/**
+ * Grid layout of the dashboard canvas (see DashboardCanvas).
+ *
+ * Items are { id, x, y, w, h } in grid cells: GRID_COLUMNS columns wide, rows
+ * CANVAS_ROW_HEIGHT pixels tall. Layouts never overlap: an item that is moved or
+ * resized pushes the items it lands on further down, then everything floats up
+ * into free space (vertical compaction).
+ */
+
+export const GRID_COLUMNS = 12;
+export const CANVAS_ROW_HEIGHT = 80;
+
+export const DEFAULT_ITEM_SIZE = { w: 6, h: 5 };
+export const MIN_ITEM_SIZE = { w: 3, h: 3 };
+
+/**
+ * Adds an item below everything else.
+ * @param {Array} layout
+ * @param {String} id
+ * @param {Object} size - { w, h }
+ * @returns {Array} New layout
+ */
+export const addLayoutItem = (layout, id, size = DEFAULT_ITEM_SIZE) => {
+    const bottom = layout.reduce((max, item) => Math.max(max, item.y + item.h), 0);
+    return compactLayout([...layout, clampItem({ id, x: 0, y: bottom, ...size })]);
+};
+
+/**
+ * Moves and/or resizes one item, resolving collisions.
+ * @param {Array} layout
+ * @param {String} id
+ * @param {Object} changes - Any of { x, y, w, h }
+ * @returns {Array} New layout
+ */
+export const updateLayoutItem = (layout, id, changes) => {
+    const target = layout.find(item => item.id === id);
+    if (!target) return layout;
+
+    const moved = clampItem({ ...target, ...changes });
+    const others = layout.filter(item => item.id !== id);
+    return compactLayout(pushDown([moved, ...others], moved), moved.id);
+};
+
+/**
+ * Removes an item and closes the gap it leaves.
+ * @param {Array} layout
+ * @param {String} id
+ * @returns {Array} New layout
+ */
+export const removeLayoutItem = (layout, id) => compactLayout(layout.filter(item => item.id !== id));
+
+/**
+ * Makes a stored layout usable for the given items: drops entries without a chart,
+ * gives charts without an entry a place and fixes out-of-range values.
+ * @param {Array} layout
+ * @param {Array} ids - Ids of the pinned charts
+ * @returns {Array} Layout with exactly one entry per id
+ */
+export const syncLayout = (layout, ids) => {
+    const known = new Set(ids);
+    let result = compactLayout(layout.filter(item => known.has(item.id)).map(clampItem));
+    ids.forEach(id => {
+        if (!result.some(item => item.id === id)) result = addLayoutItem(result, id);
+    });
+    return result;
+};
+
+// --- Helpers ---
+
+const clampItem = (item) => {
+    const w = Math.min(Math.max(Math.round(item.w) || DEFAULT_ITEM_SIZE.w, MIN_ITEM_SIZE.w), GRID_COLUMNS);
+    const h = Math.max(Math.round(item.h) || DEFAULT_ITEM_SIZE.h, MIN_ITEM_SIZE.h);
+    const x = Math.min(Math.max(Math.round(item.x) || 0, 0), GRID_COLUMNS - w);
+    const y = Math.max(Math.round(item.y) || 0, 0);
+    return { ...item, x, y, w, h };
+};
+
+const collides = (a, b) => a.id !== b.id
+    && a.x < b.x + b.w && b.x < a.x + a.w
+    && a.y < b.y + b.h && b.y < a.y + a.h;
+
+// Moves every item overlapping `fixed` (and, in turn, what those land on) below it
+const pushDown = (layout, fixed) => {
+    let items = layout;
+    items.filter(item => collides(item, fixed)).forEach(hit => {
+        const pushed = { ...hit, y: fixed.y + fixed.h };
+        items = items.map(item => (item.id === hit.id ? pushed : item));
+        items = pushDown(items, pushed);
+    });
+    return items;
+};
+
+// Floats items up as far as they go, top to bottom; `pinnedId` keeps its row
+const compactLayout = (layout, pinnedId = null) => {
+    const sorted = [...layout].sort((a, b) => a.y - b.y || a.x - b.x);
+    const placed = [];
+    sorted.forEach(item => {
+        let next = { ...item };
+        if (item.id !== pinnedId) {
+            while (next.y > 0 && !placed.some(p => collides({ ...next, y: next.y - 1 }, p))) next.y--;
+        }
+        // An earlier item may have been placed where this one is
+        while (placed.some(p => collides(next, p))) next.y++;
+        placed.push(next);
+    });
+    return placed;
+};
@@ -0,0 +1,257 @@
+import Papa from 'papaparse';
+import { binValues } from './DataProcessor';
+
+/**
+ * Chart and data export.
+ *
+ * Charts are found in the DOM: every exportable chart sits in an element marked with
+ * data-export-title / data-export-description (see ChartExportMenu). Chart.js
+ * charts are canvases, so their SVG export is an embedded PNG that does not scale
+ * like vector output; Plotly charts are exported by
+ * Plotly itself, so their SVG stays vector. xlsx, jspdf and Plotly are only loaded
+ * when an export needs them.
+ */
+
+export const CHART_IMAGE_FORMATS = ['png', 'svg'];
+export const DATA_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_SCALE = 2;        // Pixel ratio of exported bitmaps
+const CHART_READY_TIMEOUT = 8000;
+
+/**
+ * Saves a Blob as a file through a temporary link.
+ * @param {Blob} blob
+ * @param {String} filename
+ */
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Turns a chart title into a file name ("Sales by Region" -> "sales-by-region").
+ * @param {String} name
+ * @returns {String}
+ */
+export const fileSafeName = (name) => (name || 'chart')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'chart';
+
+/**
+ * Renders the chart inside `node` as an image.
+ * @param {HTMLElement} node - Element containing a Chart.js canvas or a Plotly graph
+ * @param {String} format - 'png' | 'svg'
+ * @param {String} background - CSS color painted behind the chart (charts are transparent)
+ * @returns {Promise<Object>} { dataUrl, width, height } in CSS pixels
+ */
+export const captureChart = async (node, format = 'png', background = '#ffffff') => {
+    const plot = node.querySelector('.js-plotly-plot');
+    if (plot) {
+        const { default: Plotly } = await import('plotly.js/dist/plotly-cartesian.min.js');
+        const width = plot.clientWidth;
+        const height = plot.clientHeight;
+        const image = await Plotly.toImage(plot, { format, width, height, scale: format === 'png' ? EXPORT_SCALE : 1 });
+        return { dataUrl: format === 'png' ? await flatten(image, width, height, background) : image, width, height };
+    }
+
+    const canvas = node.querySelector('canvas');
+    if (!canvas) throw new Error('No chart to export');
+
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    const png = await flatten(canvas, width, height, background);
+    if (format === 'png') return { dataUrl: png, width, height };
+
+    // Canvas has no vector form: the SVG only wraps the bitmap
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<image width="${width}" height="${height}" xlink:href="${png}"/></svg>`;
+    return { dataUrl: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`, width, height };
+};
+
+/**
+ * Downloads the chart inside `node` as PNG or SVG, on the background of its card.
+ * @param {HTMLElement} node
+ * @param {String} format - 'png' | 'svg'
+ * @param {String} name - File name without extension
+ */
+export const exportChartImage = async (node, format, name) => {
+    const { dataUrl } = await captureChart(node, format, backgroundOf(node));
+    const blob = await (await fetch(dataUrl)).blob();
+    downloadBlob(blob, `${fileSafeName(name)}.${format}`);
+};
+
+/**
+ * Rows of a histogram export: the bins that were drawn rather than the raw values.
+ * @param {Array} rows - Rows the histogram was drawn from
+ * @param {String} key - Binned column
+ * @param {Object} config - Chart config with binStrategy / binWidth
+ * @returns {Array} [{ low, high, count }]
+ */
+export const histogramRows = (rows, key, { binStrategy, binWidth } = {}) =>
+    binValues((rows || []).map(row => row[key]), { strategy: binStrategy, width: binWidth });
+
+/**
+ * Downloads rows as CSV or XLSX. Dates are written as ISO strings (CSV) or date cells (XLSX).
+ * @param {Array} rows - Plain objects, e.g. a chart's prepared (aggregated / sampled) data
+ * @param {String} format - 'csv' | 'xlsx'
+ * @param {String} name - File name without extension
+ * @param {Array} fields - Optional keys (and column order) to keep
+ */
+export const exportRows = async (rows, format, name, fields = null) => {
+    const keys = fields || (rows.length ? Object.keys(rows[0]) : []);
+    const filename = `${fileSafeName(name)}.${format}`;
+
+    if (format === 'xlsx') {
+        const XLSX = await import('xlsx');
+        const sheet = XLSX.utils.json_to_sheet(rows.map(row => pick(row, keys, false)), { header: keys, cellDates: true });
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Data');
+        XLSX.writeFile(workbook, filename);
+        return;
+    }
+
+    const csv = Papa.unparse(rows.map(row => pick(row, keys, true)), { columns: keys });
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+/**
+ * Builds a PDF report from every exportable chart under the ref'd element. Charts are
+ * grouped by the nearest [data-export-section] ancestor; each gets its title, description
+ * and image.
+ * @param {Object} rootRef - React ref to the element holding the charts (may still be mounting)
+ * @param {Object} meta - { title, subtitle }
+ * @param {String} name - File name without extension
+ * @returns {Promise<Number>} Number of charts written
+ */
+export const exportDashboardPdf = async (rootRef, { title, subtitle }, name) => {
+    const root = await waitForCharts(rootRef);
+    const { jsPDF } = await import('jspdf');
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'a4' });
+
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 40;
+    const contentWidth = pageWidth - margin * 2;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height <= pageHeight - margin) return;
+        pdf.addPage();
+        y = margin;
+    };
+
+    const writeText = (text, { size, color = '#0f172a', bold = false, gap = 4 }) => {
+        pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+        pdf.setFontSize(size);
+        pdf.setTextColor(color);
+        const lines = pdf.splitTextToSize(text, contentWidth);
+        const lineHeight = size * 1.25;
+        ensureSpace(lines.length * lineHeight);
+        pdf.text(lines, margin, y + size);
+        y += lines.length * lineHeight + gap;
+    };
+
+    writeText(title, { size: 20, bold: true });
+    if (subtitle) writeText(subtitle, { size: 10, color: '#64748b', gap: 16 });
+
+    let count = 0;
+    for (const section of collectSections(root)) {
+        if (!section.charts.length) continue;
+        ensureSpace(60);
+        writeText(section.title, { size: 15, bold: true, color: '#6366f1', gap: 8 });
+
+        for (const chart of section.charts) {
+            const image = await captureChart(chart.node, 'png', '#ffffff');
+            const height = Math.min(contentWidth * image.height / image.width, pageHeight / 2);
+            const width = height * image.width / image.height;
+
+            ensureSpace(height + 40); // Keep the title on the same page as its chart
+            writeText(chart.title, { size: 12, bold: true, gap: 2 });
+            if (chart.description) writeText(chart.description, { size: 9, color: '#64748b' });
+            ensureSpace(height);
+            pdf.addImage(image.dataUrl, 'PNG', margin, y, width, height);
+            y += height + 20;
+            count++;
+        }
+    }
+
+    pdf.save(`${fileSafeName(name)}.pdf`);
+    return count;
+};
+
+// --- Helpers ---
+
+// Draws an image source on `background` at EXPORT_SCALE and returns a PNG data URL
+const flatten = async (source, width, height, background) => {
+    const image = typeof source === 'string' ? await loadImage(source) : source;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * EXPORT_SCALE);
+    canvas.height = Math.round(height * EXPORT_SCALE);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not render chart image'));
+    image.src = src;
+});
+
+// First non-transparent background up the tree (the chart card in either theme)
+const backgroundOf = (node) => {
+    for (let el = node; el; el = el.parentElement) {
+        const color = getComputedStyle(el).backgroundColor;
+        if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) return color;
+    }
+    return '#ffffff';
+};
+
+// Copies `keys` from a row; CSV cells get ISO dates, XLSX keeps Date objects
+const pick = (row, keys, isoDates) => {
+    const out = {};
+    keys.forEach(k => {
+        const val = row[k];
+        out[k] = isoDates && val instanceof Date ? val.toISOString() : val ?? '';
+    });
+    return out;
+};
+
+const collectSections = (root) => {
+    const sections = new Map(); // section title -> charts
+    root.querySelectorAll('[data-export-title]').forEach(node => {
+        const title = node.closest('[data-export-section]')?.dataset.exportSection || 'Charts';
+        if (!sections.has(title)) sections.set(title, []);
+        sections.get(title).push({
+            node,
+            title: node.dataset.exportTitle,
+            description: node.dataset.exportDescription || ''
+        });
+    });
+    return [...sections.entries()].map(([title, charts]) => ({ title, charts }));
+};
+
+// The report and its lazily loaded renderers (Plotly) may still be mounting when the export starts
+const waitForCharts = async (rootRef) => {
+    const started = Date.now();
+    const isReady = (node) => node.querySelector('canvas') || node.querySelector('.js-plotly-plot .main-svg');
+    while (Date.now() - started < CHART_READY_TIMEOUT) {
+        const root = rootRef.current;
+        if (root && [...root.querySelectorAll('[data-export-title]')].every(isReady)) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (!rootRef.current) throw new Error('Report did not render');
+    // One more frame so Chart.js has drawn at its final size
+    await new Promise(resolve => requestAnimationFrame(() => resolve()));
+    return rootRef.current;
+};
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { histogramRows } from './ChartExport';
+
+describe('histogramRows', () => {
+    const rows = [1, 2, 2, 3, 9, 10].map(v => ({ v, label: `row ${v}` }));
+
+    it('exports the drawn bins instead of the raw rows', () => {
+        const bins = histogramRows(rows, 'v', { binStrategy: 'fixed', binWidth: 5 });
+        expect(bins).toEqual([
+            { low: 0, high: 5, count: 4 },
+            { low: 5, high: 10, count: 2 }
+        ]);
+    });
+
+    it('counts every numeric value once', () => {
+        const bins = histogramRows(rows, 'v', {});
+        expect(bins.reduce((sum, b) => sum + b.count, 0)).toBe(rows.length);
+    });
+});
@@ -2,24 +2,90 @@
  * Validates if a chart configuration is standard and meaningful.
  * Returns strict rules for "Power BI" like behavior.
  * 
- * @param {String} type - 'bar', 'line', 'pie', 'doughnut', 'scatter'
+ * @param {String} type - 'bar', 'line', 'pie', 'doughnut', 'scatter', 'bubble', 'histogram', 'box', 'violin', 'heatmap'
  * @param {Object} xCol - Metadata for X-Axis column
  * @param {Object} yCol - Metadata for Y-Axis column
+ * @param {Object} groupCol - Optional metadata for the group / color-by column
+ * @param {Array} measureCols - Optional metadata for extra Y measures plotted alongside yCol
  * @returns {Object} { valid, severity, reason, suggestedType }
  * severity: 'BLOCK' | 'WARN' | 'AUTO_FIX' | null
  */
-export const validateChart = (type, xCol, yCol) => {
+export const validateChart = (type, xCol, yCol, groupCol = null, measureCols = []) => {
     if (!xCol || !yCol) return { valid: false, severity: 'BLOCK', reason: "Select axes first" };
 
+    if (groupCol) {
+        const groupCheck = validateGroup(type, xCol, groupCol);
+        if (groupCheck) return groupCheck;
+    }
+
+    if (measureCols.length) {
+        const measureCheck = validateMeasures(type, groupCol, measureCols);
+        if (measureCheck) return measureCheck;
+    }
+
     const uniqueX = xCol.stats.uniqueCount || 0;
     const isXNumeric = xCol.type === 'number';
     const isYNumeric = yCol.type === 'number';
     const hasNegatives = yCol.stats.min < 0;
 
+    // --- HISTOGRAM RULES ---
+    // Rule: Distribution of a single numeric column (Y is ignored)
+    if (type === 'histogram') {
+        if (!isXNumeric) {
+            return {
+                valid: false,
+                severity: 'BLOCK',
+                reason: "Histograms require a numeric X-axis."
+            };
+        }
+        return { valid: true };
+    }
+
+    // --- BOX / VIOLIN RULES ---
+    // Rule: Numeric Y distributed across the categories of X
+    if (type === 'box' || type === 'violin') {
+        const name = type === 'box' ? 'Box plots' : 'Violin plots';
+        if (isXNumeric || xCol.type === 'date') {
+            return {
+                valid: false,
+                severity: 'BLOCK',
+                reason: `${name} require a categorical X-axis.`
+            };
+        }
+        if (!isYNumeric) {
+            return {
+                valid: false,
+                severity: 'BLOCK',
+                reason: `${name} require a numeric Y-axis.`
+            };
+        }
+        if (uniqueX > 20) {
+            return {
+                valid: true,
+                severity: 'WARN',
+                reason: `High cardinality (${uniqueX}). Will show the 20 most frequent categories.`
+            };
+        }
+        return { valid: true };
+    }
+
+    // --- HEATMAP RULES ---
+    // Rule: 2D density needs two numeric axes
+    if (type === 'heatmap') {
+        if (!isXNumeric || !isYNumeric) {
+            return {
+                valid: false,
+                severity: 'BLOCK',
+                reason: "Density heatmaps require both axes to be numeric."
+            };
+        }
+        return { valid: true };
+    }
+
     // --- SCATTER RULES ---
-    // Rule: Numeric vs Numeric MUST be Scatter
+    // Rule: Numeric vs Numeric MUST be Scatter (or Bubble, which adds a size axis)
     if (isXNumeric && isYNumeric) {
-        if (type !== 'scatter') {
+        if (type !== 'scatter' && type !== 'bubble') {
             return {
                 valid: false,
                 severity: 'AUTO_FIX',
@@ -30,13 +96,13 @@ export const validateChart = (type, xCol, yCol) => {
         return { valid: true };
     }
 
-    // Rule: Scatter MUST be Numeric vs Numeric
-    if (type === 'scatter') {
+    // Rule: Scatter/Bubble MUST be Numeric vs Numeric
+    if (type === 'scatter' || type === 'bubble') {
         if (!isXNumeric || !isYNumeric) {
             return {
                 valid: false,
                 severity: 'BLOCK',
-                reason: "Scatter plots require both axes to be numeric."
+                reason: `${type === 'bubble' ? 'Bubble charts' : 'Scatter plots'} require both axes to be numeric.`
             };
         }
     }
@@ -103,6 +169,77 @@ export const validateChart = (type, xCol, yCol) => {
     return { valid: true };
 };
 
+export const MAX_SERIES = 10;
+
+// Series rules; returns null when the group-by column is fine for this chart
+const validateGroup = (type, xCol, groupCol) => {
+    if (!['bar', 'line', 'scatter'].includes(type)) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Group / Color by works with Bar, Line and Scatter charts."
+        };
+    }
+    if (groupCol.type !== 'category' && groupCol.type !== 'text') {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Group / Color by requires a categorical column."
+        };
+    }
+    if (groupCol.key === xCol.key) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Group / Color by must differ from the X-axis."
+        };
+    }
+    const seriesCount = groupCol.stats.uniqueCount || 0;
+    if (seriesCount > MAX_SERIES) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: `Too many series (${seriesCount} > ${MAX_SERIES}). Pick a column with fewer values.`
+        };
+    }
+    return null;
+};
+
+export const MAX_MEASURES = 5;
+
+// Extra measure rules; returns null when they can share this chart
+const validateMeasures = (type, groupCol, measureCols) => {
+    if (type !== 'bar' && type !== 'line') {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Multiple measures work with Bar and Line charts."
+        };
+    }
+    if (groupCol) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Use either multiple measures or Group / Color by, not both."
+        };
+    }
+    if (measureCols.some(col => !col || col.type !== 'number')) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: "Every measure must be a numeric column."
+        };
+    }
+    if (measureCols.length + 1 > MAX_MEASURES) {
+        return {
+            valid: false,
+            severity: 'BLOCK',
+            reason: `Too many measures (${measureCols.length + 1} > ${MAX_MEASURES}).`
+        };
+    }
+    return null;
+};
+
 /**
  * Suggests the best default chart for a given pair of axes.
  */
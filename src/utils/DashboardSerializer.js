@@ -0,0 +1,165 @@
+/**
+ * Saved dashboard documents.
+ *
+ * A saved dashboard is a versioned Firestore document that captures everything
+ * needed to restore a session exactly: the dataset, user column overrides,
+ * calculated columns, the explorer chart, the pivot table, dashboard filters, pinned charts, their layout and the active tab.
+ *
+ * v1 (legacy): { uid, data, createdAt, name, type } - processed rows only.
+ * v2:          { uid, version, createdAt, name, type, dataset, columnOverrides, charts, layout }
+ *              with the first 1000 raw rows inline in `dataset.rows`.
+ * v3:          same shape, rows stored in full as chunk documents (see DatasetStorage).
+ *              Also carries `sharing`, `memberEmails` and `editorEmails` (see DashboardSharing);
+ *              documents saved before sharing existed are private.
+ */
+
+export const DASHBOARD_SCHEMA_VERSION = 3;
+
+export const DEFAULT_EXPLORER_CONFIG = {
+    type: 'bar',
+    xAxis: '',
+    yAxis: '',
+    aggregation: 'mean',
+    groupBy: '',
+    stacked: false,
+    dateGranularity: 'month',
+    measures: [] // Extra Y measures: [{ key, aggregation, axis: 'left' | 'right' }]
+};
+
+export const DEFAULT_PIVOT_CONFIG = {
+    rows: [],
+    columns: [],
+    measures: [] // [{ key, aggregation }]
+};
+
+export const DEFAULT_SHARING = {
+    link: { enabled: false, role: 'viewer' }, // role: 'viewer' | 'editor'
+    invites: [] // [{ email, role }]
+};
+
+/**
+ * Builds the Firestore document for a dashboard.
+ * @param {Object} state - Current dashboard state
+ * @param {Array} state.rawData - Rows as uploaded (before processData)
+ * @param {String} state.datasetName - File or sheet name the rows came from
+ * @param {Array} state.columns - Column metadata from processData
+ * @param {Object} state.columnOverrides - { [key]: { type, label, format } }
+ * @param {Array} state.calculatedColumns - [{ name, formula }] (see FormulaEngine)
+ * @param {Object} state.explorerConfig - ManualExplorer config
+ * @param {Object} state.pivotConfig - PivotTable config
+ * @param {Object} state.filters - Dashboard filters (see FilterEngine)
+ * @param {Array} state.pinnedCharts - Charts on the dashboard canvas [{ id, source, title, note, config }]
+ * @param {Array} state.layout - Canvas grid positions [{ id, x, y, w, h }] (see CanvasLayout)
+ * @param {String} state.activeTab - Tab shown when the dashboard is reopened
+ * @param {Object} meta - { uid, name, type }
+ * @returns {Object} Firestore-safe document
+ */
+export const serializeDashboard = (state, meta) => {
+    const { rawData = [], datasetName = null, columns = [], columnOverrides = {}, calculatedColumns = [], explorerConfig, pivotConfig, filters = {}, pinnedCharts = [], layout = [], activeTab = 'columns' } = state;
+
+    return toFirestoreValue({
+        ...meta,
+        version: DASHBOARD_SCHEMA_VERSION,
+        createdAt: Date.now(),
+        dataset: {
+            storage: 'chunks',
+            status: 'uploading', // Set to 'complete' once every chunk is written
+            name: datasetName,
+            rowCount: rawData.length,
+            columns: columns.map(({ key, type, label }) => ({ key, type, label }))
+        },
+        columnOverrides,
+        calculatedColumns,
+        filters,
+        charts: {
+            explorer: { ...DEFAULT_EXPLORER_CONFIG, ...explorerConfig },
+            pivot: { ...DEFAULT_PIVOT_CONFIG, ...pivotConfig },
+            pinned: pinnedCharts
+        },
+        layout: {
+            activeTab,
+            items: layout
+        },
+        // New dashboards are private until the owner shares them
+        sharing: DEFAULT_SHARING,
+        memberEmails: [],
+        editorEmails: []
+    });
+};
+
+/**
+ * Normalises a stored dashboard document (any version) into restorable state.
+ * Rows of `chunks` datasets are not part of the document; load them with DatasetStorage.
+ * @param {Object} doc - Firestore document data, including its `id`
+ * @returns {Object} { id, uid, name, version, dataset, columnOverrides, calculatedColumns, explorerConfig, pivotConfig, filters, pinnedCharts, layout, activeTab, sharing }
+ */
+export const deserializeDashboard = (doc) => {
+    if (!doc) return null;
+
+    // v1: only processed rows were stored, dates come back as Firestore Timestamps
+    if (!doc.version || doc.version < 2) {
+        const rows = (doc.data || []).map(restoreTimestamps);
+
+        return {
+            id: doc.id,
+            uid: doc.uid,
+            name: doc.name || null,
+            version: 1,
+            dataset: { storage: 'inline', rowCount: rows.length, columns: [], rows },
+            columnOverrides: {},
+            calculatedColumns: [],
+            explorerConfig: { ...DEFAULT_EXPLORER_CONFIG },
+            pivotConfig: { ...DEFAULT_PIVOT_CONFIG },
+            filters: {},
+            pinnedCharts: [],
+            layout: [],
+            activeTab: 'columns',
+            sharing: DEFAULT_SHARING
+        };
+    }
+
+    const { dataset = {}, charts = {}, layout = {} } = doc;
+
+    return {
+        id: doc.id,
+        uid: doc.uid,
+        name: doc.name || null,
+        version: doc.version,
+        dataset: { storage: 'inline', ...dataset },
+        columnOverrides: doc.columnOverrides || {},
+        calculatedColumns: doc.calculatedColumns || [],
+        explorerConfig: { ...DEFAULT_EXPLORER_CONFIG, ...charts.explorer },
+        pivotConfig: { ...DEFAULT_PIVOT_CONFIG, ...charts.pivot },
+        filters: doc.filters || {},
+        pinnedCharts: charts.pinned || [],
+        layout: layout.items || [],
+        activeTab: layout.activeTab || 'columns',
+        sharing: doc.sharing || DEFAULT_SHARING
+    };
+};
+
+/**
+ * Converts Firestore Timestamps in a stored row back to Date objects.
+ * @param {Object} row
+ * @returns {Object} New row
+ */
+export const restoreTimestamps = (row) => {
+    const restored = {};
+    Object.entries(row).forEach(([key, val]) => {
+        restored[key] = val && typeof val.toDate === 'function' ? val.toDate() : val;
+    });
+    return restored;
+};
+
+// Firestore rejects `undefined` fields, which optional config keys often are.
+const toFirestoreValue = (value) => {
+    if (value === undefined) return null;
+    if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+    if (Array.isArray(value)) return value.map(toFirestoreValue);
+
+    const result = {};
+    Object.entries(value).forEach(([key, val]) => {
+        if (val !== undefined) result[key] = toFirestoreValue(val);
+    });
+    return result;
+};
@@ -0,0 +1,181 @@
+import { db } from "../firebase";
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+import { serializeDashboard, DEFAULT_SHARING } from "./DashboardSerializer";
+
+/**
+ * Sharing of saved dashboards (see ShareDialog and firestore.rules).
+ *
+ * The dashboard document carries:
+ *   sharing:      { link: { enabled, role }, invites: [{ email, role }] }
+ *   memberEmails: every invited email       (rules + "Shared with me" array-contains query)
+ *   editorEmails: invited emails with 'editor'
+ * The email arrays are derived from `sharing.invites` and always written together
+ * with it. Roles: 'owner' (uid matches), 'editor' (may save changes to charts,
+ * filters and layout) and 'viewer' (read-only). A link is the dashboard URL with
+ * ?dashboard=<id>; anyone signed in who has it gets the link role while it is enabled.
+ */
+
+export const SHARE_ROLES = [
+    { value: 'viewer', label: 'Can view' },
+    { value: 'editor', label: 'Can edit' }
+];
+
+// Top-level fields an editor may change (mirrors editorChangesOnly() in firestore.rules)
+export const EDITABLE_FIELDS = ['columnOverrides', 'calculatedColumns', 'filters', 'charts', 'layout', 'updatedAt', 'updatedBy'];
+
+// Fields no save overwrites: creation info, the stored rows and the sharing state
+const STORED_FIELDS = ['version', 'createdAt', 'dataset', 'sharing', 'memberEmails', 'editorEmails'];
+
+const SHARE_PARAM = 'dashboard';
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Lower-cased, trimmed email (Firebase Auth tokens carry lower-case emails).
+ * @param {String} email
+ * @returns {String}
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * @param {String} email
+ * @returns {Boolean}
+ */
+export const isValidEmail = (email) => EMAIL.test(normalizeEmail(email));
+
+/**
+ * The current user's role on a dashboard document.
+ * @param {Object} docData - Dashboard document data
+ * @param {Object} user - Firebase user
+ * @returns {String|null} 'owner' | 'editor' | 'viewer' | null
+ */
+export const getAccessRole = (docData, user) => {
+    if (!docData || !user) return null;
+    if (docData.uid === user.uid) return 'owner';
+
+    const sharing = normalizeSharing(docData.sharing);
+    const email = normalizeEmail(user.email);
+    const invite = email && user.emailVerified ? sharing.invites.find(i => i.email === email) : null;
+    const roles = [invite?.role, sharing.link.enabled ? sharing.link.role : null];
+
+    if (roles.includes('editor')) return 'editor';
+    if (roles.includes('viewer')) return 'viewer';
+    return null;
+};
+
+/**
+ * Fills in missing sharing fields (dashboards saved before sharing existed).
+ * @param {Object} sharing
+ * @returns {Object} { link: { enabled, role }, invites }
+ */
+export const normalizeSharing = (sharing) => ({
+    link: { ...DEFAULT_SHARING.link, ...sharing?.link },
+    invites: sharing?.invites || []
+});
+
+/**
+ * Adds an invitation, or changes the role of an existing one.
+ * @param {Object} sharing
+ * @param {String} email
+ * @param {String} role - 'viewer' | 'editor'
+ * @returns {Object} New sharing object
+ */
+export const withInvite = (sharing, email, role) => {
+    const current = normalizeSharing(sharing);
+    const clean = normalizeEmail(email);
+    const exists = current.invites.some(i => i.email === clean);
+    const invites = exists
+        ? current.invites.map(i => (i.email === clean ? { ...i, role } : i))
+        : [...current.invites, { email: clean, role }];
+    return { ...current, invites };
+};
+
+/**
+ * @param {Object} sharing
+ * @param {String} email
+ * @returns {Object} New sharing object without that invitation
+ */
+export const withoutInvite = (sharing, email) => {
+    const current = normalizeSharing(sharing);
+    return { ...current, invites: current.invites.filter(i => i.email !== normalizeEmail(email)) };
+};
+
+/**
+ * The document fields that store a sharing state (sharing plus the derived email arrays).
+ * @param {Object} sharing
+ * @returns {Object} { sharing, memberEmails, editorEmails }
+ */
+export const sharingFields = (sharing) => {
+    const clean = normalizeSharing(sharing);
+    return {
+        sharing: clean,
+        memberEmails: clean.invites.map(i => i.email),
+        editorEmails: clean.invites.filter(i => i.role === 'editor').map(i => i.email)
+    };
+};
+
+/**
+ * Writes a dashboard's sharing state (owner only, see firestore.rules).
+ * @param {String} dashboardId
+ * @param {Object} sharing
+ */
+export const updateSharing = (dashboardId, sharing) => updateDoc(doc(db, "dashboards", dashboardId), sharingFields(sharing));
+
+/**
+ * Saves changes to a stored dashboard in place. Owners update everything but the stored
+ * rows and sharing (the dataset's column metadata included); editors only EDITABLE_FIELDS.
+ * @param {String} dashboardId
+ * @param {Object} state - Same shape as serializeDashboard's state
+ * @param {Object} user - Firebase user making the change
+ * @param {String} role - 'owner' | 'editor' (see getAccessRole)
+ */
+export const saveDashboardChanges = (dashboardId, state, user, role) => {
+    const serialized = serializeDashboard(state, {});
+    const isOwner = role === 'owner';
+    const changes = { updatedAt: Date.now(), updatedBy: user?.email || user?.uid || null };
+    Object.keys(serialized).forEach(field => {
+        if (isOwner ? !STORED_FIELDS.includes(field) : EDITABLE_FIELDS.includes(field)) {
+            changes[field] = serialized[field];
+        }
+    });
+    if (isOwner) changes["dataset.columns"] = serialized.dataset.columns;
+    return updateDoc(doc(db, "dashboards", dashboardId), changes);
+};
+
+/**
+ * Reads a dashboard shared through a link or an invitation.
+ * @param {String} dashboardId
+ * @returns {Promise<Object|null>} Document data with its id, null when it does not exist
+ *          (Firestore rejects with permission-denied when the user has no access)
+ */
+export const loadSharedDashboard = async (dashboardId) => {
+    const snap = await getDoc(doc(db, "dashboards", dashboardId));
+    return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+};
+
+/**
+ * Share link for a dashboard.
+ * @param {String} dashboardId
+ * @returns {String} Current app URL with ?dashboard=<id>
+ */
+export const shareLink = (dashboardId) => {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(SHARE_PARAM, dashboardId);
+    return url.toString();
+};
+
+/**
+ * Dashboard id from the current URL, if it is a share link.
+ * @returns {String|null}
+ */
+export const getSharedDashboardId = () => new URLSearchParams(window.location.search).get(SHARE_PARAM);
+
+/**
+ * Leaves the shared view by dropping ?dashboard from the URL.
+ */
+export const clearSharedDashboardId = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_PARAM);
+    window.history.replaceState(null, '', url.toString());
+};
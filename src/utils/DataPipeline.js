@@ -0,0 +1,114 @@
+/**
+ * Main-thread client for the data pipeline worker.
+ *
+ * Every job gets its own worker so that cancelling (terminating the worker)
+ * never affects another upload.
+ */
+
+/**
+ * Runs a job in a fresh worker.
+ * @param {String} job - Key of the worker's job table (see dataPipeline.worker)
+ * @param {Object} payload - Structured-clonable job input
+ * @param {Object} options - { onProgress({ phase, progress }) }
+ * @returns {Object} { promise, cancel } - promise rejects with an AbortError on cancel
+ */
+export const runInWorker = (job, payload, { onProgress } = {}) => {
+    const worker = new Worker(new URL('../workers/dataPipeline.worker.js', import.meta.url), { type: 'module' });
+    let rejectJob;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                if (onProgress) onProgress(data);
+                return;
+            }
+
+            worker.terminate();
+            if (data.type === 'result') resolve(data.result);
+            else reject(new Error(data.message));
+        };
+
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || "Data pipeline worker failed"));
+        };
+
+        worker.postMessage({ job, payload });
+    });
+
+    const cancel = () => {
+        worker.terminate();
+        const err = new Error("Cancelled");
+        err.name = 'AbortError';
+        rejectJob(err);
+    };
+
+    return { promise, cancel };
+};
+
+/**
+ * Parses an Excel (first sheet), JSON, NDJSON or Parquet file into raw rows.
+ * @param {File} file
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<Array>, cancel }
+ */
+export const parseFile = (file, options) => runInWorker('parse', { file }, options);
+
+/**
+ * Reads the first lines of a CSV/TSV file or pasted text as raw arrays.
+ * @param {File|String} input
+ * @param {Object} settings - { delimiter ('' = auto), encoding }
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<{ matrix, delimiter }>, cancel }
+ */
+export const previewDelimited = (input, settings, options) => runInWorker('preview-delimited', { input, ...settings }, options);
+
+/**
+ * Parses a whole CSV/TSV file or pasted text, applying import cleaning while streaming.
+ * @param {File|String} input
+ * @param {Object} settings - { delimiter, encoding, cleaning } (see ImportCleaner)
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<Array>, cancel }
+ */
+export const parseDelimited = (input, settings, options) => runInWorker('parse-delimited', { input, ...settings }, options);
+
+/**
+ * Applies import cleaning to rows produced by another parser.
+ * @param {Array} records
+ * @param {Object} cleaning - See ImportCleaner
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<Array>, cancel }
+ */
+export const cleanRecords = (records, cleaning, options) => runInWorker('clean', { records, cleaning }, options);
+
+/**
+ * Lists the sheets of an Excel workbook with a preview of their first rows.
+ * @param {File} file
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<{ sheets: [{ name, rowCount, colCount, preview }] }>, cancel }
+ */
+export const inspectWorkbook = (file, options) => runInWorker('inspect-workbook', { file }, options);
+
+/**
+ * Extracts selected workbook sheets, either as separate datasets or stacked into one.
+ * @param {File} file
+ * @param {Array} sheets - [{ name, headerRow, range }]
+ * @param {String} mode - 'separate' | 'stack'
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<[{ name, rows }]>, cancel }
+ */
+export const parseSheets = (file, sheets, mode, options) => runInWorker('parse-sheets', { file, sheets, mode }, options);
+
+/**
+ * Adds calculated columns, then runs type inference, cleaning, statistics and recommendations.
+ * @param {Array} rows - Raw rows
+ * @param {Object} overrides - Column schema overrides (see processData)
+ * @param {Array} calculated - Calculated column definitions [{ name, formula }] (see FormulaEngine)
+ * @param {Object} options - { onProgress }
+ * @returns {Object} { promise<{ analysis, recommendations }>, cancel }
+ */
+export const profileData = (rows, overrides, calculated, options) => runInWorker('process', { rows, overrides, calculated }, options);
+
+export const isCancelled = (err) => err?.name === 'AbortError';
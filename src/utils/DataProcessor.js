@@ -1,35 +1,57 @@
-import { format } from 'date-fns';
+import {
+    parse as parseDate, parseISO,
+    startOfDay, startOfISOWeek, startOfMonth, startOfQuarter, startOfYear,
+    addDays, addWeeks, addMonths, addQuarters, addYears
+} from 'date-fns';
+import { createStatsAccumulator } from './StreamingStats';
+import { stratifiedSample, inferColumnType, normalizeBoolean } from './TypeInference';
 
 /**
  * Main function to process raw data.
  * @param {Array} rawData - Array of objects from CSV/Excel
- * @returns {Object} { cleanData, columns, stats }
+ * @param {Object} options
+ * @param {Object} options.overrides - User schema overrides { [key]: { type, label, format } }
+ * @param {Function} options.onProgress - (fraction) for long-running runs (see dataPipeline.worker)
+ * @returns {Object} { data, columns, rowCount } - each column carries its inferred type,
+ *                   subtype, format and confidence (see TypeInference), its stats and
+ *                   parseErrors { count, examples } for non-empty values that became null
  */
-export const processData = (rawData) => {
+export const processData = (rawData, options = {}) => {
     if (!rawData || rawData.length === 0) return null;
+    const { overrides = {}, onProgress } = options;
 
     // 1. Get raw headers
     const rawKeys = Object.keys(rawData[0]);
     const rowCount = rawData.length;
 
-    // 2. Initial Column Analysis (Type Inference)
-    const columnMetadata = rawKeys.map(key => analyzeColumnType(rawData, key));
+    // 2. Initial Column Analysis (Type Inference over a sample of the whole file), then user overrides on top
+    const columnMetadata = inferColumns(rawData, rawKeys, overrides);
 
-    // 3. Clean Data based on inferred types
-    const cleanData = rawData.map(row => {
+    // 3. Clean Data based on inferred types, remembering values that could not be parsed.
+    // Statistics accumulate in the same pass (see StreamingStats).
+    const parseErrors = columnMetadata.map(() => ({ count: 0, examples: [] }));
+    const accumulators = columnMetadata.map(meta => createStatsAccumulator(meta.type));
+    const cleanData = rawData.map((row, i) => {
         const newRow = {};
-        columnMetadata.forEach(meta => {
-            newRow[meta.key] = parseValue(row[meta.key], meta.type);
+        columnMetadata.forEach((meta, c) => {
+            const raw = row[meta.key];
+            const val = parseValue(raw, meta);
+            if (val === null && raw !== null && raw !== undefined && raw !== '') {
+                const errors = parseErrors[c];
+                errors.count++;
+                const example = String(raw);
+                if (errors.examples.length < MAX_PARSE_EXAMPLES && !errors.examples.includes(example)) errors.examples.push(example);
+            }
+            newRow[meta.key] = val;
+            accumulators[c].push(val);
         });
+        if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress(i / rowCount);
         return newRow;
     });
 
-    // 4. Generate Statistics
-    const columns = columnMetadata.map(meta => {
-        const values = cleanData.map(row => row[meta.key]);
-        const stats = calculateStats(values, meta.type);
-        return { ...meta, stats };
-    });
+    // 4. Collect Statistics
+    const columns = columnMetadata.map((meta, i) => ({ ...meta, stats: accumulators[i].result(), parseErrors: parseErrors[i] }));
+    if (onProgress) onProgress(1);
 
     return {
         data: cleanData, // Uses the cleaned values
@@ -38,132 +60,216 @@ export const processData = (rawData) => {
     };
 };
 
-// --- Helpers ---
+/**
+ * Date columns of raw rows and the format processData will parse them with, so
+ * calculated columns can read dates before processData runs (see FormulaEngine).
+ * @param {Array} rawData - Rows as uploaded
+ * @param {Object} overrides - User schema overrides { [key]: { type, label, format } }
+ * @returns {Object} { [key]: format } for every column typed as date
+ */
+export const detectDateFormats = (rawData, overrides = {}) => {
+    if (!rawData || rawData.length === 0) return {};
+    const formats = {};
+    inferColumns(rawData, Object.keys(rawData[0]), overrides)
+        .filter(meta => meta.type === 'date')
+        .forEach(meta => { formats[meta.key] = meta.format || ''; });
+    return formats;
+};
+
+/**
+ * Recomputes column statistics for already-processed rows (e.g. a filtered subset).
+ * @param {Array} data - Processed rows
+ * @param {Array} columns - Column metadata from processData
+ * @returns {Object} { data, columns, rowCount } in the same shape as processData
+ */
+export const summarizeData = (data, columns) => ({
+    data,
+    columns: columns.map(col => ({ ...col, stats: calculateStats(data.map(row => row[col.key]), col.type) })),
+    rowCount: data.length
+});
 
-const analyzeColumnType = (data, key) => {
-    let numericCount = 0;
-    let dateCount = 0;
-    let validCount = 0;
-    const uniqueValues = new Set();
-    const sampleSize = Math.min(data.length, 500); // Analyze first 500 rows for speed
-
-    for (let i = 0; i < sampleSize; i++) {
-        const val = data[i][key];
-        if (val === null || val === undefined || val === '') continue;
-        validCount++;
-        uniqueValues.add(val);
-
-        if (isNumeric(val)) numericCount++;
-        if (isDate(val)) dateCount++;
+/**
+ * Parses one raw date value the way processData does.
+ * Date-only ISO strings ("2024-03-01") are local midnight, like every other parsed date,
+ * so they land in the right period when bucketed by local calendar (new Date() reads them as UTC).
+ * @param {*} val - Raw value
+ * @param {String} format - Detected or user format: '' (automatic), 'epoch-s', 'epoch-ms' or a date-fns pattern
+ * @returns {Date|null}
+ */
+export const parseDateValue = (val, format = '') => {
+    if (val === null || val === undefined || val === '') return null;
+
+    let date;
+    if (val instanceof Date) {
+        date = val;
+    } else if (format === 'epoch-s' || format === 'epoch-ms') {
+        const num = Number(val);
+        date = new Date(format === 'epoch-s' ? num * 1000 : num);
+    } else if (format && typeof val === 'string') {
+        // Explicit date-fns pattern, detected (e.g. "d/M/yyyy") or supplied by the user
+        date = parseDate(val.trim(), format, new Date());
+    } else if (typeof val === 'string' && DATE_ONLY.test(val.trim())) {
+        date = parseISO(val.trim());
+    } else {
+        date = new Date(val);
     }
+    return isNaN(date.getTime()) ? null : date;
+};
 
-    if (validCount === 0) return { key, type: 'text', label: formatLabel(key) };
+export const COLUMN_TYPES = ['number', 'date', 'category', 'text'];
 
-    const numericRatio = numericCount / validCount;
-    const dateRatio = dateCount / validCount;
-    const uniqueRatio = uniqueValues.size / validCount;
+// Parse formats offered per type in the schema panel ('' = automatic)
+export const NUMBER_FORMATS = [
+    { value: '', label: 'Auto (1,234.56)' },
+    { value: 'decimal-comma', label: 'Decimal comma (1.234,56)' }
+];
 
-    let type = 'text';
+// --- Helpers ---
 
-    // Heuristics
-    if (numericRatio > 0.8) {
-        type = 'number';
-    } else if (dateRatio > 0.8) {
-        type = 'date';
-    } else if (uniqueValues.size <= 20 || (uniqueRatio < 0.2 && uniqueValues.size < 50)) {
-        // Low cardinality = categorical
-        type = 'category';
-    }
+const PROGRESS_INTERVAL = 10000; // Rows between progress callbacks
+const MAX_PARSE_EXAMPLES = 5;     // Distinct unparseable values kept per column
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
 
-    return { key, type, label: formatLabel(key) };
+const inferColumns = (rawData, keys, overrides) => {
+    const sample = stratifiedSample(rawData);
+    return keys.map(key => applyOverride(
+        { ...inferColumnType(sample, key), label: formatLabel(key) },
+        overrides[key]
+    ));
 };
 
-const isNumeric = (val) => {
-    if (typeof val === 'number') return true;
-    if (typeof val !== 'string') return false;
-    // Remove comma, currency, %, spaces
-    const clean = val.replace(/[^0-9.-]/g, '');
-    return !isNaN(parseFloat(clean)) && clean.length > 0;
-};
+// Keeps the inferred type and format around so the schema panel can show what was overridden
+const applyOverride = (meta, override) => {
+    const inferred = { ...meta, inferredType: meta.type, inferredFormat: meta.format };
+    if (!override) return inferred;
 
-const isDate = (val) => {
-    if (val instanceof Date) return true;
-    if (typeof val !== 'string') return false;
-    // Simple check: must have at least one delimiter and parseable
-    const hasDelimiter = /[-/.]/.test(val);
-    if (!hasDelimiter) return false;
-    const timestamp = Date.parse(val);
-    return !isNaN(timestamp);
+    const type = COLUMN_TYPES.includes(override.type) ? override.type : meta.type;
+    const sameType = type === meta.type;
+    return {
+        ...inferred,
+        type,
+        subtype: sameType ? meta.subtype : null,
+        label: override.label || meta.label,
+        format: override.format || (sameType ? meta.format : ''),
+        overridden: true
+    };
 };
 
-const parseValue = (val, type) => {
+const parseValue = (val, { type, subtype, format = '' }) => {
     if (val === null || val === undefined || val === '') return null;
 
     if (type === 'number') {
         if (typeof val === 'number') return val;
-        // Clean string numbers
-        const clean = val.toString().replace(/,/g, '').replace(/[^0-9.-]/g, '');
-        const num = parseFloat(clean);
+        if (format !== 'decimal-comma' && /^\s*[-+]?[\d.]+e[-+]?\d+\s*$/i.test(val)) return Number(val); // Scientific notation
+        // Clean string numbers ("1.234,56" -> "1234.56" for decimal-comma)
+        const str = format === 'decimal-comma'
+            ? val.toString().replace(/\./g, '').replace(/,/g, '.')
+            : val.toString().replace(/,/g, '');
+        const num = parseFloat(str.replace(/[^0-9.-]/g, ''));
         return isNaN(num) ? null : num;
     }
 
-    if (type === 'date') {
-        const date = new Date(val);
-        return isNaN(date.getTime()) ? null : date; // Returns Date object or null
-    }
+    if (type === 'date') return parseDateValue(val, format); // Date object or null
+
+    if (subtype === 'boolean') return normalizeBoolean(val);
+    if (type === 'category' || type === 'text') return String(val);
 
-    return val; // Text/Category return as-is
+    return val;
 };
 
+// One pass through a streaming accumulator (see StreamingStats), safe for millions of values
 const calculateStats = (values, type) => {
-    const validValues = values.filter(v => v !== null && v !== undefined);
-    const nullCount = values.length - validValues.length;
-
-    if (validValues.length === 0) return { nullCount };
+    const acc = createStatsAccumulator(type);
+    values.forEach(acc.push);
+    return acc.result();
+};
 
-    if (type === 'number') {
-        const min = Math.min(...validValues);
-        const max = Math.max(...validValues);
-        const sum = validValues.reduce((a, b) => a + b, 0);
-        const mean = sum / validValues.length;
+/**
+ * Pearson correlation of two value arrays. Pairs where either value is not a
+ * number are skipped (pairwise deletion), so nullable columns can be compared.
+ * @param {Array} xValues
+ * @param {Array} yValues
+ * @returns {Number} r in [-1, 1], 0 when undefined
+ */
+export const calculateCorrelation = (xValues, yValues) => {
+    if (xValues.length !== yValues.length) return 0;
+    const [xs, ys] = completePairs(xValues, yValues);
+    return pearson(xs, ys);
+};
 
-        // Median
-        const sorted = [...validValues].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        const median = sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+/**
+ * Spearman rank correlation (Pearson on average ranks, so ties are handled).
+ * Uses the same pairwise deletion as calculateCorrelation.
+ * @param {Array} xValues
+ * @param {Array} yValues
+ * @returns {Number} rho in [-1, 1], 0 when undefined
+ */
+export const calculateSpearman = (xValues, yValues) => {
+    if (xValues.length !== yValues.length) return 0;
+    const [xs, ys] = completePairs(xValues, yValues);
+    return pearson(rankValues(xs), rankValues(ys));
+};
 
-        // Variance & Standard Deviation
-        const variance = validValues.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / validValues.length;
-        const stdDev = Math.sqrt(variance);
+export const CORRELATION_METHODS = [
+    { value: 'pearson', label: 'Pearson' },
+    { value: 'spearman', label: 'Spearman' }
+];
 
-        return { min, max, mean, median, sum, stdDev, variance, nullCount };
+/**
+ * Correlation matrix over numeric columns.
+ * @param {Array} data - Processed rows
+ * @param {Array} columns - Column metadata (non-numeric columns are ignored)
+ * @param {String} method - 'pearson' or 'spearman'
+ * @returns {Object} { columns, matrix } where matrix[i][j] = { r, n } (n = complete pairs)
+ */
+export const correlationMatrix = (data, columns, method = 'pearson') => {
+    const numericCols = columns.filter(c => c.type === 'number');
+    const values = numericCols.map(col => data.map(row => row[col.key]));
+    const complete = values.map(vals => vals.every(isNumber));
+
+    // Columns without nulls share one ranking across every pair
+    const ranks = method === 'spearman'
+        ? values.map((vals, i) => complete[i] ? rankValues(vals) : null)
+        : [];
+
+    const matrix = numericCols.map(() => Array(numericCols.length).fill(null));
+    for (let i = 0; i < numericCols.length; i++) {
+        for (let j = i; j < numericCols.length; j++) {
+            let cell;
+            if (complete[i] && complete[j]) {
+                const r = method === 'spearman' ? pearson(ranks[i], ranks[j]) : pearson(values[i], values[j]);
+                cell = { r, n: data.length };
+            } else {
+                const [xs, ys] = completePairs(values[i], values[j]);
+                const r = method === 'spearman' ? pearson(rankValues(xs), rankValues(ys)) : pearson(xs, ys);
+                cell = { r, n: xs.length };
+            }
+            if (i === j && cell.n > 1) cell.r = 1;
+            matrix[i][j] = cell;
+            matrix[j][i] = cell;
+        }
     }
 
-    if (type === 'category' || type === 'text') {
-        const counts = {};
-        validValues.forEach(v => counts[v] = (counts[v] || 0) + 1);
-
-        // Top 10 frequent (Need more for analysis)
-        const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-        const top = sorted.slice(0, 10).map(([val, count]) => ({ val, count }));
-        const uniqueCount = sorted.length;
+    return { columns: numericCols, matrix };
+};
 
-        return { uniqueCount, top, nullCount };
-    }
+const isNumber = (v) => typeof v === 'number' && !isNaN(v);
 
-    if (type === 'date') {
-        const timestamps = validValues.map(d => d.getTime());
-        const min = new Date(Math.min(...timestamps));
-        const max = new Date(Math.max(...timestamps));
-        return { min, max, nullCount };
+const completePairs = (xValues, yValues) => {
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i < xValues.length; i++) {
+        if (isNumber(xValues[i]) && isNumber(yValues[i])) {
+            xs.push(xValues[i]);
+            ys.push(yValues[i]);
+        }
     }
-
-    return { nullCount };
+    return [xs, ys];
 };
 
-export const calculateCorrelation = (xValues, yValues) => {
+const pearson = (xValues, yValues) => {
     const n = xValues.length;
-    if (n !== yValues.length || n === 0) return 0;
+    if (n === 0) return 0;
 
     const xMean = xValues.reduce((a, b) => a + b, 0) / n;
     const yMean = yValues.reduce((a, b) => a + b, 0) / n;
@@ -186,16 +292,53 @@ export const calculateCorrelation = (xValues, yValues) => {
     return numerator / denominator;
 };
 
+// 1-based ranks, ties get the average of the ranks they span
+const rankValues = (values) => {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+        const avg = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k]] = avg;
+        i = j + 1;
+    }
+    return ranks;
+};
+
+// Aggregation methods accepted by aggregateData / aggregateMeasures / aggregateTimeSeries
+export const AGGREGATION_METHODS = [
+    { value: 'mean', label: 'Average' },
+    { value: 'sum', label: 'Total Sum' },
+    { value: 'count', label: 'Count' },
+    { value: 'distinct', label: 'Distinct Count' },
+    { value: 'median', label: 'Median' },
+    { value: 'min', label: 'Minimum' },
+    { value: 'max', label: 'Maximum' },
+    { value: 'stddev', label: 'Std. Deviation' },
+    { value: 'p25', label: '25th Percentile' },
+    { value: 'p75', label: '75th Percentile' },
+    { value: 'p90', label: '90th Percentile' },
+    { value: 'p99', label: '99th Percentile' },
+    { value: 'mode', label: 'Mode' }
+];
+
 /**
- * Aggregates data by a grouping column.
+ * Aggregates data by a grouping column, optionally split by a second (series) column.
  * @param {Array} data - Raw data array
  * @param {String} groupByCol - Column to group by (X-Axis)
  * @param {String} metricCol - Column to calculate (Y-Axis)
- * @param {String} method - 'mean', 'sum', 'count', 'median'
+ * @param {String} method - One of AGGREGATION_METHODS, e.g. 'mean', 'sum', 'p90'
  * @param {Number} limit - Optional limit for top items
- * @returns {Array} Aggregated data sorted by value descending
+ * @param {String} seriesCol - Optional second key; returns one row per (group, series) pair
+ * @returns {Array} Aggregated data sorted by value descending. With seriesCol, groups are
+ *                  ordered (and limited) by their total across series, and each row is
+ *                  { [groupByCol], [seriesCol], [metricCol] }
  */
-export const aggregateData = (data, groupByCol, metricCol, method = 'mean', limit = null) => {
+export const aggregateData = (data, groupByCol, metricCol, method = 'mean', limit = null, seriesCol = null) => {
+    if (seriesCol) return aggregateBySeries(data, groupByCol, metricCol, method, limit, seriesCol);
+
     const groups = {};
 
     data.forEach(row => {
@@ -209,20 +352,7 @@ export const aggregateData = (data, groupByCol, metricCol, method = 'mean', limi
     });
 
     const result = Object.entries(groups).map(([key, values]) => {
-        let value = 0;
-        if (method === 'count') {
-            value = values.length;
-        } else if (method === 'sum') {
-            value = values.reduce((a, b) => a + b, 0);
-        } else if (method === 'mean') {
-            value = values.reduce((a, b) => a + b, 0) / values.length;
-        } else if (method === 'median') {
-            const sorted = values.sort((a, b) => a - b);
-            const mid = Math.floor(sorted.length / 2);
-            value = sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-        }
-
-        return { [groupByCol]: key, [metricCol]: value };
+        return { [groupByCol]: key, [metricCol]: aggregateValues(values, method) };
     });
 
     // Sort by value desc
@@ -236,6 +366,288 @@ export const aggregateData = (data, groupByCol, metricCol, method = 'mean', limi
     return result;
 };
 
+/**
+ * Field name of an aggregated measure, e.g. "sum(Sales)". Lets the same column
+ * appear twice with different aggregations.
+ * @param {Object} measure - { key, aggregation }
+ * @returns {String}
+ */
+export const measureKey = (measure) => `${measure.aggregation}(${measure.key})`;
+
+/**
+ * Aggregates several measures, each with its own method, by one grouping column.
+ * @param {Array} data - Raw data array
+ * @param {String} groupByCol - Column to group by (X-Axis)
+ * @param {Array} measures - [{ key, aggregation }]
+ * @param {Number} limit - Optional limit for top items (ranked by the first measure)
+ * @returns {Array} Rows { [groupByCol], [measureKey(m)]: value } sorted by the first measure descending
+ */
+export const aggregateMeasures = (data, groupByCol, measures, limit = null) => {
+    const groups = new Map(); // group -> one values array per measure
+
+    data.forEach(row => {
+        const key = row[groupByCol];
+        if (key === undefined || key === null) return;
+
+        if (!groups.has(key)) groups.set(key, measures.map(() => []));
+        const buckets = groups.get(key);
+        measures.forEach((m, i) => {
+            const val = row[m.key];
+            if (val !== undefined && val !== null) buckets[i].push(Number(val));
+        });
+    });
+
+    const result = [...groups.entries()].map(([key, buckets]) => {
+        const out = { [groupByCol]: key };
+        measures.forEach((m, i) => {
+            out[measureKey(m)] = buckets[i].length ? aggregateValues(buckets[i], m.aggregation) : null;
+        });
+        return out;
+    });
+
+    const first = measureKey(measures[0]);
+    result.sort((a, b) => (b[first] ?? -Infinity) - (a[first] ?? -Infinity));
+
+    if (limit && limit > 0 && result.length > limit) return result.slice(0, limit);
+    return result;
+};
+
+const PERCENTILES = { median: 0.5, p25: 0.25, p75: 0.75, p90: 0.9, p99: 0.99 };
+
+/**
+ * Reduces a list of values with one of AGGREGATION_METHODS.
+ * @param {Array} values - Non-empty values (numbers, except for 'count' / 'distinct')
+ * @param {String} method
+ * @returns {Number}
+ */
+export const aggregateValues = (values, method) => {
+    let value = 0;
+    if (method === 'count') {
+        value = values.length;
+    } else if (method === 'distinct') {
+        value = new Set(values).size;
+    } else if (method === 'sum') {
+        value = values.reduce((a, b) => a + b, 0);
+    } else if (method === 'mean') {
+        value = values.reduce((a, b) => a + b, 0) / values.length;
+    } else if (method === 'min') {
+        value = values.reduce((a, b) => Math.min(a, b), Infinity);
+    } else if (method === 'max') {
+        value = values.reduce((a, b) => Math.max(a, b), -Infinity);
+    } else if (method === 'stddev') {
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        value = Math.sqrt(values.reduce((acc, v) => acc + Math.pow(v - mean, 2), 0) / values.length);
+    } else if (method in PERCENTILES) {
+        value = quantile([...values].sort((a, b) => a - b), PERCENTILES[method]);
+    } else if (method === 'mode') {
+        value = modeOf(values);
+    }
+    return value;
+};
+
+// Most frequent value; ties go to the smallest
+const modeOf = (values) => {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, v) => {
+        if (count > bestCount || (count === bestCount && v < best)) {
+            best = v;
+            bestCount = count;
+        }
+    });
+    return best;
+};
+
+const aggregateBySeries = (data, groupByCol, metricCol, method, limit, seriesCol) => {
+    const groups = new Map(); // group -> Map(series -> values)
+
+    data.forEach(row => {
+        const key = row[groupByCol];
+        const series = row[seriesCol];
+        const val = row[metricCol];
+
+        if (key === undefined || key === null || val === undefined || val === null) return;
+        if (series === undefined || series === null) return;
+
+        const groupKey = String(key);
+        const seriesKey = String(series);
+        if (!groups.has(groupKey)) groups.set(groupKey, new Map());
+        const bySeries = groups.get(groupKey);
+        if (!bySeries.has(seriesKey)) bySeries.set(seriesKey, []);
+        bySeries.get(seriesKey).push(Number(val));
+    });
+
+    let ordered = [...groups.entries()].map(([key, bySeries]) => {
+        const cells = [...bySeries.entries()].map(([series, values]) => ({ series, value: aggregateValues(values, method) }));
+        return { key, cells, total: cells.reduce((a, c) => a + c.value, 0) };
+    });
+
+    ordered.sort((a, b) => b.total - a.total);
+    if (limit && limit > 0 && ordered.length > limit) ordered = ordered.slice(0, limit);
+
+    return ordered.flatMap(({ key, cells }) => cells.map(({ series, value }) => ({
+        [groupByCol]: key,
+        [seriesCol]: series,
+        [metricCol]: value
+    })));
+};
+
+// Period sizes offered for date axes
+export const DATE_GRANULARITIES = [
+    { value: 'day', label: 'Day' },
+    { value: 'week', label: 'Week' },
+    { value: 'month', label: 'Month' },
+    { value: 'quarter', label: 'Quarter' },
+    { value: 'year', label: 'Year' }
+];
+
+const PERIODS = {
+    day: { start: startOfDay, next: (d) => addDays(d, 1) },
+    week: { start: startOfISOWeek, next: (d) => addWeeks(d, 1) },
+    month: { start: startOfMonth, next: (d) => addMonths(d, 1) },
+    quarter: { start: startOfQuarter, next: (d) => addQuarters(d, 1) },
+    year: { start: startOfYear, next: (d) => addYears(d, 1) }
+};
+
+const MAX_PERIODS = 5000; // Beyond this, empty periods are not filled in
+
+/**
+ * Aggregates measures per date period (e.g. monthly sum of Sales), in chronological order.
+ * Every period between the first and last date is returned; empty periods are 0 for
+ * sum/count measures and null (a gap) otherwise.
+ * @param {Array} data - Processed rows (dates as Date objects)
+ * @param {String} dateCol - Date column (X-Axis)
+ * @param {Array} measures - [{ key, aggregation, field }]; field names the output property
+ * @param {String} granularity - 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {String} seriesCol - Optional series column; one row per (period, series) pair
+ * @returns {Array} Rows { [dateCol]: Date (period start), [seriesCol]?, [field]: value }
+ */
+export const aggregateTimeSeries = (data, dateCol, measures, granularity = 'month', seriesCol = null) => {
+    const period = PERIODS[granularity] || PERIODS.month;
+    const cells = new Map(); // "time|series" -> one values array per measure
+    const seriesKeys = new Set();
+    let first = Infinity;
+    let last = -Infinity;
+
+    data.forEach(row => {
+        const date = row[dateCol];
+        if (!(date instanceof Date) || isNaN(date.getTime())) return;
+
+        let series = '';
+        if (seriesCol) {
+            if (row[seriesCol] === null || row[seriesCol] === undefined) return;
+            series = String(row[seriesCol]);
+            seriesKeys.add(series);
+        }
+
+        const time = period.start(date).getTime();
+        first = Math.min(first, time);
+        last = Math.max(last, time);
+
+        const cellKey = `${time}|${series}`;
+        if (!cells.has(cellKey)) cells.set(cellKey, measures.map(() => []));
+        const buckets = cells.get(cellKey);
+        measures.forEach((m, i) => {
+            const val = row[m.key];
+            if (val !== undefined && val !== null) buckets[i].push(Number(val));
+        });
+    });
+
+    if (first === Infinity) return [];
+
+    // Period starts, gaps included unless the range is too long
+    let times = [];
+    for (let d = new Date(first); d.getTime() <= last && times.length <= MAX_PERIODS; d = period.next(d)) {
+        times.push(d.getTime());
+    }
+    if (times.length > MAX_PERIODS) {
+        times = [...new Set([...cells.keys()].map(k => Number(k.split('|')[0])))].sort((a, b) => a - b);
+    }
+
+    const seriesList = seriesCol ? [...seriesKeys] : [''];
+    const rows = [];
+    times.forEach(time => {
+        const date = new Date(time); // Shared by every series so charts can match labels
+        seriesList.forEach(series => {
+            const buckets = cells.get(`${time}|${series}`);
+            const row = { [dateCol]: date };
+            if (seriesCol) row[seriesCol] = series;
+            measures.forEach((m, i) => {
+                const empty = ['sum', 'count', 'distinct'].includes(m.aggregation) ? 0 : null;
+                row[m.field || m.key] = buckets && buckets[i].length ? aggregateValues(buckets[i], m.aggregation) : empty;
+            });
+            rows.push(row);
+        });
+    });
+
+    return rows;
+};
+
+// Bin width rules offered for histograms
+export const BIN_STRATEGIES = [
+    { value: 'sturges', label: 'Sturges' },
+    { value: 'fd', label: 'Freedman–Diaconis' },
+    { value: 'fixed', label: 'Fixed width' }
+];
+
+const MAX_BINS = 200;
+
+/**
+ * Bins numeric values for a histogram.
+ * - sturges: ceil(log2(n)) + 1 equal-width bins, good for roughly normal data
+ * - fd:      width 2·IQR/∛n, robust to outliers (falls back to Sturges when IQR is 0)
+ * - fixed:   the given width, with edges aligned to multiples of it
+ * @param {Array} values - Values (non-numbers are ignored)
+ * @param {Object} options - { strategy, width }
+ * @returns {Array} [{ low, high, count }] in ascending order
+ */
+export const binValues = (values, { strategy = 'sturges', width } = {}) => {
+    const nums = values.filter(v => typeof v === 'number' && isFinite(v)).sort((a, b) => a - b);
+    if (nums.length === 0) return [];
+
+    let min = nums[0];
+    const max = nums[nums.length - 1];
+    if (min === max) return [{ low: min, high: max, count: nums.length }];
+
+    let binWidth = null;
+    if (strategy === 'fixed' && width > 0) {
+        binWidth = Number(width);
+        min = Math.floor(min / binWidth) * binWidth;
+    } else if (strategy === 'fd') {
+        const iqr = quantile(nums, 0.75) - quantile(nums, 0.25);
+        if (iqr > 0) binWidth = 2 * iqr / Math.cbrt(nums.length);
+    }
+    if (!binWidth) binWidth = (max - min) / (Math.ceil(Math.log2(nums.length)) + 1);
+
+    // Keep the chart readable when a tiny width is chosen
+    if ((max - min) / binWidth > MAX_BINS) binWidth = (max - min) / MAX_BINS;
+
+    const binCount = Math.max(1, Math.ceil((max - min) / binWidth));
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        low: min + i * binWidth,
+        high: min + (i + 1) * binWidth,
+        count: 0
+    }));
+
+    nums.forEach(v => {
+        let idx = Math.floor((v - min) / binWidth);
+        if (idx >= binCount) idx = binCount - 1; // Max lands in the last bin
+        bins[idx].count++;
+    });
+
+    return bins;
+};
+
+// Linear interpolation between closest ranks; expects sorted values
+const quantile = (sorted, q) => {
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const next = sorted[base + 1] ?? sorted[base];
+    return sorted[base] + (pos - base) * (next - sorted[base]);
+};
+
 /**
  * Randomly samples the dataset to a specific limit.
  * @param {Array} data - Raw data
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { processData, aggregateTimeSeries, parseDateValue } from './DataProcessor';
+
+describe('parseDateValue', () => {
+    it('reads date-only ISO strings as local midnight', () => {
+        const date = parseDateValue('2024-03-01');
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2024, 2, 1, 0]);
+    });
+
+    it('keeps explicit offsets', () => {
+        expect(parseDateValue('2024-03-01T00:00:00Z').toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    });
+
+    it('uses detected patterns and epochs', () => {
+        const date = parseDateValue('05/03/2024', 'd/M/yyyy');
+        expect([date.getMonth(), date.getDate()]).toEqual([2, 5]);
+        expect(parseDateValue('0', 'epoch-s').getTime()).toBe(0);
+        expect(parseDateValue('not a date')).toBeNull();
+    });
+});
+
+describe('aggregateTimeSeries', () => {
+    it('buckets date-only values into their own month', () => {
+        const { data } = processData([
+            { day: '2024-01-01', sales: '1' },
+            { day: '2024-02-01', sales: '2' },
+            { day: '2024-03-01', sales: '3' }
+        ]);
+        const rows = aggregateTimeSeries(data, 'day', [{ key: 'sales', aggregation: 'sum' }], 'month');
+
+        expect(rows.map(r => [r.day.getFullYear(), r.day.getMonth() + 1, r.sales])).toEqual([
+            [2024, 1, 1],
+            [2024, 2, 2],
+            [2024, 3, 3]
+        ]);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Data quality checks over processed rows (see DataQualityPanel).
+ *
+ * Per column: missing values, values processData could not parse (column
+ * `parseErrors`), text/category columns mixing numbers and words, constant
+ * columns, uncertain type inference and, for numbers, IQR and z-score outliers. Per dataset: exact
+ * duplicate rows. Each column gets a 0-100 score from QUALITY_PENALTIES.
+ */
+
+const MAX_EXAMPLES = 5;
+const Z_THRESHOLD = 3;
+const IQR_FACTOR = 1.5;
+const MIXED_MIN_SHARE = 0.05; // Minority share before a text column counts as mixed
+const LOW_CONFIDENCE = 0.9;   // Type inference confidence (see TypeInference) worth reporting
+
+// Points taken off a column's score of 100
+export const QUALITY_PENALTIES = {
+    missing: 50,   // x share of missing values
+    invalid: 30,   // x share of non-empty values that failed to parse
+    mixed: 20,     // full penalty at a 50/50 split of numbers and words in a text column
+    outliers: 10,  // full penalty once 5% of values are IQR outliers
+    constant: 20   // a single distinct value carries no information
+};
+
+/**
+ * Runs every quality check.
+ * @param {Array} data - Processed rows
+ * @param {Array} columns - Column metadata from processData (with stats and parseErrors)
+ * @returns {Object} {
+ *   score,                                      0-100, mean column score less the duplicate share
+ *   rowCount,
+ *   duplicates: { count, examples: [{ row, firstRow }] },   1-based row numbers
+ *   columns: [{ key, label, type, score, missing, invalid, mixed, outliers, isConstant,
+ *              confidence, isUncertain, issues: [String] }]
+ * }
+ */
+export const analyzeQuality = (data, columns) => {
+    const rowCount = data.length;
+    const duplicates = findDuplicates(data, columns);
+    const results = columns.map(col => checkColumn(data, col, rowCount));
+
+    const meanScore = results.length ? results.reduce((a, c) => a + c.score, 0) / results.length : 100;
+    const duplicateShare = rowCount ? duplicates.count / rowCount : 0;
+
+    return {
+        score: Math.round(meanScore * (1 - duplicateShare)),
+        rowCount,
+        duplicates,
+        columns: results
+    };
+};
+
+// --- Checks ---
+
+const checkColumn = (data, col, rowCount) => {
+    const values = data.map(row => row[col.key]);
+    const present = values.filter(v => v !== null && v !== undefined);
+    const missing = rowCount - present.length;
+    const invalid = col.parseErrors || { count: 0, examples: [] };
+
+    const distinct = new Set(present.map(v => (v instanceof Date ? v.getTime() : v)));
+    const isConstant = present.length > 0 && distinct.size === 1;
+
+    const outliers = col.type === 'number' ? findOutliers(present, col.stats) : null;
+    const mixed = col.type === 'category' || col.type === 'text' ? findMixed(present) : null;
+
+    // Invalid values were non-empty before parsing, so they are also counted as missing
+    const nonEmpty = present.length + invalid.count;
+    const missingShare = rowCount ? (missing - invalid.count) / rowCount : 0;
+    const invalidShare = nonEmpty ? invalid.count / nonEmpty : 0;
+    const mixedShare = mixed ? Math.min(mixed.numeric, mixed.text) / present.length : 0;
+    const outlierShare = outliers && present.length ? outliers.iqr / present.length : 0;
+
+    const penalty = QUALITY_PENALTIES.missing * missingShare
+        + QUALITY_PENALTIES.invalid * invalidShare
+        + (mixed?.isMixed ? QUALITY_PENALTIES.mixed * mixedShare * 2 : 0) // Minority share is at most 0.5
+        + QUALITY_PENALTIES.outliers * Math.min(outlierShare / 0.05, 1)
+        + (isConstant ? QUALITY_PENALTIES.constant : 0);
+
+    const issues = [];
+    if (missing - invalid.count > 0) issues.push(`${(missing - invalid.count).toLocaleString()} missing`);
+    if (invalid.count > 0) issues.push(`${invalid.count.toLocaleString()} unparseable as ${col.type}`);
+    if (mixed?.isMixed) issues.push(`mixes numbers (${mixed.numeric.toLocaleString()}) and text (${mixed.text.toLocaleString()})`);
+    if (outliers?.iqr > 0) issues.push(`${outliers.iqr.toLocaleString()} outliers`);
+    if (isConstant) issues.push("constant value");
+    const isUncertain = typeof col.confidence === 'number' && col.confidence < LOW_CONFIDENCE;
+    if (isUncertain) issues.push(`only ${Math.round(col.confidence * 100)}% of sampled values look like ${col.inferredType}`);
+
+    return {
+        key: col.key,
+        label: col.label,
+        type: col.type,
+        score: Math.max(0, Math.round(100 - penalty)),
+        missing: missing - invalid.count,
+        invalid,
+        mixed,
+        outliers,
+        isConstant,
+        confidence: col.confidence ?? null,
+        isUncertain,
+        issues
+    };
+};
+
+// IQR fences and |z| > 3; examples are the most extreme IQR outliers
+const findOutliers = (values, stats = {}) => {
+    const { q1, q3, iqr, mean, stdDev } = stats;
+    if (q1 === undefined || mean === undefined) return { iqr: 0, z: 0, low: null, high: null, examples: [] };
+
+    const low = q1 - IQR_FACTOR * iqr;
+    const high = q3 + IQR_FACTOR * iqr;
+    const iqrOutliers = values.filter(v => v < low || v > high);
+    const z = stdDev > 0 ? values.filter(v => Math.abs(v - mean) / stdDev > Z_THRESHOLD).length : 0;
+
+    const examples = [...new Set(iqrOutliers)]
+        .sort((a, b) => Math.abs(b - mean) - Math.abs(a - mean))
+        .slice(0, MAX_EXAMPLES);
+
+    return { iqr: iqrOutliers.length, z, low, high, examples };
+};
+
+// Text columns where a meaningful share of values look like numbers (or vice versa)
+const findMixed = (values) => {
+    let numeric = 0;
+    values.forEach(v => {
+        if (NUMBER_LIKE.test(v)) numeric++;
+    });
+    const text = values.length - numeric;
+    const minority = values.length ? Math.min(numeric, text) / values.length : 0;
+    return { numeric, text, isMixed: minority >= MIXED_MIN_SHARE };
+};
+
+const NUMBER_LIKE = /^\s*[-+]?[$€£¥]?\s*\d[\d,]*(\.\d+)?\s*%?\s*$/;
+
+// Exact duplicates across every column; dates compare by time
+const findDuplicates = (data, columns) => {
+    const seen = new Map(); // row signature -> first row index
+    const examples = [];
+    let count = 0;
+
+    data.forEach((row, i) => {
+        const signature = JSON.stringify(columns.map(col => {
+            const val = row[col.key];
+            return val instanceof Date ? val.getTime() : val ?? null;
+        }));
+        if (seen.has(signature)) {
+            count++;
+            if (examples.length < MAX_EXAMPLES) examples.push({ row: i + 1, firstRow: seen.get(signature) + 1 });
+        } else {
+            seen.set(signature, i);
+        }
+    });
+
+    return { count, examples };
+};
@@ -0,0 +1,159 @@
+import { db } from "../firebase";
+import { collection, doc, setDoc, getDoc, getDocs, deleteDoc, updateDoc } from "firebase/firestore";
+import { restoreTimestamps } from "./DashboardSerializer";
+
+/**
+ * Full-size dataset storage for saved dashboards.
+ *
+ * Firestore documents are capped at 1 MiB, so rows are split into chunk
+ * documents under `dashboards/{id}/chunks/{index}`, sized by their UTF-8 JSON length.
+ * Chunk rows are exempt from indexing (firestore.indexes.json), so wide chunks stay
+ * under the per-document index entry limit.
+ * The dashboard document keeps the row count and a fingerprint of the original
+ * rows so a restored copy can be checked against what was uploaded.
+ */
+
+const CHUNK_BYTE_BUDGET = 700 * 1024; // Leaves headroom under the 1 MiB document limit
+
+const encoder = new TextEncoder();
+
+/**
+ * Writes all rows as chunk documents, then marks the dataset complete.
+ * @param {String} dashboardId - Parent dashboard document id
+ * @param {Array} rows - Raw rows as uploaded
+ * @param {Function} onProgress - Called with a 0..1 fraction after each chunk
+ * @returns {Object} { chunkCount, fingerprint }
+ */
+export const saveDataset = async (dashboardId, rows, onProgress) => {
+    const chunks = chunkRows(rows);
+    const chunksRef = collection(db, "dashboards", dashboardId, "chunks");
+
+    for (let i = 0; i < chunks.length; i++) {
+        await setDoc(doc(chunksRef, chunkId(i)), { index: i, rows: chunks[i] });
+        if (onProgress) onProgress((i + 1) / chunks.length);
+    }
+
+    const fingerprint = fingerprintRows(rows);
+    await updateDoc(doc(db, "dashboards", dashboardId), {
+        "dataset.status": "complete",
+        "dataset.chunkCount": chunks.length,
+        "dataset.fingerprint": fingerprint
+    });
+
+    return { chunkCount: chunks.length, fingerprint };
+};
+
+/**
+ * Reads a dashboard's dataset back, chunk by chunk.
+ * @param {String} dashboardId - Parent dashboard document id
+ * @param {Object} dataset - The `dataset` field of the dashboard document
+ * @param {Function} onProgress - Called with a 0..1 fraction after each chunk
+ * @returns {Object} { rows, note } - note is set when the copy differs from the original
+ */
+export const loadDataset = async (dashboardId, dataset, onProgress) => {
+    if (dataset.storage !== 'chunks') {
+        const rows = dataset.rows || [];
+        return { rows, note: describeDifference(rows, dataset) };
+    }
+
+    const rows = [];
+    const chunkCount = dataset.chunkCount || 0;
+
+    for (let i = 0; i < chunkCount; i++) {
+        const snap = await getDoc(doc(db, "dashboards", dashboardId, "chunks", chunkId(i)));
+        if (snap.exists()) {
+            snap.data().rows.forEach(row => rows.push(restoreTimestamps(row)));
+        }
+        if (onProgress) onProgress((i + 1) / chunkCount);
+    }
+
+    return { rows, note: describeDifference(rows, dataset) };
+};
+
+/**
+ * Deletes a dashboard document together with its chunk subcollection.
+ * @param {String} dashboardId
+ */
+export const deleteDataset = async (dashboardId) => {
+    const chunks = await getDocs(collection(db, "dashboards", dashboardId, "chunks"));
+    await Promise.all(chunks.docs.map(d => deleteDoc(d.ref)));
+    await deleteDoc(doc(db, "dashboards", dashboardId));
+};
+
+/**
+ * Order-sensitive FNV-1a hash over every row, keys sorted so that the hash
+ * survives Firestore's map key reordering.
+ * @param {Array} rows
+ * @returns {String} e.g. "50000:9f3a12bc"
+ */
+export const fingerprintRows = (rows) => {
+    let hash = 0x811c9dc5;
+    rows.forEach(row => {
+        const str = stableStringify(row);
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+    });
+    return `${rows.length}:${(hash >>> 0).toString(16)}`;
+};
+
+// --- Helpers ---
+
+const chunkId = (index) => String(index).padStart(5, '0');
+
+const chunkRows = (rows) => {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    rows.forEach(row => {
+        const clean = sanitizeRow(row);
+        const rowSize = encoder.encode(JSON.stringify(clean)).length; // Bytes, not UTF-16 units
+        if (current.length && size + rowSize > CHUNK_BYTE_BUDGET) {
+            chunks.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(clean);
+        size += rowSize;
+    });
+
+    if (current.length || chunks.length === 0) chunks.push(current);
+    return chunks;
+};
+
+// Firestore rejects undefined values
+const sanitizeRow = (row) => {
+    const clean = {};
+    Object.entries(row).forEach(([key, val]) => {
+        if (val !== undefined) clean[key] = val;
+    });
+    return clean;
+};
+
+const stableStringify = (row) => {
+    const clean = sanitizeRow(row);
+    return JSON.stringify(Object.keys(clean).sort().map(key => {
+        const val = clean[key];
+        return [key, val instanceof Date ? val.getTime() : val];
+    }));
+};
+
+const describeDifference = (rows, dataset) => {
+    const expected = dataset.rowCount;
+
+    if (dataset.storage === 'chunks' && dataset.status !== 'complete') {
+        return `The stored copy is incomplete: the save was interrupted after ${rows.length.toLocaleString()} of ${expected.toLocaleString()} rows.`;
+    }
+
+    if (expected && rows.length < expected) {
+        return `Only ${rows.length.toLocaleString()} of ${expected.toLocaleString()} rows were stored with this dashboard, so statistics may differ from the original upload.`;
+    }
+
+    if (dataset.fingerprint && fingerprintRows(rows) !== dataset.fingerprint) {
+        return "The stored copy differs from the original upload (checksum mismatch). Some values may have changed.";
+    }
+
+    return null;
+};
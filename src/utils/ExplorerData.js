@@ -0,0 +1,126 @@
+import {
+    aggregateData, aggregateMeasures, aggregateTimeSeries, measureKey, sampleData, AGGREGATION_METHODS
+} from './DataProcessor';
+import { validateChart } from './ChartValidator';
+
+// Chart types drawn by PlotlyRenderer instead of ChartRenderer
+export const PLOTLY_TYPES = ['box', 'violin', 'heatmap'];
+// Chart types that accept extra Y measures
+export const MULTI_MEASURE_TYPES = ['bar', 'line'];
+
+/**
+ * Prepares the rows an explorer chart config is drawn from (sampling, aggregation,
+ * time bucketing). Shared by ManualExplorer and charts pinned to the dashboard canvas.
+ * @param {Array} data - Processed rows
+ * @param {Array} columns - Column metadata
+ * @param {Object} config - Explorer config (see DEFAULT_EXPLORER_CONFIG)
+ * @returns {Object} { preparedData, samplingInfo, chartMeasures?, timeUnit? }
+ *   preparedData:  null when the config is incomplete or blocked by validateChart
+ *   chartMeasures: resolved measures for ChartRenderer when several Y measures are plotted
+ *   timeUnit:      date granularity when a date X was bucketed into periods
+ */
+export const prepareExplorerData = (data, columns, config) => {
+    const xCol = columns.find(c => c.key === config.xAxis);
+    const yCol = columns.find(c => c.key === config.yAxis);
+    const groupCol = columns.find(c => c.key === config.groupBy) || null;
+    const measureCols = (config.measures || []).map(m => columns.find(c => c.key === m.key));
+    if (measureCols.some(c => !c)) return { preparedData: null, samplingInfo: null };
+
+    const validation = validateChart(config.type, xCol, yCol, groupCol, measureCols);
+    if (!xCol || !yCol) return { preparedData: null, samplingInfo: null };
+    if (!validation.valid && validation.severity === 'BLOCK') return { preparedData: null, samplingInfo: null };
+
+    // HISTOGRAM: Binned over every row in the renderer
+    if (config.type === 'histogram') return { preparedData: data, samplingInfo: null };
+
+    // BOX / VIOLIN / HEATMAP: Plotly summarizes the raw rows itself
+    if (PLOTLY_TYPES.includes(config.type)) {
+        const info = config.type !== 'heatmap' && xCol.stats.uniqueCount > 20
+            ? `ℹ️ Showing the 20 most frequent ${xCol.label} categories.`
+            : null;
+        return { preparedData: data, samplingInfo: info };
+    }
+
+    // SCATTER / BUBBLE: Sample if > 1000 rows
+    if (config.type === 'scatter' || config.type === 'bubble') {
+        const SCATTER_LIMIT = 1000;
+        const SAMPLE_SIZE = 500;
+
+        if (data.length > SCATTER_LIMIT) {
+            const sampled = sampleData(data, SAMPLE_SIZE);
+            return {
+                preparedData: sampled,
+                samplingInfo: `ℹ️ Showing a random sample of ${SAMPLE_SIZE} out of ${data.length} records for clarity.`
+            };
+        }
+        return { preparedData: data, samplingInfo: null };
+    }
+
+    const axisOf = (m) => m.axis === 'right' ? 'right' : 'left';
+    const labelOf = (key) => columns.find(c => c.key === key)?.label || key;
+    const aggregationLabel = (m) => `${AGGREGATION_METHODS.find(a => a.value === m.aggregation)?.label || m.aggregation} of ${labelOf(m.key)}`;
+
+    // TIME SERIES (Bar, Line with a date X): bucket per period, chronological, gaps filled
+    if (xCol.type === 'date' && MULTI_MEASURE_TYPES.includes(config.type)) {
+        const granularity = config.dateGranularity || 'month';
+        const primary = { key: config.yAxis, aggregation: config.aggregation || 'mean', axis: 'left' };
+
+        if (config.measures?.length) {
+            const all = [primary, ...config.measures].map(m => ({ ...m, field: measureKey(m) }));
+            return {
+                preparedData: aggregateTimeSeries(data, config.xAxis, all, granularity),
+                samplingInfo: null,
+                chartMeasures: all.map(m => ({ key: m.field, label: aggregationLabel(m), axis: axisOf(m) })),
+                timeUnit: granularity
+            };
+        }
+
+        return {
+            preparedData: aggregateTimeSeries(data, config.xAxis, [primary], granularity, groupCol ? groupCol.key : null),
+            samplingInfo: null,
+            timeUnit: granularity
+        };
+    }
+
+    // MULTIPLE MEASURES (Bar, Line): each measure keeps its own aggregation
+    if (config.measures?.length && MULTI_MEASURE_TYPES.includes(config.type)) {
+        const primary = { key: config.yAxis, aggregation: config.aggregation, axis: 'left' };
+        const all = [primary, ...config.measures];
+
+        if (config.aggregation && xCol.type !== 'number') {
+            const limit = config.type === 'bar' && xCol.stats.uniqueCount > 20 ? 20 : null;
+            return {
+                preparedData: aggregateMeasures(data, config.xAxis, all, limit),
+                samplingInfo: limit ? `ℹ️ Data aggregated to Top 20 categories by ${labelOf(config.yAxis)}.` : null,
+                chartMeasures: all.map(m => ({ key: measureKey(m), label: aggregationLabel(m), axis: axisOf(m) }))
+            };
+        }
+
+        // Numeric / date X: raw values, no aggregation
+        return {
+            preparedData: data,
+            samplingInfo: null,
+            chartMeasures: all.map(m => ({ key: m.key, label: labelOf(m.key), axis: axisOf(m) }))
+        };
+    }
+
+    // AGGREGATION (Bar, Line, Pie)
+    if (config.aggregation && xCol.type !== 'number') {
+        let limit = null;
+        let info = null;
+
+        if (config.type === 'pie' || config.type === 'doughnut') limit = 6;
+
+        if (config.type === 'bar' && xCol.stats.uniqueCount > 20) {
+            limit = 20;
+            info = `ℹ️ Data aggregated to Top 20 categories for better readability.`;
+        }
+
+        return {
+            preparedData: aggregateData(data, config.xAxis, config.yAxis, config.aggregation, limit, groupCol ? groupCol.key : null),
+            samplingInfo: info
+        };
+    }
+
+    return { preparedData: data, samplingInfo: null };
+};
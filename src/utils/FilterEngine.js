@@ -0,0 +1,121 @@
+import { endOfDay } from "date-fns";
+import { parseDateValue } from "./DataProcessor";
+
+/**
+ * Dashboard-level filters shared by every tab (see FilterBar).
+ *
+ * Filters are keyed by column and shaped by the column type:
+ *   category / text - { values: [String] }           row matches any listed value
+ *   number          - { min, max }                    inclusive, either bound optional
+ *   date            - { from, to } ('yyyy-MM-dd')     inclusive whole days, either bound optional
+ * Rows with an empty value never match an active filter on that column.
+ */
+
+/**
+ * Whether a filter entry narrows the data at all.
+ * @param {Object} filter
+ * @returns {Boolean}
+ */
+export const isFilterActive = (filter) => {
+    if (!filter) return false;
+    if (Array.isArray(filter.values)) return filter.values.length > 0;
+    return [filter.min, filter.max, filter.from, filter.to].some(v => v !== undefined && v !== null && v !== '');
+};
+
+/**
+ * Keeps only the rows that pass every active filter.
+ * @param {Array} data - Processed rows
+ * @param {Object} filters - { [key]: filter }
+ * @param {Array} columns - Column metadata from processData
+ * @returns {Array} Filtered rows (the original array when nothing is active)
+ */
+export const applyFilters = (data, filters, columns) => {
+    const predicates = columns
+        .filter(col => isFilterActive(filters[col.key]))
+        .map(col => buildPredicate(col, filters[col.key]));
+
+    if (!predicates.length) return data;
+    return data.filter(row => predicates.every(test => test(row)));
+};
+
+/**
+ * Adds or removes one category value (used by click-to-filter on charts).
+ * @param {Object} filters
+ * @param {String} key - Column key
+ * @param {String} value
+ * @returns {Object} New filters object
+ */
+export const toggleFilterValue = (filters, key, value) => {
+    const values = filters[key]?.values || [];
+    const str = String(value);
+    const next = values.includes(str) ? values.filter(v => v !== str) : [...values, str];
+    return withFilter(filters, key, { values: next });
+};
+
+/**
+ * Sets (or clears, when inactive) the filter for one column.
+ * @param {Object} filters
+ * @param {String} key - Column key
+ * @param {Object} filter
+ * @returns {Object} New filters object
+ */
+export const withFilter = (filters, key, filter) => {
+    const next = { ...filters };
+    if (isFilterActive(filter)) next[key] = filter;
+    else delete next[key];
+    return next;
+};
+
+/**
+ * Short human-readable summary for filter chips.
+ * @param {Object} col - Column metadata
+ * @param {Object} filter
+ * @returns {String}
+ */
+export const describeFilter = (col, filter) => {
+    if (Array.isArray(filter.values)) {
+        const shown = filter.values.slice(0, 2).join(', ');
+        const more = filter.values.length > 2 ? ` +${filter.values.length - 2}` : '';
+        return `${col.label}: ${shown}${more}`;
+    }
+    const low = col.type === 'date' ? filter.from : filter.min;
+    const high = col.type === 'date' ? filter.to : filter.max;
+    const hasLow = low !== undefined && low !== null && low !== '';
+    const hasHigh = high !== undefined && high !== null && high !== '';
+    if (hasLow && hasHigh) return `${col.label}: ${low} – ${high}`;
+    return hasLow ? `${col.label} ≥ ${low}` : `${col.label} ≤ ${high}`;
+};
+
+// --- Helpers ---
+
+const isEmpty = (val) => val === null || val === undefined || val === '';
+
+const buildPredicate = (col, filter) => {
+    const { key, type } = col;
+
+    if (Array.isArray(filter.values)) {
+        const allowed = new Set(filter.values.map(String));
+        return (row) => !isEmpty(row[key]) && allowed.has(String(row[key]));
+    }
+
+    if (type === 'date') {
+        // Bounds are parsed like row dates (local midnight), 'to' covers its whole day
+        const fromDate = isEmpty(filter.from) ? null : parseDateValue(filter.from);
+        const toDate = isEmpty(filter.to) ? null : parseDateValue(filter.to);
+        const from = fromDate ? fromDate.getTime() : -Infinity;
+        const to = toDate ? endOfDay(toDate).getTime() : Infinity;
+        return (row) => {
+            const val = row[key];
+            if (!(val instanceof Date)) return false;
+            const time = val.getTime();
+            return time >= from && time <= to;
+        };
+    }
+
+    const min = isEmpty(filter.min) ? -Infinity : Number(filter.min);
+    const max = isEmpty(filter.max) ? Infinity : Number(filter.max);
+    return (row) => {
+        const val = row[key];
+        return typeof val === 'number' && val >= min && val <= max;
+    };
+};
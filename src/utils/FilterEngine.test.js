@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { applyFilters } from './FilterEngine';
+import { processData } from './DataProcessor';
+
+describe('applyFilters on dates', () => {
+    const { data, columns } = processData([
+        { day: '2024-01-31', n: '1' },
+        { day: '2024-02-01', n: '2' },
+        { day: '2024-02-29', n: '3' },
+        { day: '2024-03-01', n: '4' }
+    ]);
+
+    it('keeps a row dated exactly on a one-day range', () => {
+        const rows = applyFilters(data, { day: { from: '2024-02-01', to: '2024-02-01' } }, columns);
+        expect(rows.map(r => r.n)).toEqual([2]);
+    });
+
+    it('includes both whole end days', () => {
+        const rows = applyFilters(data, { day: { from: '2024-02-01', to: '2024-02-29' } }, columns);
+        expect(rows.map(r => r.n)).toEqual([2, 3]);
+    });
+
+    it('treats a missing bound as open', () => {
+        const rows = applyFilters(data, { day: { to: '2024-01-31' } }, columns);
+        expect(rows.map(r => r.n)).toEqual([1]);
+    });
+});
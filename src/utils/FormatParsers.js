@@ -0,0 +1,115 @@
+/**
+ * JSON-based import formats that feed the same onUpload -> processData path as CSV.
+ * Every parser returns an array of flat row objects sharing one set of keys
+ * (processData reads the column list from the first row).
+ */
+
+/**
+ * Parses a JSON document. Accepts an array of records, or an object wrapping
+ * one (e.g. { "data": [...] }); a lone object becomes a single row.
+ * @param {String} text
+ * @returns {Array} Flat rows
+ */
+export const parseJSONText = (text) => {
+    const parsed = JSON.parse(text);
+    return normalizeRecords(findRecords(parsed));
+};
+
+/**
+ * Parses newline-delimited JSON (one record per line, blank lines ignored).
+ * @param {String} text
+ * @param {Function} onProgress - Optional (fraction)
+ * @returns {Array} Flat rows
+ */
+export const parseNDJSONText = (text, onProgress) => {
+    const lines = text.split(/\r?\n/);
+    const records = [];
+
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        try {
+            records.push(JSON.parse(trimmed));
+        } catch {
+            throw new Error(`Invalid JSON on line ${i + 1}`);
+        }
+        if (onProgress && i % 10000 === 0) onProgress(i / lines.length);
+    });
+
+    return normalizeRecords(records);
+};
+
+/**
+ * Flattens nested objects into dotted keys: { a: { b: 1 } } -> { "a.b": 1 }.
+ * Arrays are kept as JSON text, BigInts (Parquet INT64) become Numbers.
+ * @param {Object} record
+ * @param {String} prefix
+ * @param {Object} target
+ * @returns {Object} Flat record
+ */
+export const flattenRecord = (record, prefix = '', target = {}) => {
+    Object.entries(record).forEach(([key, val]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (typeof val === 'bigint') {
+            target[path] = Number(val);
+        } else if (Array.isArray(val)) {
+            target[path] = JSON.stringify(val, (k, v) => typeof v === 'bigint' ? Number(v) : v);
+        } else if (val && typeof val === 'object' && !(val instanceof Date)) {
+            flattenRecord(val, path, target);
+        } else {
+            target[path] = val;
+        }
+    });
+    return target;
+};
+
+/**
+ * Flattens records and gives every row the union of all keys, in first-seen order.
+ * @param {Array} records
+ * @returns {Array} Flat rows
+ */
+export const normalizeRecords = (records) => {
+    const flat = records
+        .filter(r => r && typeof r === 'object')
+        .map(r => flattenRecord(r));
+
+    const keys = [];
+    const seen = new Set();
+    flat.forEach(row => Object.keys(row).forEach(key => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            keys.push(key);
+        }
+    }));
+
+    return flat.map(row => {
+        const full = {};
+        keys.forEach(key => { full[key] = row[key] ?? null; });
+        return full;
+    });
+};
+
+/**
+ * Stacks the rows of several sheets into one dataset, tagged with the sheet each row
+ * came from. Columns are the union of every sheet's; cells a sheet lacks are null.
+ * @param {Array} datasets - [{ name, rows }]
+ * @returns {Object} { name, rows }
+ */
+export const stackSheets = (datasets) => {
+    const sourceKey = datasets.some(d => d.rows.some(row => 'sheet' in row)) ? 'source_sheet' : 'sheet';
+    const records = [];
+    datasets.forEach(d => d.rows.forEach(row => records.push({ [sourceKey]: d.name, ...row })));
+    return { name: datasets.map(d => d.name).join(' + '), rows: normalizeRecords(records) };
+};
+
+// --- Helpers ---
+
+const findRecords = (parsed) => {
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && typeof parsed === 'object') {
+        const wrapped = Object.values(parsed).find(v => Array.isArray(v) && v.some(item => item && typeof item === 'object'));
+        return wrapped || [parsed];
+    }
+    throw new Error("JSON must contain an array of records");
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { stackSheets } from './FormatParsers';
+
+describe('stackSheets', () => {
+    it('unions columns across sheets and fills missing cells with null', () => {
+        const stacked = stackSheets([
+            { name: 'North', rows: [{ region: 'N1', sales: 10 }, { region: 'N2', sales: 5, notes: 'late' }] },
+            { name: 'South', rows: [{ region: 'S1', returns: 2 }] }
+        ]);
+
+        expect(stacked.name).toBe('North + South');
+        expect(stacked.rows).toEqual([
+            { sheet: 'North', region: 'N1', sales: 10, notes: null, returns: null },
+            { sheet: 'North', region: 'N2', sales: 5, notes: 'late', returns: null },
+            { sheet: 'South', region: 'S1', sales: null, notes: null, returns: 2 }
+        ]);
+        // processData takes its columns from the first row
+        expect(Object.keys(stacked.rows[0])).toEqual(['sheet', 'region', 'sales', 'notes', 'returns']);
+    });
+
+    it('renames the source column when a sheet already has a "sheet" column', () => {
+        const stacked = stackSheets([
+            { name: 'A', rows: [{ id: 1 }] },
+            { name: 'B', rows: [{ id: 2, sheet: 'x' }] }
+        ]);
+        expect(stacked.rows[0]).toEqual({ source_sheet: 'A', id: 1, sheet: null });
+        expect(stacked.rows[1].source_sheet).toBe('B');
+    });
+});
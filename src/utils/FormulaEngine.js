@@ -0,0 +1,484 @@
+import { differenceInCalendarDays, format as formatDate } from 'date-fns';
+import { parseDateValue } from './DataProcessor';
+
+/**
+ * Calculated columns.
+ *
+ * Formulas are evaluated against raw rows before processData, so derived columns
+ * go through the same type inference as uploaded ones. They are tokenized and
+ * parsed into a tree of closures; nothing is ever passed to eval or Function.
+ *
+ * Syntax:
+ *   columns    profit, order_date, [Unit Price]   (brackets for names with spaces or symbols)
+ *   literals   12, 3.5, "text", 'text', true, false, null
+ *   operators  ^  * / %  + -  = != <> < <= > >=  not  and  or   (also ! && ||)
+ *   functions  name(arg, ...) - see FORMULA_FUNCTIONS
+ *
+ * Columns typed as dates (see detectDateFormats) are read as Dates parsed with their
+ * detected or user-set format, so "05/03/2024" in a d/M/yyyy column is 5 March.
+ * Other raw values are mostly strings, so operators coerce: arithmetic reads "1,200" as
+ * 1200 and comparisons fall back to text when a side is not numeric. `+` only adds
+ * numbers; use concat() for text. Missing values, x / 0 and unparseable dates
+ * evaluate to null instead of throwing. Only syntax errors, unknown columns and
+ * unknown functions throw (when the formula is compiled).
+ */
+
+/**
+ * Compiles a formula into an evaluator.
+ * @param {String} source - Formula text, e.g. 'if(score > 80, "high", "low")'
+ * @param {Array} columnKeys - Column keys the formula may reference
+ * @param {Object} dateFormats - { [key]: format } of date columns (see detectDateFormats)
+ * @returns {Function} (row) => value (number, string, boolean, Date or null)
+ * @throws {Error} On syntax errors, unknown columns or functions, wrong argument counts
+ */
+export const compileFormula = (source, columnKeys, dateFormats = {}) => {
+    const parser = createParser(tokenize(source), new Set(columnKeys), dateFormats);
+    const evaluate = parser.parse();
+    return (row) => finalize(evaluate(row));
+};
+
+/**
+ * Compiles calculated column definitions in order; each may use the ones before it.
+ * @param {Array} calculated - [{ name, formula }]
+ * @param {Array} columnKeys - Keys of the uploaded columns
+ * @param {Object} dateFormats - { [key]: format } of date columns (see detectDateFormats)
+ * @returns {Array} [{ name, evaluate }]
+ * @throws {Error} Naming the first column whose name or formula is invalid
+ */
+export const compileCalculatedColumns = (calculated, columnKeys, dateFormats = {}) => {
+    const keys = [...columnKeys];
+    return calculated.map(({ name, formula }) => {
+        if (!name || !name.trim()) throw new Error("Calculated columns need a name");
+        if (keys.includes(name)) throw new Error(`A column named "${name}" already exists`);
+        try {
+            const evaluate = compileFormula(formula, keys, dateFormats);
+            keys.push(name);
+            return { name, evaluate };
+        } catch (err) {
+            throw new Error(`${name}: ${err.message}`);
+        }
+    });
+};
+
+/**
+ * Adds calculated columns to raw rows.
+ * @param {Array} rows - Raw rows
+ * @param {Array} calculated - [{ name, formula }]
+ * @param {Object} dateFormats - { [key]: format } of date columns (see detectDateFormats)
+ * @returns {Array} New rows with the derived fields appended (the original array when there are none)
+ */
+export const applyCalculatedColumns = (rows, calculated = [], dateFormats = {}) => {
+    if (!calculated.length || !rows.length) return rows;
+
+    const compiled = compileCalculatedColumns(calculated, Object.keys(rows[0]), dateFormats);
+    return rows.map(row => {
+        const next = { ...row };
+        compiled.forEach(({ name, evaluate }) => {
+            next[name] = evaluate(next);
+        });
+        return next;
+    });
+};
+
+// --- Functions ---
+
+const VARIADIC = Infinity;
+
+// name -> { args: [min, max], signature, description, fn(...values) }
+const FUNCTIONS = {
+    // Math
+    abs: { args: [1, 1], signature: 'abs(x)', description: 'Absolute value', fn: (x) => mapNumber(x, Math.abs) },
+    round: {
+        args: [1, 2],
+        signature: 'round(x, digits)',
+        description: 'Round to a number of decimals (default 0)',
+        fn: (x, digits = 0) => {
+            const n = toNumber(x);
+            const d = toNumber(digits);
+            if (n === null || d === null) return null;
+            const factor = Math.pow(10, Math.trunc(d));
+            return Math.round(n * factor) / factor;
+        }
+    },
+    floor: { args: [1, 1], signature: 'floor(x)', description: 'Round down', fn: (x) => mapNumber(x, Math.floor) },
+    ceil: { args: [1, 1], signature: 'ceil(x)', description: 'Round up', fn: (x) => mapNumber(x, Math.ceil) },
+    sqrt: { args: [1, 1], signature: 'sqrt(x)', description: 'Square root', fn: (x) => mapNumber(x, Math.sqrt) },
+    ln: { args: [1, 1], signature: 'ln(x)', description: 'Natural logarithm', fn: (x) => mapNumber(x, Math.log) },
+    log10: { args: [1, 1], signature: 'log10(x)', description: 'Base-10 logarithm', fn: (x) => mapNumber(x, Math.log10) },
+    exp: { args: [1, 1], signature: 'exp(x)', description: 'e to the power of x', fn: (x) => mapNumber(x, Math.exp) },
+    pow: { args: [2, 2], signature: 'pow(x, y)', description: 'x to the power of y', fn: (x, y) => arithmetic('^', x, y) },
+    min: { args: [1, VARIADIC], signature: 'min(a, b, ...)', description: 'Smallest number, ignoring blanks', fn: (...xs) => extreme(xs, Math.min) },
+    max: { args: [1, VARIADIC], signature: 'max(a, b, ...)', description: 'Largest number, ignoring blanks', fn: (...xs) => extreme(xs, Math.max) },
+
+    // Logic
+    if: {
+        args: [2, 3],
+        signature: 'if(condition, then, else)',
+        description: 'then when the condition holds, otherwise else (or null)',
+        fn: (cond, a, b = null) => (isTruthy(cond) ? a : b)
+    },
+    coalesce: { args: [1, VARIADIC], signature: 'coalesce(a, b, ...)', description: 'First non-blank value', fn: (...xs) => xs.find(x => !isBlank(x)) ?? null },
+    isblank: { args: [1, 1], signature: 'isblank(x)', description: 'Whether the value is missing or empty', fn: (x) => isBlank(x) },
+
+    // Text
+    concat: { args: [1, VARIADIC], signature: 'concat(a, b, ...)', description: 'Joins values as text; blanks are skipped', fn: (...xs) => xs.map(x => (isBlank(x) ? '' : toText(x))).join('') },
+    upper: { args: [1, 1], signature: 'upper(text)', description: 'Upper case', fn: (s) => mapText(s, t => t.toUpperCase()) },
+    lower: { args: [1, 1], signature: 'lower(text)', description: 'Lower case', fn: (s) => mapText(s, t => t.toLowerCase()) },
+    trim: { args: [1, 1], signature: 'trim(text)', description: 'Removes surrounding spaces', fn: (s) => mapText(s, t => t.trim()) },
+    len: { args: [1, 1], signature: 'len(text)', description: 'Number of characters', fn: (s) => (isBlank(s) ? 0 : toText(s).length) },
+    left: { args: [2, 2], signature: 'left(text, n)', description: 'First n characters', fn: (s, n) => mapText(s, t => t.slice(0, Math.max(0, toNumber(n) ?? 0))) },
+    right: { args: [2, 2], signature: 'right(text, n)', description: 'Last n characters', fn: (s, n) => mapText(s, t => t.slice(t.length - Math.max(0, toNumber(n) ?? 0))) },
+    contains: { args: [2, 2], signature: 'contains(text, part)', description: 'Whether text includes part (case-insensitive)', fn: (s, part) => !isBlank(s) && toText(s).toLowerCase().includes(toText(part).toLowerCase()) },
+    replace: { args: [3, 3], signature: 'replace(text, find, with)', description: 'Replaces every occurrence of find', fn: (s, find, rep) => mapText(s, t => t.split(toText(find)).join(toText(rep))) },
+
+    // Dates
+    year: { args: [1, 1], signature: 'year(date)', description: 'Calendar year', fn: (d) => mapDate(d, date => date.getFullYear()) },
+    quarter: { args: [1, 1], signature: 'quarter(date)', description: 'Quarter (1-4)', fn: (d) => mapDate(d, date => Math.floor(date.getMonth() / 3) + 1) },
+    month: { args: [1, 1], signature: 'month(date)', description: 'Month (1-12)', fn: (d) => mapDate(d, date => date.getMonth() + 1) },
+    day: { args: [1, 1], signature: 'day(date)', description: 'Day of the month', fn: (d) => mapDate(d, date => date.getDate()) },
+    weekday: { args: [1, 1], signature: 'weekday(date)', description: 'Day of the week (1 = Monday, 7 = Sunday)', fn: (d) => mapDate(d, date => date.getDay() || 7) },
+    datediff: {
+        args: [2, 2],
+        signature: 'datediff(start, end)',
+        description: 'Calendar days from start to end',
+        fn: (a, b) => {
+            const start = toDate(a);
+            const end = toDate(b);
+            return start && end ? differenceInCalendarDays(end, start) : null;
+        }
+    }
+};
+
+// Function reference for the formula editor
+export const FORMULA_FUNCTIONS = Object.values(FUNCTIONS).map(({ signature, description }) => ({ signature, description }));
+
+// --- Tokenizer ---
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '^', '=', '<', '>', '!'];
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+
+const tokenize = (source) => {
+    const text = String(source ?? '');
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Number: 12, 3.5, .5, 1e3
+        const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(i));
+        if (number) {
+            tokens.push({ type: 'literal', value: Number(number[0]), pos: i });
+            i += number[0].length;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < text.length && text[j] !== ch) {
+                // Backslash escapes the next character (\" or \\)
+                if (text[j] === '\\' && j + 1 < text.length) j++;
+                value += text[j];
+                j++;
+            }
+            if (j >= text.length) throw syntaxError("Unterminated text literal", i);
+            tokens.push({ type: 'literal', value, pos: i });
+            i = j + 1;
+            continue;
+        }
+
+        if (ch === '[') {
+            const end = text.indexOf(']', i);
+            if (end === -1) throw syntaxError("Missing ] after column name", i);
+            tokens.push({ type: 'column', value: text.slice(i + 1, end), pos: i });
+            i = end + 1;
+            continue;
+        }
+
+        const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+        if (ident) {
+            const word = ident[0];
+            const lower = word.toLowerCase();
+            // Own keys only: "constructor" or "toString" are plain identifiers
+            if (Object.hasOwn(KEYWORD_OPERATORS, lower)) tokens.push({ type: 'op', value: KEYWORD_OPERATORS[lower], pos: i });
+            else if (Object.hasOwn(LITERALS, lower)) tokens.push({ type: 'literal', value: LITERALS[lower], pos: i });
+            else tokens.push({ type: 'ident', value: word, pos: i });
+            i += word.length;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')' || ch === ',') {
+            tokens.push({ type: ch, value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => text.startsWith(o, i));
+        if (op) {
+            tokens.push({ type: 'op', value: op === '==' ? '=' : op === '<>' ? '!=' : op, pos: i });
+            i += op.length;
+            continue;
+        }
+
+        throw syntaxError(`Unexpected character "${ch}"`, i);
+    }
+
+    tokens.push({ type: 'end', value: '', pos: text.length });
+    return tokens;
+};
+
+// --- Parser ---
+
+// Binary operators from loosest to tightest binding; ^ is handled separately (right-associative)
+const PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['=', '!=', '<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+const NOT_LEVEL = 2; // `not a > b` negates the whole comparison
+
+// Recursive descent; every node compiles straight to a (row) => value closure
+const createParser = (tokens, columnKeys, dateFormats) => {
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) throw syntaxError(`Expected "${type}" but found ${describe(token)}`, token.pos);
+        return token;
+    };
+
+    const isOp = (token, ops) => token.type === 'op' && ops.includes(token.value);
+
+    const parseBinary = (level) => {
+        if (level === PRECEDENCE.length) return parseUnary();
+
+        if (level === NOT_LEVEL && isOp(peek(), ['!'])) {
+            next();
+            const arg = parseBinary(level);
+            return (row) => !isTruthy(arg(row));
+        }
+
+        let left = parseBinary(level + 1);
+        while (isOp(peek(), PRECEDENCE[level])) {
+            const op = next().value;
+            const right = parseBinary(level + 1);
+            left = binary(op, left, right);
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (isOp(token, ['-', '+'])) {
+            next();
+            const arg = parseUnary();
+            return token.value === '-' ? (row) => arithmetic('*', -1, arg(row)) : (row) => toNumber(arg(row));
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp(peek(), ['^'])) {
+            next();
+            const exponent = parseUnary(); // Right-associative: 2^3^2 = 2^9
+            return (row) => arithmetic('^', base(row), exponent(row));
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token.type === 'literal') return () => token.value;
+
+        if (token.type === 'column') return columnRef(token);
+
+        if (token.type === 'ident') {
+            if (peek().type === '(') return parseCall(token);
+            return columnRef(token);
+        }
+
+        if (token.type === '(') {
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+
+        throw syntaxError(`Unexpected ${describe(token)}`, token.pos);
+    };
+
+    const parseCall = (token) => {
+        const name = token.value.toLowerCase();
+        const def = Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+        if (!def) throw syntaxError(`Unknown function "${token.value}"`, token.pos);
+
+        expect('(');
+        const args = [];
+        if (peek().type !== ')') {
+            args.push(parseBinary(0));
+            while (peek().type === ',') {
+                next();
+                args.push(parseBinary(0));
+            }
+        }
+        expect(')');
+
+        const [min, max] = def.args;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : max === VARIADIC ? `at least ${min}` : `${min}-${max}`;
+            throw syntaxError(`${name}() takes ${expected} argument${expected === '1' ? '' : 's'}, got ${args.length}`, token.pos);
+        }
+
+        return (row) => def.fn(...args.map(arg => arg(row)));
+    };
+
+    const columnRef = (token) => {
+        const key = token.value;
+        if (!columnKeys.has(key)) throw syntaxError(`Unknown column "${key}"`, token.pos);
+        if (Object.hasOwn(dateFormats, key)) {
+            const format = dateFormats[key];
+            return (row) => parseDateValue(row[key], format);
+        }
+        return (row) => row[key];
+    };
+
+    return {
+        parse: () => {
+            if (peek().type === 'end') throw syntaxError("Formula is empty", 0);
+            const root = parseBinary(0);
+            const rest = peek();
+            if (rest.type !== 'end') throw syntaxError(`Unexpected ${describe(rest)}`, rest.pos);
+            return root;
+        }
+    };
+};
+
+const binary = (op, left, right) => {
+    if (op === '&&') return (row) => isTruthy(left(row)) && isTruthy(right(row));
+    if (op === '||') return (row) => isTruthy(left(row)) || isTruthy(right(row));
+    if (['=', '!=', '<', '<=', '>', '>='].includes(op)) return (row) => compare(op, left(row), right(row));
+    return (row) => arithmetic(op, left(row), right(row));
+};
+
+const syntaxError = (message, pos) => new Error(`${message} (at character ${pos + 1})`);
+
+const describe = (token) => (token.type === 'end' ? "end of formula" : `"${token.value}"`);
+
+// --- Coercion & Operators ---
+
+const isBlank = (val) => val === null || val === undefined || val === '';
+
+const toNumber = (val) => {
+    if (isBlank(val)) return null;
+    if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+    if (typeof val === 'boolean') return val ? 1 : 0;
+    if (val instanceof Date) return null;
+    // Same leniency as processData: thousands separators, currency and % signs
+    const clean = String(val).replace(/[,\s$€£¥%]/g, '');
+    const num = Number(clean);
+    return clean && Number.isFinite(num) ? num : null;
+};
+
+const toText = (val) => {
+    if (val instanceof Date) return formatDate(val, 'yyyy-MM-dd'); // Local calendar day, like parsed dates
+    return String(val);
+};
+
+// Date columns arrive as Dates; other text is parsed like an automatic-format date column
+const toDate = (val) => {
+    if (isBlank(val)) return null;
+    if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+    if (typeof val !== 'string') return null;
+    return parseDateValue(val);
+};
+
+const isTruthy = (val) => {
+    if (isBlank(val)) return false;
+    if (typeof val === 'string') return !['false', '0', 'no'].includes(val.trim().toLowerCase());
+    return Boolean(val);
+};
+
+const arithmetic = (op, a, b) => {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x === null || y === null) return null;
+    if ((op === '/' || op === '%') && y === 0) return null;
+
+    let result;
+    if (op === '+') result = x + y;
+    else if (op === '-') result = x - y;
+    else if (op === '*') result = x * y;
+    else if (op === '/') result = x / y;
+    else if (op === '%') result = x % y;
+    else result = Math.pow(x, y);
+
+    return Number.isFinite(result) ? result : null;
+};
+
+// Numeric when both sides are numbers, by time for dates, otherwise as text
+const compare = (op, a, b) => {
+    if (isBlank(a) || isBlank(b)) {
+        if (op === '=') return isBlank(a) && isBlank(b);
+        if (op === '!=') return isBlank(a) !== isBlank(b);
+        return false;
+    }
+
+    let x = toNumber(a);
+    let y = toNumber(b);
+    if (x === null || y === null) {
+        const dx = a instanceof Date || b instanceof Date ? toDate(a) : null;
+        const dy = dx ? toDate(b) : null;
+        if (dx && dy) {
+            x = dx.getTime();
+            y = dy.getTime();
+        } else {
+            x = toText(a);
+            y = toText(b);
+        }
+    }
+
+    if (op === '=') return x === y;
+    if (op === '!=') return x !== y;
+    if (op === '<') return x < y;
+    if (op === '<=') return x <= y;
+    if (op === '>') return x > y;
+    return x >= y;
+};
+
+const mapNumber = (val, fn) => {
+    const n = toNumber(val);
+    if (n === null) return null;
+    const result = fn(n);
+    return Number.isFinite(result) ? result : null;
+};
+
+const mapText = (val, fn) => (isBlank(val) ? null : fn(toText(val)));
+
+const mapDate = (val, fn) => {
+    const date = toDate(val);
+    return date ? fn(date) : null;
+};
+
+const extreme = (values, fn) => {
+    const nums = values.map(toNumber).filter(n => n !== null);
+    return nums.length ? fn(...nums) : null;
+};
+
+// Column values are numbers, strings, booleans, Dates or null
+const finalize = (val) => {
+    if (val === undefined) return null;
+    if (typeof val === 'number' && !Number.isFinite(val)) return null;
+    return val;
+};
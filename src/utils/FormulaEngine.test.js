@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { compileFormula, applyCalculatedColumns } from './FormulaEngine';
+import { detectDateFormats } from './DataProcessor';
+
+describe('compileFormula', () => {
+    it('evaluates operators and functions', () => {
+        const evaluate = compileFormula('if(price * qty > 100, "big", "small")', ['price', 'qty']);
+        expect(evaluate({ price: '20', qty: '6' })).toBe('big');
+        expect(evaluate({ price: '20', qty: '2' })).toBe('small');
+    });
+
+    it('does not treat Object.prototype members as functions or keywords', () => {
+        expect(() => compileFormula('constructor(x)', ['x'])).toThrow('Unknown function "constructor"');
+        expect(() => compileFormula('toString(x)', ['x'])).toThrow('Unknown function "toString"');
+        expect(compileFormula('constructor', ['constructor'])({ constructor: 5 })).toBe(5);
+        expect(() => compileFormula('valueOf', ['x'])).toThrow('Unknown column "valueOf"');
+    });
+});
+
+describe('date functions', () => {
+    it('read day-first columns with their detected format', () => {
+        const rows = [
+            { when: '05/03/2024' },
+            { when: '25/12/2023' },
+            { when: '13/01/2024' }
+        ];
+        const dateFormats = detectDateFormats(rows);
+        expect(dateFormats).toEqual({ when: 'd/M/yyyy' });
+
+        const result = applyCalculatedColumns(rows, [
+            { name: 'd', formula: 'day(when)' },
+            { name: 'm', formula: 'month(when)' },
+            { name: 'y', formula: 'year(when)' }
+        ], dateFormats);
+        expect(result[0]).toMatchObject({ d: 5, m: 3, y: 2024 });
+        expect(result[1]).toMatchObject({ d: 25, m: 12, y: 2023 });
+    });
+
+    it('uses the user-set format over the detected one', () => {
+        const rows = [{ when: '05/03/2024' }, { when: '06/03/2024' }];
+        const dateFormats = detectDateFormats(rows, { when: { type: 'date', format: 'M/d/yyyy' } });
+        const [first] = applyCalculatedColumns(rows, [{ name: 'm', formula: 'month(when)' }], dateFormats);
+        expect(first.m).toBe(5);
+    });
+
+    it('reads date-only text as a local day', () => {
+        const evaluate = compileFormula('day("2024-03-01")', []);
+        expect(evaluate({})).toBe(1);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Cleaning rules applied between parsing and processData (see ImportPreview).
+ *
+ * Works on a matrix (array of row arrays) so the header row can be any line.
+ * Options:
+ *   skipLines   - Leading lines to drop (title rows above the table)
+ *   hasHeader   - First line after skipLines holds the column names
+ *   dropColumns - Column indices to leave out
+ *   trim        - Trim whitespace in text cells
+ *   decimal     - '.' or ','; with ',' numbers like "1.234,56" become "1234.56"
+ */
+
+export const DEFAULT_CLEANING = {
+    skipLines: 0,
+    hasHeader: true,
+    dropColumns: [],
+    trim: true,
+    decimal: '.'
+};
+
+// "1.234,56", "-12,5", "1 234,5", "€ 1.000,00", "EUR 5,50", "12,5 %": optional currency or
+// percent around the number, which is captured on its own so only it is rewritten
+const DECIMAL_COMMA_NUMBER = /^(-?(?:[$€£¥₹]|[A-Z]{3}\s)?\s*)(-?(?:\d{1,3}(?:[.\s]\d{3})+|\d+)(?:,\d+)?)(\s*[%$€£¥₹]?)$/;
+
+/**
+ * Builds records incrementally, so streamed parsers can clean chunk by chunk.
+ * @param {Object} options - Cleaning options (see above)
+ * @returns {Object} { push(rowArray), records }
+ */
+export const createRecordBuilder = (options = {}) => {
+    const { skipLines, hasHeader, dropColumns, trim, decimal } = { ...DEFAULT_CLEANING, ...options };
+    const dropped = new Set(dropColumns);
+    const records = [];
+    let seen = 0;
+    let keys = null;
+
+    const cleanCell = (val) => {
+        if (typeof val !== 'string') return val ?? null;
+        let str = trim ? val.trim() : val;
+        const match = decimal === ',' ? DECIMAL_COMMA_NUMBER.exec(str) : null;
+        if (match) {
+            const [, prefix, number, suffix] = match;
+            str = prefix + number.replace(/[.\s]/g, '').replace(',', '.') + suffix;
+        }
+        return str;
+    };
+
+    const push = (row) => {
+        seen++;
+        if (seen <= skipLines) return;
+
+        if (!keys) {
+            keys = headerKeys(hasHeader ? row : row.map(() => ''));
+            if (hasHeader) return;
+        }
+
+        const record = {};
+        let hasValue = false;
+        keys.forEach((key, i) => {
+            if (dropped.has(i)) return;
+            const val = cleanCell(row[i]);
+            record[key] = val === '' ? null : val;
+            if (record[key] !== null) hasValue = true;
+        });
+        if (hasValue) records.push(record);
+    };
+
+    return { push, records };
+};
+
+/**
+ * Applies cleaning options to a whole matrix.
+ * @param {Array} matrix - Row arrays
+ * @param {Object} options - Cleaning options
+ * @returns {Array} Records
+ */
+export const buildRecords = (matrix, options) => {
+    const builder = createRecordBuilder(options);
+    matrix.forEach(builder.push);
+    return builder.records;
+};
+
+/**
+ * Turns already-keyed rows (JSON, Excel, PDF) back into a matrix whose first line is the keys.
+ * @param {Array} records
+ * @returns {Array} Row arrays
+ */
+export const recordsToMatrix = (records) => {
+    if (!records.length) return [];
+    const keys = Object.keys(records[0]);
+    return [keys, ...records.map(r => keys.map(k => r[k]))];
+};
+
+/**
+ * Column names for a header line: blanks become "Column N", duplicates get a suffix.
+ * @param {Array} row
+ * @returns {Array} Unique keys
+ */
+export const headerKeys = (row) => {
+    const counts = {};
+    return row.map((h, i) => {
+        const base = (h === null || h === undefined || String(h).trim() === '') ? `Column ${i + 1}` : String(h).trim();
+        counts[base] = (counts[base] || 0) + 1;
+        return counts[base] > 1 ? `${base} ${counts[base]}` : base;
+    });
+};
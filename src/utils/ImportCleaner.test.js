@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { buildRecords } from './ImportCleaner';
+
+const cleanColumn = (values) => buildRecords([['value'], ...values.map(v => [v])], { decimal: ',' }).map(r => r.value);
+
+describe('decimal comma cleaning', () => {
+    it('rewrites numbers, keeping currency and percent symbols', () => {
+        expect(cleanColumn(['1.234,56', '-12,5', '1 234,5', '€ 1.000,00', 'EUR 5,50', '12,5 %', '1.000.000']))
+            .toEqual(['1234.56', '-12.5', '1234.5', '€ 1000.00', 'EUR 5.50', '12.5 %', '1000000']);
+    });
+
+    it('leaves text that merely contains a number alone', () => {
+        expect(cleanColumn(['No. 5', 'Apt 12', 'Q 1', 'v1.2', 'Room 1.02']))
+            .toEqual(['No. 5', 'Apt 12', 'Q 1', 'v1.2', 'Room 1.02']);
+    });
+
+    it('does nothing with a decimal point', () => {
+        const rows = buildRecords([['value'], ['1.234,56']], { decimal: '.' });
+        expect(rows[0].value).toBe('1.234,56');
+    });
+});
@@ -0,0 +1,268 @@
+import * as pdfjsLib from "pdfjs-dist";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+// Bundled worker so PDF import works offline (no CDN)
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+/**
+ * Extracts tables from text-based PDFs.
+ *
+ * 1. Text items are grouped into lines using a tolerance derived from the font size.
+ * 2. Lines repeated at the top/bottom of most pages (running headers, footers,
+ *    page numbers, reprinted table headers) are removed.
+ * 3. Each page is split into blocks of consecutive multi-cell lines; each block is a table.
+ * 4. Column boundaries are inferred from the X extents of cells across all rows,
+ *    so an empty cell leaves a gap instead of shifting later values left.
+ * 5. Tables continuing onto the next page are merged and their repeated header row dropped.
+ */
+
+const EDGE_LINES = 3;            // Lines at the top/bottom of a page checked for running headers/footers
+const REPEAT_RATIO = 0.5;        // Share of pages a line must appear on to count as repeated
+const CELL_GAP_FACTOR = 1.2;     // X gap (in font heights) that separates two cells on a line
+const BLOCK_GAP_FACTOR = 2.5;    // Y gap (in line spacings) that ends a table block
+
+/**
+ * Reads all tables from a PDF file.
+ * @param {File} file
+ * @returns {Array} [{ id, pages, header, rows, columnCount }]
+ */
+export const extractTablesFromPDF = async (file) => {
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages = [];
+
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        const items = textContent.items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                str: item.str.trim(),
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: item.height || Math.abs(item.transform[3]) || 10
+            }));
+        pages.push({ number: i, lines: groupLines(items) });
+    }
+
+    removeRepeatedEdges(pages);
+
+    const tables = [];
+    pages.forEach(page => {
+        findBlocks(page.lines).forEach((block, index, blocks) => {
+            const table = buildTable(block);
+            if (!table) return;
+            tables.push({
+                ...table,
+                pages: [page.number],
+                startsPage: index === 0,
+                endsPage: index === blocks.length - 1
+            });
+        });
+    });
+
+    return mergeContinuations(tables).map((table, i) => ({
+        id: i,
+        pages: table.pages,
+        header: table.header,
+        rows: table.rows,
+        columnCount: table.header.length
+    }));
+};
+
+/**
+ * Converts an extracted table into row objects keyed by its header.
+ * @param {Object} table - From extractTablesFromPDF
+ * @returns {Array} Rows
+ */
+export const tableToRecords = (table) => {
+    const seen = {};
+    const keys = table.header.map((h, i) => {
+        const base = h || `Column ${i + 1}`;
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base} ${seen[base]}` : base;
+    });
+
+    return table.rows.map(row => {
+        const obj = {};
+        keys.forEach((key, i) => { obj[key] = row[i] ?? ""; });
+        return obj;
+    });
+};
+
+// --- Helpers ---
+
+const median = (values) => {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Lines top-to-bottom, items left-to-right, with adjacent items merged into cells
+const groupLines = (items) => {
+    const tolerance = median(items.map(i => i.height)) * 0.5 || 3;
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    sorted.forEach(item => {
+        const line = lines.length ? lines[lines.length - 1] : null;
+        if (line && Math.abs(line.y - item.y) <= tolerance) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, items: [item] });
+        }
+    });
+
+    return lines.map(line => {
+        line.items.sort((a, b) => a.x - b.x);
+        const fontSize = median(line.items.map(i => i.height));
+        return { y: line.y, fontSize, cells: mergeCells(line.items, fontSize) };
+    });
+};
+
+const mergeCells = (items, fontSize) => {
+    const cells = [];
+    items.forEach(item => {
+        const prev = cells[cells.length - 1];
+        if (prev && item.x - prev.x1 < fontSize * CELL_GAP_FACTOR) {
+            prev.text += (item.x - prev.x1 > fontSize * 0.15 ? ' ' : '') + item.str;
+            prev.x1 = Math.max(prev.x1, item.x + item.width);
+        } else {
+            cells.push({ text: item.str, x0: item.x, x1: item.x + item.width });
+        }
+    });
+    return cells;
+};
+
+// Page numbers are masked so "Page 2 of 9" matches "Page 3 of 9"; other digits must match exactly
+const lineKey = (line) => line.cells.map(c => c.text).join(' ')
+    .toLowerCase()
+    .replace(/\bpage\s*\d+(\s*(of|\/)\s*\d+)?/g, 'page #')
+    .replace(/^\s*[-–]?\s*\d+\s*[-–]?\s*$/, '#');
+
+// Running headers/footers: same text (ignoring page numbers) near the same edge on most pages
+const removeRepeatedEdges = (pages) => {
+    if (pages.length < 2) return;
+
+    const counts = {};
+    pages.forEach(page => {
+        const keys = new Set();
+        page.lines.slice(0, EDGE_LINES).forEach(l => keys.add(`top:${lineKey(l)}`));
+        page.lines.slice(-EDGE_LINES).forEach(l => keys.add(`bottom:${lineKey(l)}`));
+        keys.forEach(k => { counts[k] = (counts[k] || 0) + 1; });
+    });
+
+    const threshold = Math.max(2, Math.ceil(pages.length * REPEAT_RATIO));
+    const isRepeated = (edge, line) => counts[`${edge}:${lineKey(line)}`] >= threshold;
+
+    // A repeated multi-cell line at the top is usually the table header reprinted on
+    // every page: keep its first occurrence so the table still has a header.
+    const keptHeaders = new Set();
+
+    pages.forEach(page => {
+        const { lines } = page;
+        page.lines = lines.filter((line, i) => {
+            if (i >= lines.length - EDGE_LINES && isRepeated('bottom', line)) return false;
+            if (i >= EDGE_LINES || !isRepeated('top', line)) return true;
+
+            const key = lineKey(line);
+            if (line.cells.length < 2 || keptHeaders.has(key)) return false;
+            keptHeaders.add(key);
+            return true;
+        });
+    });
+};
+
+// Consecutive multi-cell lines without a large vertical gap form one block
+const findBlocks = (lines) => {
+    const spacings = [];
+    for (let i = 1; i < lines.length; i++) spacings.push(lines[i - 1].y - lines[i].y);
+    const maxGap = (median(spacings) || 12) * BLOCK_GAP_FACTOR;
+
+    const blocks = [];
+    let current = [];
+    lines.forEach((line, i) => {
+        const gap = i > 0 ? lines[i - 1].y - line.y : 0;
+        if (line.cells.length < 2 || gap > maxGap) {
+            if (current.length) blocks.push(current);
+            current = line.cells.length < 2 ? [] : [line];
+        } else {
+            current.push(line);
+        }
+    });
+    if (current.length) blocks.push(current);
+
+    return blocks.filter(b => b.length >= 2);
+};
+
+/**
+ * Column spans are the union of overlapping cell extents. Body rows define the
+ * spans when possible since header cells often span several columns.
+ */
+const inferColumns = (block) => {
+    const source = block.length > 2 ? block.slice(1) : block;
+    const intervals = source.flatMap(line => line.cells.map(c => [c.x0, c.x1])).sort((a, b) => a[0] - b[0]);
+
+    const columns = [];
+    intervals.forEach(([x0, x1]) => {
+        const last = columns[columns.length - 1];
+        if (last && x0 <= last[1]) last[1] = Math.max(last[1], x1);
+        else columns.push([x0, x1]);
+    });
+    return columns;
+};
+
+const columnIndexFor = (cell, columns) => {
+    const center = (cell.x0 + cell.x1) / 2;
+    let best = 0;
+    let bestDistance = Infinity;
+    columns.forEach(([x0, x1], i) => {
+        const distance = center < x0 ? x0 - center : center > x1 ? center - x1 : 0;
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    });
+    return best;
+};
+
+const buildTable = (block) => {
+    const columns = inferColumns(block);
+    if (columns.length < 2) return null;
+
+    const grid = block.map(line => {
+        const row = Array(columns.length).fill("");
+        line.cells.forEach(cell => {
+            const idx = columnIndexFor(cell, columns);
+            row[idx] = row[idx] ? `${row[idx]} ${cell.text}` : cell.text;
+        });
+        return row;
+    });
+
+    return { header: grid[0], rows: grid.slice(1), columns };
+};
+
+const sameRow = (a, b) => a.length === b.length && a.every((v, i) => v.toLowerCase() === b[i].toLowerCase());
+
+// A table that ends a page continues on the next page if it starts that page with the same width
+const mergeContinuations = (tables) => {
+    const merged = [];
+    tables.forEach(table => {
+        const prev = merged[merged.length - 1];
+        const continues = prev && prev.endsPage && table.startsPage
+            && table.pages[0] === prev.pages[prev.pages.length - 1] + 1
+            && table.header.length === prev.header.length;
+
+        if (!continues) {
+            merged.push({ ...table, rows: [...table.rows] });
+            return;
+        }
+
+        // Repeated header row on the continuation page is dropped, otherwise it is data
+        const rows = sameRow(table.header, prev.header) ? table.rows : [table.header, ...table.rows];
+        prev.rows.push(...rows);
+        prev.pages.push(table.pages[0]);
+        prev.endsPage = table.endsPage;
+    });
+    return merged;
+};
@@ -0,0 +1,163 @@
+import { format } from 'date-fns';
+import { aggregateValues } from './DataProcessor';
+
+/**
+ * Pivot tables over processed rows.
+ *
+ * Config: { rows: [key], columns: [key], measures: [{ key, aggregation }] }
+ * Every cell, subtotal and total is aggregated from the underlying values, so
+ * averages and percentiles stay correct at every level (they are not sums of cells).
+ */
+
+export const MAX_PIVOT_COLUMNS = 50; // Column combinations beyond this only count towards the totals
+export const BLANK_LABEL = '(blank)';
+export const TOTAL_KEY = '__total__';
+
+/**
+ * Builds a pivot table.
+ * @param {Array} data - Processed rows
+ * @param {Object} config - { rows, columns, measures }
+ * @returns {Object} {
+ *   columns: [{ key, path: [String] }] leaf column combinations, then the TOTAL_KEY column,
+ *   lines:   [{ path: [String], depth, type: 'row' | 'subtotal' | 'total', cells: { [columnKey]: [value per measure] } }]
+ *            in display order (each group's subtotal directly above its children, grand total last),
+ *   truncatedColumns: Number of column combinations left out
+ * }
+ */
+export const buildPivot = (data, config) => {
+    const { rows = [], columns = [], measures = [] } = config;
+    if (!measures.length) return { columns: [], lines: [], truncatedColumns: 0 };
+
+    // 1. Column combinations, most frequent kept when there are too many, then sorted
+    const columnCounts = new Map();
+    data.forEach(row => {
+        const path = columns.map(key => dimensionValue(row[key]));
+        const key = pathKey(path);
+        const entry = columnCounts.get(key) || { key, path, count: 0 };
+        entry.count++;
+        columnCounts.set(key, entry);
+    });
+    let leafColumns = columns.length ? [...columnCounts.values()] : [];
+    const truncatedColumns = Math.max(0, leafColumns.length - MAX_PIVOT_COLUMNS);
+    if (truncatedColumns) leafColumns = leafColumns.sort((a, b) => b.count - a.count).slice(0, MAX_PIVOT_COLUMNS);
+    leafColumns.sort((a, b) => comparePaths(a.path, b.path));
+    const shownColumns = new Set(leafColumns.map(c => c.key));
+
+    // 2. Bucket values for every row prefix (grand total = empty prefix) x column (+ total)
+    const buckets = new Map(); // `${rowKey}\u0001${colKey}` -> one values array per measure
+    const prefixes = new Map(); // rowKey -> path
+    const push = (rowKey, colKey, row) => {
+        const id = `${rowKey}\u0001${colKey}`;
+        if (!buckets.has(id)) buckets.set(id, measures.map(() => []));
+        const values = buckets.get(id);
+        measures.forEach((m, i) => {
+            const val = measureValue(row[m.key], m.aggregation);
+            if (val !== null) values[i].push(val);
+        });
+    };
+
+    data.forEach(row => {
+        const rowPath = rows.map(key => dimensionValue(row[key]));
+        const colKey = pathKey(columns.map(key => dimensionValue(row[key])));
+        for (let depth = 0; depth <= rowPath.length; depth++) {
+            const prefix = rowPath.slice(0, depth);
+            const rowKey = pathKey(prefix);
+            if (!prefixes.has(rowKey)) prefixes.set(rowKey, prefix);
+            if (shownColumns.has(colKey)) push(rowKey, colKey, row);
+            push(rowKey, TOTAL_KEY, row);
+        }
+    });
+
+    // 3. Cells
+    const columnKeys = [...leafColumns.map(c => c.key), TOTAL_KEY];
+    const cellsFor = (rowKey) => {
+        const cells = {};
+        columnKeys.forEach(colKey => {
+            const values = buckets.get(`${rowKey}\u0001${colKey}`);
+            cells[colKey] = measures.map((m, i) => (values && values[i].length ? aggregateValues(values[i], m.aggregation) : null));
+        });
+        return cells;
+    };
+
+    // 4. Lines: row prefixes in sorted pre-order, grand total last
+    const ordered = [...prefixes.values()]
+        .filter(path => path.length > 0)
+        .sort(comparePaths);
+
+    const lines = ordered.map(path => ({
+        path,
+        depth: path.length - 1,
+        type: path.length === rows.length ? 'row' : 'subtotal',
+        cells: cellsFor(pathKey(path))
+    }));
+    lines.push({ path: [], depth: 0, type: 'total', cells: cellsFor(pathKey([])) });
+
+    return {
+        columns: [...leafColumns.map(({ key, path }) => ({ key, path })), { key: TOTAL_KEY, path: [] }],
+        lines,
+        truncatedColumns
+    };
+};
+
+/**
+ * Flattens a pivot into a 2D array (header rows first) for CSV export.
+ * @param {Object} pivot - Result of buildPivot
+ * @param {Object} config - The config the pivot was built with
+ * @param {Function} labelOf - (key) => column label
+ * @returns {Array} Array of row arrays
+ */
+export const pivotToMatrix = (pivot, config, labelOf) => {
+    const { rows = [], columns = [], measures = [] } = config;
+    const measureLabel = (m) => `${m.aggregation} of ${labelOf(m.key)}`;
+    const rowHeader = rows.map(labelOf);
+
+    // One header row per column dimension, then the measure names
+    const header = columns.map((key, level) => [
+        ...rowHeader.map((_, i) => (i === rowHeader.length - 1 ? labelOf(key) : '')),
+        ...pivot.columns.flatMap(col => measures.map(() => (col.key === TOTAL_KEY ? 'Total' : col.path[level])))
+    ]);
+    header.push([
+        ...rowHeader,
+        ...pivot.columns.flatMap(() => measures.map(measureLabel))
+    ]);
+
+    const body = pivot.lines.map(line => [
+        ...rows.map((_, i) => {
+            if (line.type === 'total') return i === 0 ? 'Grand Total' : '';
+            if (i < line.path.length) return line.path[i];
+            return i === line.path.length ? 'Subtotal' : '';
+        }),
+        ...pivot.columns.flatMap(col => line.cells[col.key])
+    ]);
+
+    return [...header, ...body];
+};
+
+// --- Helpers ---
+
+const pathKey = (path) => path.join('\u0000');
+
+const dimensionValue = (val) => {
+    if (val === null || val === undefined || val === '') return BLANK_LABEL;
+    if (val instanceof Date) return format(val, 'yyyy-MM-dd');
+    return String(val);
+};
+
+// Dates compare by time so distinct counts see equal dates as one value
+const measureValue = (val, method) => {
+    if (val === null || val === undefined || val === '') return null;
+    if (val instanceof Date) return val.getTime();
+    if (method === 'count' || method === 'distinct') return val;
+    return typeof val === 'number' ? val : null;
+};
+
+// Natural order ("2" before "10"), blanks last, shorter (parent) paths before their children
+const comparePaths = (a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === BLANK_LABEL) return 1;
+        if (b[i] === BLANK_LABEL) return -1;
+        return a[i].localeCompare(b[i], undefined, { numeric: true });
+    }
+    return a.length - b.length;
+};
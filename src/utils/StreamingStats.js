@@ -0,0 +1,271 @@
+/**
+ * Single-pass column statistics.
+ *
+ * Accumulators take values one at a time (push) so statistics can be built while
+ * rows are cleaned or as chunks arrive, and never spread large arrays into
+ * function arguments. result() can be called at any point and again after more
+ * values are pushed.
+ *
+ *   number   - Welford mean / variance with higher moments (skewness, kurtosis),
+ *              running min / max / sum, exact quartiles by selection (O(n), no sort)
+ *   date     - running min / max
+ *   category / text - exact value counts up to EXACT_DISTINCT_LIMIT values, then a
+ *              HyperLogLog estimate for uniqueCount (top values stay exact for the
+ *              values already being counted)
+ */
+
+const TOP_VALUES = 10;
+const EXACT_DISTINCT_LIMIT = 50000;
+const HLL_PRECISION = 14; // 2^14 registers, ~0.8% standard error
+
+/**
+ * Creates the accumulator for a column type.
+ * @param {String} type - 'number' | 'date' | 'category' | 'text'
+ * @returns {Object} { push(value), result() } - result() has the same shape calculateStats returned
+ */
+export const createStatsAccumulator = (type) => {
+    if (type === 'number') return createNumberAccumulator();
+    if (type === 'date') return createDateAccumulator();
+    if (type === 'category' || type === 'text') return createValueAccumulator();
+    return createNullAccumulator();
+};
+
+/**
+ * Statistics for numbers: { min, max, mean, median, sum, stdDev, variance, q1, q3, iqr,
+ * skewness, kurtosis, zeroCount, negativeCount, nullCount }
+ */
+export const createNumberAccumulator = () => {
+    let n = 0, nullCount = 0;
+    let mean = 0, m2 = 0, m3 = 0, m4 = 0;
+    let min = Infinity, max = -Infinity, sum = 0;
+    let zeroCount = 0, negativeCount = 0;
+    let buffer = new Float64Array(1024); // Kept for exact quantiles
+
+    const push = (val) => {
+        if (val === null || val === undefined) {
+            nullCount++;
+            return;
+        }
+
+        // Welford / Terriberry update of the central moments
+        const n1 = n;
+        n++;
+        const delta = val - mean;
+        const deltaN = delta / n;
+        const deltaN2 = deltaN * deltaN;
+        const term = delta * deltaN * n1;
+        mean += deltaN;
+        m4 += term * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * m2 - 4 * deltaN * m3;
+        m3 += term * deltaN * (n - 2) - 3 * deltaN * m2;
+        m2 += term;
+
+        if (val < min) min = val;
+        if (val > max) max = val;
+        sum += val;
+        if (val === 0) zeroCount++;
+        else if (val < 0) negativeCount++;
+
+        if (n > buffer.length) {
+            const grown = new Float64Array(buffer.length * 2);
+            grown.set(buffer);
+            buffer = grown;
+        }
+        buffer[n - 1] = val;
+    };
+
+    const result = () => {
+        if (n === 0) return { nullCount };
+
+        const [q1, median, q3] = quantiles(buffer.subarray(0, n), [0.25, 0.5, 0.75]);
+        const variance = m2 / n;
+        const stdDev = Math.sqrt(variance);
+        const skewness = m2 > 0 ? Math.sqrt(n) * m3 / Math.pow(m2, 1.5) : 0;
+        const kurtosis = m2 > 0 ? n * m4 / (m2 * m2) - 3 : 0;
+
+        return {
+            min, max, mean, median, sum, stdDev, variance, q1, q3, iqr: q3 - q1,
+            skewness, kurtosis, zeroCount, negativeCount, nullCount
+        };
+    };
+
+    return { push, result };
+};
+
+/**
+ * Statistics for dates: { min, max, nullCount }
+ */
+export const createDateAccumulator = () => {
+    let min = Infinity, max = -Infinity, nullCount = 0;
+
+    const push = (val) => {
+        if (val === null || val === undefined) {
+            nullCount++;
+            return;
+        }
+        const time = val.getTime();
+        if (time < min) min = time;
+        if (time > max) max = time;
+    };
+
+    const result = () => (min === Infinity ? { nullCount } : { min: new Date(min), max: new Date(max), nullCount });
+
+    return { push, result };
+};
+
+/**
+ * Statistics for categories and text: { uniqueCount, uniqueApprox, top: [{ val, count }], nullCount }
+ */
+export const createValueAccumulator = () => {
+    const counts = new Map();
+    let hll = null; // Created once the exact counts reach EXACT_DISTINCT_LIMIT
+    let nullCount = 0;
+    let n = 0;
+
+    const push = (val) => {
+        if (val === null || val === undefined) {
+            nullCount++;
+            return;
+        }
+        n++;
+        const key = String(val);
+        if (counts.has(key)) {
+            counts.set(key, counts.get(key) + 1);
+        } else if (!hll) {
+            counts.set(key, 1);
+            if (counts.size >= EXACT_DISTINCT_LIMIT) {
+                hll = createHyperLogLog();
+                counts.forEach((_, k) => hll.add(k));
+            }
+        }
+        if (hll) hll.add(key);
+    };
+
+    const result = () => {
+        if (n === 0) return { nullCount };
+
+        const top = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(([val, count]) => ({ val, count }));
+
+        return {
+            uniqueCount: hll ? Math.max(hll.estimate(), counts.size) : counts.size,
+            uniqueApprox: !!hll,
+            top,
+            nullCount
+        };
+    };
+
+    return { push, result };
+};
+
+const createNullAccumulator = () => {
+    let nullCount = 0;
+    return {
+        push: (val) => {
+            if (val === null || val === undefined) nullCount++;
+        },
+        result: () => ({ nullCount })
+    };
+};
+
+/**
+ * HyperLogLog distinct-count sketch over strings.
+ * @param {Number} precision - log2 of the register count
+ * @returns {Object} { add(String), estimate() }
+ */
+export const createHyperLogLog = (precision = HLL_PRECISION) => {
+    const m = 1 << precision;
+    const registers = new Uint8Array(m);
+    const alpha = 0.7213 / (1 + 1.079 / m);
+
+    const add = (str) => {
+        const hash = hashString(str);
+        const index = hash >>> (32 - precision);
+        const rest = (hash << precision) >>> 0;
+        // Position of the first 1 bit in the remaining bits (capped when they are all 0)
+        const rank = rest === 0 ? 32 - precision + 1 : Math.clz32(rest) + 1;
+        if (rank > registers[index]) registers[index] = rank;
+    };
+
+    const estimate = () => {
+        let sum = 0;
+        let zeros = 0;
+        for (let i = 0; i < m; i++) {
+            sum += Math.pow(2, -registers[i]);
+            if (registers[i] === 0) zeros++;
+        }
+        const raw = alpha * m * m / sum;
+        // Small cardinalities: linear counting is more accurate
+        if (raw <= 2.5 * m && zeros > 0) return Math.round(m * Math.log(m / zeros));
+        return Math.round(raw);
+    };
+
+    return { add, estimate };
+};
+
+// --- Helpers ---
+
+// FNV-1a with a murmur3 finalizer so the high bits (register index) are well mixed
+const hashString = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+/**
+ * Exact quantiles (linear interpolation between closest ranks) without sorting.
+ * Reorders `values` in place.
+ * @param {Float64Array} values
+ * @param {Array} qs - Ascending quantiles in [0, 1]
+ * @returns {Array} One value per quantile
+ */
+const quantiles = (values, qs) => {
+    const n = values.length;
+    let left = 0;
+    return qs.map(q => {
+        const pos = (n - 1) * q;
+        const base = Math.floor(pos);
+        select(values, base, left, n - 1);
+        left = base; // Everything right of base is now >= values[base]
+        if (base + 1 >= n || pos === base) return values[base];
+        // The next rank is the smallest value right of base
+        let next = Infinity;
+        for (let i = base + 1; i < n; i++) if (values[i] < next) next = values[i];
+        return values[base] + (pos - base) * (next - values[base]);
+    });
+};
+
+// Quickselect (Hoare partition, median-of-three pivot): puts the k-th smallest at index k
+const select = (arr, k, left, right) => {
+    while (right > left) {
+        const mid = (left + right) >>> 1;
+        const pivot = medianOfThree(arr[left], arr[mid], arr[right]);
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (arr[i] < pivot) i++;
+            while (arr[j] > pivot) j--;
+            if (i <= j) {
+                const tmp = arr[i];
+                arr[i] = arr[j];
+                arr[j] = tmp;
+                i++;
+                j--;
+            }
+        }
+        if (k <= j) right = j;
+        else if (k >= i) left = i;
+        else return;
+    }
+};
+
+const medianOfThree = (a, b, c) => Math.max(Math.min(a, b), Math.min(Math.max(a, b), c));
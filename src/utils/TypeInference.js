@@ -0,0 +1,253 @@
+/**
+ * Column type inference for processData.
+ *
+ * Every value of a stratified sample (evenly spread over the whole file, so a
+ * column that changes halfway through is noticed) is classified as empty,
+ * boolean, date, number or text. The column type is the kind that covers at
+ * least TYPE_THRESHOLD of the non-empty values, refined into subtypes:
+ *
+ *   number   - subtype 'currency' ($ € £ ¥ ₹ prefixed) or 'percentage' (% suffixed)
+ *   date     - format: '' (ISO / month names, native parsing), a date-fns pattern for
+ *              day-first or month-first dates (d/M/yyyy vs M/d/yyyy, decided by values
+ *              where one part is > 12), or 'epoch-s' / 'epoch-ms' for Unix timestamps
+ *   category - subtype 'boolean' for true/false, yes/no, y/n (values become "true" / "false")
+ *   text     - subtype 'id' for unique identifiers (UUIDs, *_id columns, codes with leading zeros)
+ *
+ * confidence is the share of non-empty sampled values that match the chosen type (null
+ * for empty columns);
+ * typeCounts keeps the per-kind counts so mixed columns can be reported.
+ */
+
+const SAMPLE_SIZE = 5000;
+const SAMPLE_STRATA = 20;
+const TYPE_THRESHOLD = 0.8;
+const ID_UNIQUE_RATIO = 0.95;
+const LEADING_ZERO_RATIO = 0.5; // Share of numbers like "02134" that makes the column a code
+
+/**
+ * Picks rows evenly from SAMPLE_STRATA equal bands of the data.
+ * @param {Array} data
+ * @param {Number} size - Rows to return at most
+ * @returns {Array} The data itself when it is small enough
+ */
+export const stratifiedSample = (data, size = SAMPLE_SIZE) => {
+    if (data.length <= size) return data;
+
+    const perStratum = Math.ceil(size / SAMPLE_STRATA);
+    const sample = [];
+    for (let s = 0; s < SAMPLE_STRATA; s++) {
+        const start = Math.floor(s * data.length / SAMPLE_STRATA);
+        const end = Math.floor((s + 1) * data.length / SAMPLE_STRATA);
+        const step = (end - start) / perStratum;
+        for (let i = 0; i < perStratum; i++) sample.push(data[start + Math.floor(i * step)]);
+    }
+    return sample;
+};
+
+/**
+ * Infers one column from sampled rows.
+ * @param {Array} sample - Rows (see stratifiedSample)
+ * @param {String} key - Column key
+ * @returns {Object} { key, type, subtype, format, confidence, typeCounts, formatAmbiguous }
+ */
+export const inferColumnType = (sample, key) => {
+    const counts = { boolean: 0, number: 0, date: 0, text: 0, empty: 0 };
+    const dateFormats = new Map(); // format -> count
+    const dayOrder = { dmy: 0, mdy: 0, ambiguous: 0 };
+    let currency = 0, percent = 0, integers = 0, leadingZeros = 0, epochs = 0, epochMs = 0, uuids = 0;
+    const uniqueValues = new Set();
+
+    sample.forEach(row => {
+        const info = classifyValue(row[key]);
+        counts[info.kind]++;
+        if (info.kind === 'empty') return;
+        uniqueValues.add(info.value);
+
+        if (info.kind === 'date') {
+            dateFormats.set(info.format, (dateFormats.get(info.format) || 0) + 1);
+            if (info.order) dayOrder[info.order]++;
+        } else if (info.kind === 'number') {
+            if (info.currency) currency++;
+            if (info.percent) percent++;
+            if (info.integer) integers++;
+            if (info.leadingZero) leadingZeros++;
+            if (info.epoch) epochs++;
+            if (info.epoch && info.num > EPOCH_MAX_S) epochMs++;
+        } else if (info.kind === 'text' && UUID.test(info.value)) {
+            uuids++;
+        }
+    });
+
+    const valid = sample.length - counts.empty;
+    const base = { key, subtype: null, format: '', typeCounts: counts, formatAmbiguous: false };
+    if (valid === 0) return { ...base, type: 'text', confidence: null }; // Nothing to go on
+
+    const share = (n) => n / valid;
+    const uniqueRatio = uniqueValues.size / valid;
+    const looksLikeId = ID_NAME.test(key) && uniqueRatio >= ID_UNIQUE_RATIO;
+
+    // Booleans before numbers/dates so "y"/"n" flags are not read as text categories
+    if (share(counts.boolean) >= TYPE_THRESHOLD) {
+        return { ...base, type: 'category', subtype: 'boolean', confidence: share(counts.boolean) };
+    }
+
+    if (share(counts.date) >= TYPE_THRESHOLD) {
+        const { format, count, ambiguous } = pickDateFormat(dateFormats, dayOrder);
+        const confidence = share(count) * (ambiguous ? 0.75 : 1);
+        return { ...base, type: 'date', format, confidence, formatAmbiguous: ambiguous };
+    }
+
+    if (share(counts.number) >= TYPE_THRESHOLD) {
+        const numbers = counts.number;
+        // Unix timestamps: whole seconds or milliseconds in a time-named column
+        if (epochs === numbers && TIME_NAME.test(key)) {
+            return { ...base, type: 'date', format: epochMs === numbers ? 'epoch-ms' : 'epoch-s', confidence: share(numbers) };
+        }
+        // Codes like "02134" or integer IDs are identifiers, not quantities
+        if (leadingZeros >= numbers * LEADING_ZERO_RATIO || (looksLikeId && integers === numbers)) {
+            const isId = uniqueRatio >= ID_UNIQUE_RATIO;
+            return { ...base, type: isId ? 'text' : categoryOrText(uniqueValues.size, uniqueRatio), subtype: isId ? 'id' : null, confidence: share(numbers) };
+        }
+        const subtype = currency >= numbers / 2 ? 'currency' : percent >= numbers / 2 ? 'percentage' : null;
+        return { ...base, type: 'number', subtype, confidence: share(numbers) };
+    }
+
+    // Text: how much of it is really text tells how mixed the column is ("N" / "S" are text here, not flags)
+    const confidence = share(counts.text + counts.boolean);
+    if (looksLikeId || (uuids >= valid * TYPE_THRESHOLD && uniqueRatio >= ID_UNIQUE_RATIO)) {
+        return { ...base, type: 'text', subtype: 'id', confidence };
+    }
+    return { ...base, type: categoryOrText(uniqueValues.size, uniqueRatio), confidence };
+};
+
+/**
+ * Classifies a single raw value.
+ * @param {*} val
+ * @returns {Object} { kind: 'empty' | 'boolean' | 'number' | 'date' | 'text', value, ...details }
+ */
+export const classifyValue = (val) => {
+    if (val === null || val === undefined) return { kind: 'empty' };
+    if (typeof val === 'boolean') return { kind: 'boolean', value: String(val) };
+    if (val instanceof Date) return isNaN(val.getTime()) ? { kind: 'empty' } : { kind: 'date', value: val.getTime(), format: '' };
+    if (typeof val === 'number') {
+        if (!Number.isFinite(val)) return { kind: 'empty' };
+        return { kind: 'number', value: val, num: val, integer: Number.isInteger(val), epoch: isEpoch(val) };
+    }
+
+    const str = String(val).trim();
+    if (str === '') return { kind: 'empty' };
+    if (BOOLEAN_VALUES.has(str.toLowerCase())) return { kind: 'boolean', value: str.toLowerCase() };
+
+    const date = matchDate(str);
+    if (date) return { kind: 'date', value: str, ...date };
+
+    const number = NUMBER.exec(str);
+    if (number) {
+        const [, sign = '', symbol, digits, exponent = '', pct] = number;
+        const num = Number(`${sign}${digits.replace(/,/g, '')}${exponent}`);
+        if (Number.isFinite(num)) {
+            return {
+                kind: 'number',
+                value: str,
+                num,
+                currency: !!symbol,
+                percent: !!pct,
+                integer: Number.isInteger(num) && !digits.includes('.') && !exponent,
+                leadingZero: /^0\d/.test(digits),
+                epoch: !symbol && !pct && !exponent && /^\d+$/.test(digits) && isEpoch(num)
+            };
+        }
+    }
+
+    return { kind: 'text', value: str };
+};
+
+/**
+ * Normalizes a boolean-like value.
+ * @param {*} val
+ * @returns {String|null} "true", "false" or null when it is not boolean-like
+ */
+export const normalizeBoolean = (val) => {
+    const str = String(val).trim().toLowerCase();
+    if (TRUE_VALUES.has(str)) return 'true';
+    if (FALSE_VALUES.has(str)) return 'false';
+    return null;
+};
+
+// --- Helpers ---
+
+const TRUE_VALUES = new Set(['true', 'yes', 'y']);
+const FALSE_VALUES = new Set(['false', 'no', 'n']);
+const BOOLEAN_VALUES = new Set([...TRUE_VALUES, ...FALSE_VALUES]);
+
+// sign, currency symbol, digits (with thousands separators / decimals), exponent, percent
+const NUMBER = /^([-+])?\s*([$€£¥₹])?\s*((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|\.\d+)([eE][-+]?\d+)?\s*(%)?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ID_NAME = /(^id$|_id$|[a-z]Id$|^uuid$|^guid$|_code$|^code$|^sku$)/i;
+const TIME_NAME = /(time|date|timestamp|epoch|_at$|^ts$|_ts$|created|updated)/i;
+
+// 2000-01-01 .. 2100-01-01, in seconds or milliseconds
+const EPOCH_MIN_S = 946684800;
+const EPOCH_MAX_S = 4102444800;
+const isEpoch = (num) => Number.isInteger(num)
+    && ((num >= EPOCH_MIN_S && num <= EPOCH_MAX_S) || (num >= EPOCH_MIN_S * 1000 && num <= EPOCH_MAX_S * 1000));
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const YEAR_FIRST = /^(\d{4})([/.])(\d{1,2})\2(\d{1,2})$/;
+const YEAR_LAST = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})(?:\s+(\d{1,2}:\d{2})(:\d{2})?)?$/;
+const MONTH_NAME = /^(?:[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+[A-Za-z]{3,9}\.?,?\s+\d{4})$/;
+
+// Returns { format, order? } for date-like strings, null otherwise.
+// Day/month strings get a provisional '{order}' format that pickDateFormat resolves per column.
+const matchDate = (str) => {
+    if (ISO_DATE.test(str)) return isNaN(Date.parse(str)) ? null : { format: '' };
+
+    const yearFirst = YEAR_FIRST.exec(str);
+    if (yearFirst) {
+        const [, , sep, month, day] = yearFirst;
+        return validParts(Number(day), Number(month)) ? { format: `yyyy${sep}M${sep}d` } : null;
+    }
+
+    const yearLast = YEAR_LAST.exec(str);
+    if (yearLast) {
+        const [, a, sep, b, , time, seconds] = yearLast;
+        const first = Number(a);
+        const second = Number(b);
+        const timeFormat = time ? (seconds ? ' H:mm:ss' : ' H:mm') : '';
+        const dmy = validParts(first, second);
+        const mdy = validParts(second, first);
+        if (!dmy && !mdy) return null;
+        const order = dmy && mdy ? 'ambiguous' : dmy ? 'dmy' : 'mdy';
+        return { format: `{order}${sep}yyyy${timeFormat}`, order };
+    }
+
+    if (MONTH_NAME.test(str) && !isNaN(Date.parse(str))) return { format: '' };
+    return null;
+};
+
+const validParts = (day, month) => day >= 1 && day <= 31 && month >= 1 && month <= 12;
+
+// Most common format wins; day/month order is settled by the unambiguous values
+const pickDateFormat = (formats, dayOrder) => {
+    let best = '';
+    let bestCount = -1;
+    formats.forEach((count, format) => {
+        if (count > bestCount) {
+            best = format;
+            bestCount = count;
+        }
+    });
+
+    if (!best.startsWith('{order}')) return { format: best, count: bestCount, ambiguous: false };
+
+    const sep = best.charAt('{order}'.length);
+    const rest = best.slice('{order}'.length + 1);
+    const dayFirst = dayOrder.dmy > dayOrder.mdy;
+    const ambiguous = dayOrder.dmy === 0 && dayOrder.mdy === 0;
+    // Without evidence, keep the month-first reading Date.parse used to apply
+    const pattern = dayFirst ? `d${sep}M${sep}` : `M${sep}d${sep}`;
+    return { format: pattern + rest, count: bestCount, ambiguous };
+};
+
+// Low cardinality = categorical
+const categoryOrText = (uniqueCount, uniqueRatio) => (uniqueCount <= 20 || (uniqueRatio < 0.2 && uniqueCount < 50) ? 'category' : 'text');
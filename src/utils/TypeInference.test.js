@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { inferColumnType } from './TypeInference';
+
+const column = (values) => values.map(v => ({ v }));
+
+describe('inferColumnType', () => {
+    it('keeps a numeric column numeric when a single value has a leading zero', () => {
+        const sample = column(['01', '12', '7', '250', '33', '48', '9', '100']);
+        expect(inferColumnType(sample, 'v').type).toBe('number');
+    });
+
+    it('treats mostly zero-padded numbers as codes', () => {
+        const sample = column(['02134', '00501', '07030', '10001', '01002', '06830']);
+        const result = inferColumnType(sample, 'v');
+        expect(result.type).toBe('text');
+        expect(result.subtype).toBe('id');
+    });
+
+    it('detects day-first dates', () => {
+        const result = inferColumnType(column(['05/03/2024', '25/12/2023']), 'v');
+        expect(result).toMatchObject({ type: 'date', format: 'd/M/yyyy' });
+    });
+});
@@ -0,0 +1,210 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { parquetReadObjects } from "hyparquet";
+import { compressors } from "hyparquet-compressors";
+import { parseJSONText, parseNDJSONText, normalizeRecords, stackSheets } from "../utils/FormatParsers";
+import { createRecordBuilder } from "../utils/ImportCleaner";
+import { processData, detectDateFormats } from "../utils/DataProcessor";
+import { applyCalculatedColumns } from "../utils/FormulaEngine";
+import { getRecommendations } from "../utils/RecommendationEngine";
+
+/**
+ * Data pipeline worker. Keeps parsing and profiling off the main thread.
+ *
+ * Receives: { job: 'parse', payload: { file } }
+ *           { job: 'preview-delimited', payload: { input, delimiter, encoding } }
+ *           { job: 'parse-delimited', payload: { input, delimiter, encoding, cleaning } }
+ *           { job: 'clean', payload: { records, cleaning } }
+ *           { job: 'inspect-workbook', payload: { file } }
+ *           { job: 'parse-sheets', payload: { file, sheets, mode } }
+ *           { job: 'process', payload: { rows, overrides, calculated } }
+ * Posts:    { type: 'progress', phase, progress } (progress is 0..1)
+ *           { type: 'result', result }
+ *           { type: 'error', message }
+ *
+ * Cancellation is done by the caller terminating the worker.
+ */
+
+const CSV_CHUNK_SIZE = 1024 * 1024; // 1 MB per Papa chunk
+const SHEET_PREVIEW_ROWS = 15;
+const DELIMITED_PREVIEW_LINES = 100;
+
+const postProgress = (phase, progress) => self.postMessage({ type: 'progress', phase, progress });
+
+// First lines of a CSV/TSV file or pasted text as raw arrays, for the import preview
+const previewDelimited = ({ input, delimiter = '', encoding }) => new Promise((resolve, reject) => {
+    Papa.parse(input, {
+        delimiter, // '' = auto-detect
+        encoding,
+        preview: DELIMITED_PREVIEW_LINES,
+        skipEmptyLines: 'greedy',
+        complete: (results) => resolve({ matrix: results.data, delimiter: results.meta.delimiter }),
+        error: (err) => reject(err)
+    });
+});
+
+// Values stay strings so processData (and schema overrides) see "02134", not 2134
+const parseDelimited = ({ input, delimiter = '', encoding, cleaning }) => new Promise((resolve, reject) => {
+    const builder = createRecordBuilder(cleaning);
+    const size = typeof input === 'string' ? input.length : input.size;
+
+    Papa.parse(input, {
+        delimiter,
+        encoding,
+        skipEmptyLines: 'greedy',
+        chunkSize: CSV_CHUNK_SIZE,
+        chunk: (results) => {
+            results.data.forEach(builder.push);
+            postProgress('parsing', Math.min(results.meta.cursor / size, 1));
+        },
+        complete: () => resolve(builder.records),
+        error: (err) => reject(err)
+    });
+});
+
+// Applies import cleaning to rows that were already keyed by their parser
+const cleanRecords = ({ records, cleaning }) => {
+    const builder = createRecordBuilder(cleaning);
+    if (!records.length) return [];
+
+    const keys = Object.keys(records[0]);
+    builder.push(keys);
+    records.forEach((record, i) => {
+        builder.push(keys.map(k => record[k]));
+        if (i % 10000 === 0) postProgress('cleaning', i / records.length);
+    });
+    return builder.records;
+};
+
+const readWorkbook = async (file) => {
+    postProgress('parsing', 0);
+    const wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+    postProgress('parsing', 0.5);
+    return wb;
+};
+
+const parseExcel = async (file) => {
+    const wb = await readWorkbook(file);
+    const sheet = wb.Sheets[wb.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet);
+    postProgress('parsing', 1);
+    return rows;
+};
+
+// Sheet names, sizes and the first rows as raw arrays, for the sheet picker
+const inspectWorkbook = async ({ file }) => {
+    const wb = await readWorkbook(file);
+
+    const sheets = wb.SheetNames.map(name => {
+        const ws = wb.Sheets[name];
+        if (!ws['!ref']) return { name, rowCount: 0, colCount: 0, preview: [] };
+
+        const range = XLSX.utils.decode_range(ws['!ref']);
+        const previewRange = { s: range.s, e: { r: Math.min(range.e.r, range.s.r + SHEET_PREVIEW_ROWS - 1), c: range.e.c } };
+        const preview = XLSX.utils.sheet_to_json(ws, { header: 1, range: previewRange, defval: '', blankrows: true });
+
+        return {
+            name,
+            rowCount: range.e.r - range.s.r + 1,
+            colCount: range.e.c - range.s.c + 1,
+            preview
+        };
+    });
+
+    postProgress('parsing', 1);
+    return { sheets };
+};
+
+/**
+ * Extracts the selected sheets.
+ * @param {Array} sheets - [{ name, headerRow, range }]; headerRow is 1-based,
+ *                         range is an A1 range like "B3:F200" and wins over headerRow
+ * @param {String} mode - 'separate' -> one dataset per sheet, 'stack' -> one dataset with a sheet column
+ * @returns {Array} [{ name, rows }]
+ */
+const parseSheets = async ({ file, sheets, mode }) => {
+    const wb = await readWorkbook(file);
+
+    const datasets = sheets.map(({ name, headerRow = 1, range }) => {
+        const ws = wb.Sheets[name];
+        if (!ws) throw new Error(`Sheet "${name}" not found`);
+        // defval keeps blank cells as keys, so columns empty in the first row are not lost
+        const rows = XLSX.utils.sheet_to_json(ws, { range: range ? range.trim() : Math.max(headerRow - 1, 0), defval: null });
+        return { name, rows };
+    });
+
+    postProgress('parsing', 1);
+    if (mode !== 'stack' || datasets.length < 2) return datasets;
+
+    return [stackSheets(datasets)];
+};
+
+const parseJSON = async (file) => {
+    postProgress('parsing', 0);
+    const rows = parseJSONText(await file.text());
+    postProgress('parsing', 1);
+    return rows;
+};
+
+const parseNDJSON = async (file) => {
+    postProgress('parsing', 0);
+    const rows = parseNDJSONText(await file.text(), (progress) => postProgress('parsing', progress));
+    postProgress('parsing', 1);
+    return rows;
+};
+
+const parseParquet = async (file) => {
+    postProgress('parsing', 0);
+    const records = await parquetReadObjects({ file: await file.arrayBuffer(), compressors });
+    postProgress('parsing', 0.8);
+    const rows = normalizeRecords(records);
+    postProgress('parsing', 1);
+    return rows;
+};
+
+const parseFile = ({ file }) => {
+    const fileType = file.name.split('.').pop().toLowerCase();
+    if (["xlsx", "xls"].includes(fileType)) return parseExcel(file);
+    if (fileType === "json") return parseJSON(file);
+    if (["ndjson", "jsonl"].includes(fileType)) return parseNDJSON(file);
+    if (fileType === "parquet") return parseParquet(file);
+    throw new Error(`Unsupported file type: .${fileType}`);
+};
+
+// Calculated columns are added first so they get type inference like uploaded ones;
+// they read date columns with the format processData will use
+const profile = ({ rows, overrides, calculated }) => {
+    const withCalculated = calculated?.length
+        ? applyCalculatedColumns(rows, calculated, detectDateFormats(rows, overrides))
+        : rows;
+    const analysis = processData(withCalculated, {
+        overrides,
+        onProgress: (progress) => postProgress('profiling', progress)
+    });
+    if (!analysis) return { analysis: null, recommendations: [] };
+
+    postProgress('recommending', 0);
+    const recommendations = getRecommendations(analysis.data, analysis.columns);
+    return { analysis, recommendations };
+};
+
+const jobs = {
+    parse: parseFile,
+    'preview-delimited': previewDelimited,
+    'parse-delimited': parseDelimited,
+    clean: cleanRecords,
+    'inspect-workbook': inspectWorkbook,
+    'parse-sheets': parseSheets,
+    process: profile
+};
+
+self.onmessage = async ({ data }) => {
+    const { job, payload } = data;
+    try {
+        if (!jobs[job]) throw new Error(`Unknown job: ${job}`);
+        const result = await jobs[job](payload);
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+};
@@ -1,7 +1,17 @@
+import process from 'node:process'
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // West of UTC, so dates parsed in the wrong zone shift into the previous day / period
+    env: { TZ: 'America/New_York' },
+    // Rules tests need the Firestore emulator, see `npm run test:rules`
+    exclude: process.env.FIRESTORE_EMULATOR_HOST
+      ? configDefaults.exclude
+      : [...configDefaults.exclude, '**/*.rules.test.js'],
+  },
 })